@@ -0,0 +1,143 @@
+// API Client
+// Shared by the tracker and the debug page: request timeouts, retries with exponential
+// backoff for idempotent calls, and failures sorted into typed ApiErrors
+
+class ApiError extends Error {
+    constructor(type, message, status = null) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+    }
+
+    // Expired initData and bad payloads don't get better by trying again
+    get retryable() {
+        return this.type === ApiError.TYPES.NETWORK || this.type === ApiError.TYPES.SERVER;
+    }
+}
+
+ApiError.TYPES = {
+    NETWORK: 'network', // offline, DNS, CORS or timeout
+    AUTH: 'auth', // 401, initData expired or invalid
+    CONFLICT: 'conflict', // 409, the revision moved on
+    SERVER: 'server', // 5xx
+    CLIENT: 'client', // any other 4xx
+    PAYLOAD: 'payload' // response isn't the JSON we expect
+};
+
+class ApiClient {
+    constructor() {
+        this.authExpiredListeners = [];
+    }
+
+    // Requests
+    // Only idempotent calls are retried, a write is never sent twice
+    async request(endpoint, data = {}, options = {}) {
+        const config = window.CONFIG.APP_CONFIG;
+        const retries = options.idempotent ? (options.retries ?? config.API_MAX_RETRIES) : 0;
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.send(endpoint, data, options.timeout ?? config.API_TIMEOUT);
+            } catch (error) {
+                if (!error.retryable || attempt >= retries) {
+                    if (error.type === ApiError.TYPES.AUTH) {
+                        this.authExpiredListeners.forEach(listener => listener(error));
+                    }
+                    throw error;
+                }
+
+                const delay = config.API_RETRY_BASE_DELAY * 2 ** attempt;
+                window.Logger.warn('api', `Request to ${endpoint} failed (${error.message}), retry ${attempt + 1}/${retries} in ${delay}ms`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+            }
+        }
+    }
+
+    async send(endpoint, data, timeout) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+
+        let response;
+        try {
+            response = await window.Logger.fetch('api', endpoint, {
+                method: 'POST',
+                headers: window.TelegramApp.getAuthHeaders(),
+                body: JSON.stringify(data),
+                signal: controller.signal
+            });
+        } catch (error) {
+            const message = error.name === 'AbortError' ? `Timed out after ${timeout}ms` : error.message;
+            throw new ApiError(ApiError.TYPES.NETWORK, message);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            const errorText = await response.text().catch(() => '');
+            throw new ApiError(this.getErrorType(response.status), `HTTP ${response.status}${errorText ? `: ${errorText}` : ''}`, response.status);
+        }
+
+        try {
+            return await response.json();
+        } catch (error) {
+            throw new ApiError(ApiError.TYPES.PAYLOAD, `Invalid JSON response: ${error.message}`, response.status);
+        }
+    }
+
+    getErrorType(status) {
+        if (status === 401) return ApiError.TYPES.AUTH;
+        if (status === 409) return ApiError.TYPES.CONFLICT;
+        if (status >= 500) return ApiError.TYPES.SERVER;
+        return ApiError.TYPES.CLIENT;
+    }
+
+    // User Data
+    // Returns the user record, its user_data is always an object
+    async getUserData() {
+        const responseData = await this.request(window.CONFIG.API_ENDPOINTS.GET_DATA, {}, { idempotent: true });
+        return this.validateUser(responseData);
+    }
+
+    async updateUserData(payload) {
+        const responseData = await this.request(window.CONFIG.API_ENDPOINTS.UPDATE_DATA, payload);
+        return this.validateUser(responseData);
+    }
+
+    // A malformed user_data must not be mistaken for an empty one, a save would then wipe it
+    validateUser(responseData) {
+        const user = responseData?.user || responseData;
+        if (!user || typeof user !== 'object' || Array.isArray(user)) {
+            throw new ApiError(ApiError.TYPES.PAYLOAD, 'No user in response');
+        }
+
+        const userData = user.user_data ?? {};
+        if (typeof userData !== 'object' || Array.isArray(userData)) {
+            throw new ApiError(ApiError.TYPES.PAYLOAD, 'user_data is not an object');
+        }
+
+        return { ...user, user_data: userData };
+    }
+
+    // Auth Expiry
+    // initData can't be refreshed from inside the WebApp, the user has to reopen it
+    onAuthExpired(listener) {
+        this.authExpiredListeners.push(listener);
+    }
+
+    // Errors
+    getErrorMessage(error) {
+        if (error instanceof ApiError && window.I18n) {
+            return window.I18n.t(`api.${error.type}`, { error: error.message });
+        }
+
+        return error.message;
+    }
+}
+
+// Initialize API client
+const apiClient = new ApiClient();
+
+// Export for global use
+window.ApiError = ApiError;
+window.ApiClient = apiClient;
@@ -3,7 +3,7 @@
 class ArenaApp {
     constructor() {
         this.currentUserData = null;
-        this.debugLogs = [];
+        this.pendingEdit = null;
 
         this.init();
     }
@@ -17,7 +17,8 @@ class ArenaApp {
         }
     }
 
-    onDOMReady() {
+    async onDOMReady() {
+        window.Logger.onEntry(() => this.updateDebugDisplay());
         this.debugLog('Application initializing...');
 
         // Check if required dependencies are loaded
@@ -31,9 +32,43 @@ class ArenaApp {
             return;
         }
 
+        if (!window.I18n) {
+            console.error('Localization not loaded! Make sure i18n.js is included before app.js');
+            return;
+        }
+
+        if (!window.ApiClient) {
+            console.error('API client not loaded! Make sure api.js is included before app.js');
+            return;
+        }
+
+        if (!window.UserDataEditor) {
+            console.error('User data editor not loaded! Make sure editor.js is included before app.js');
+            return;
+        }
+
+        if (!window.RuntimeConfig) {
+            console.error('Runtime config not loaded! Make sure runtime-config.js is included before app.js');
+            return;
+        }
+
+        // Translate static markup
+        window.I18n.applyToDocument();
+
         // Set up app title
         this.updateAppTitle();
 
+        // Wait for config.json and tester overrides, an invalid config stops here
+        try {
+            await window.RuntimeConfig.ready;
+        } catch (error) {
+            this.debugLog(`ERROR: ${error.message}`);
+            this.showErrorState(error.message);
+            return;
+        } finally {
+            window.RuntimeConfig.renderBadge();
+        }
+
         // Initialize the application
         this.loadUserData();
 
@@ -41,22 +76,30 @@ class ArenaApp {
     }
 
     // Debug System
+    // The page's messages go to the shared log (logger.js), the panel shows all of it
     debugLog(message) {
-        if (!window.CONFIG.APP_CONFIG.ENABLE_DEBUG) return;
-
-        const timestamp = new Date().toLocaleTimeString();
-        const logEntry = `[${timestamp}] ${message}`;
-        this.debugLogs.push(logEntry);
-        console.log(logEntry);
-        this.updateDebugDisplay();
+        window.Logger.info('ui', message);
     }
 
     updateDebugDisplay() {
+        if (!window.CONFIG.APP_CONFIG.ENABLE_DEBUG) return;
+
+        const logger = window.Logger;
         const debugContent = document.getElementById('debug-content');
         if (debugContent) {
-            debugContent.textContent = this.debugLogs.join('\n');
+            debugContent.textContent = logger.getEntries().map(entry => logger.formatEntry(entry)).join('\n');
             debugContent.scrollTop = debugContent.scrollHeight;
         }
+
+        const debugNetwork = document.getElementById('debug-network');
+        if (debugNetwork) {
+            debugNetwork.textContent = logger.getRequests().map(request => logger.formatRequest(request)).join('\n');
+        }
+
+        const debugEnvironment = document.getElementById('debug-environment');
+        if (debugEnvironment) {
+            debugEnvironment.textContent = JSON.stringify(logger.getEnvironmentReport(), null, 2);
+        }
     }
 
     toggleDebug() {
@@ -64,10 +107,10 @@ class ArenaApp {
         const button = event.target;
         if (debugInfo.style.display === 'none') {
             debugInfo.style.display = 'block';
-            button.textContent = 'Hide Debug';
+            button.textContent = window.I18n.t('debug.hideDebug');
         } else {
             debugInfo.style.display = 'none';
-            button.textContent = 'Show Debug';
+            button.textContent = window.I18n.t('debug.showDebug');
         }
     }
 
@@ -111,10 +154,10 @@ class ArenaApp {
         const loadingEl = document.getElementById('loading');
         if (loadingEl) {
             loadingEl.innerHTML = `
-                Failed to load user data.
+                ${window.I18n.t('debug.loadFailed')}
                 <br><br>
-                <button class="button secondary" onclick="arenaApp.toggleDebug(); document.getElementById('debug-info').style.display='block';">Show Debug Info</button>
-                <button class="button" onclick="arenaApp.loadUserData()">Try Again</button>
+                <button class="button secondary" onclick="arenaApp.toggleDebug(); document.getElementById('debug-info').style.display='block';">${window.I18n.t('debug.showDebugInfo')}</button>
+                <button class="button" onclick="arenaApp.loadUserData()">${window.I18n.t('debug.tryAgain')}</button>
             `;
         }
 
@@ -126,23 +169,11 @@ class ArenaApp {
     }
 
     // API Communication
-    async apiRequest(endpoint, data = {}) {
+    async apiRequest(endpoint, data = {}, options = {}) {
         try {
-            const response = await fetch(endpoint, {
-                method: 'POST',
-                headers: window.TelegramApp.getAuthHeaders(),
-                body: JSON.stringify(data)
-            });
-
-            if (!response.ok) {
-                const errorText = await response.text();
-                this.debugLog(`API Error: ${response.status} - ${errorText}`);
-                throw new Error(`HTTP ${response.status}: ${errorText}`);
-            }
-
-            return await response.json();
+            return await window.ApiClient.request(endpoint, data, options);
         } catch (error) {
-            this.debugLog(`API Request Failed: ${error.message}`);
+            this.debugLog(`API Request Failed (${error.type || 'unknown'}): ${error.message}`);
             throw error;
         }
     }
@@ -151,28 +182,25 @@ class ArenaApp {
     async loadUserData() {
         try {
             this.debugLog('Starting loadUserData...');
-            this.showStatus('Loading user data...', 'info');
+            this.showStatus(window.I18n.t('debug.loadingUserData'), 'info');
             this.showLoading(true);
 
             const endpoint = window.CONFIG.API_ENDPOINTS.GET_DATA;
             this.debugLog(`Making request to: ${endpoint}`);
 
-            const responseData = await this.apiRequest(endpoint);
-            const userData = responseData.user || responseData;
-
-            if (!userData) {
-                throw new Error('No user data in response');
-            }
+            const responseData = await this.apiRequest(endpoint, {}, { idempotent: true });
+            const userData = window.ApiClient.validateUser(responseData);
 
             this.currentUserData = userData;
 
             // Display user information
             this.displayUserInfo(userData);
             this.displayUserData(userData.user_data || {});
+            this.displayHistory();
 
             // Show main content
             this.showLoading(false);
-            this.showStatus('User data loaded successfully!', 'success');
+            this.showStatus(window.I18n.t('debug.loaded'), 'success');
 
             // Haptic feedback for success
             window.TelegramApp.hapticFeedback('success');
@@ -180,7 +208,7 @@ class ArenaApp {
         } catch (error) {
             this.debugLog(`ERROR: ${error.message}`);
             console.error('Failed to load user:', error);
-            this.showStatus('Failed to load user data: ' + error.message, 'error');
+            this.showStatus(window.I18n.t('debug.loadFailedStatus', { error: window.ApiClient.getErrorMessage(error) }), 'error');
             this.showErrorState(error.message);
 
             // Haptic feedback for error
@@ -188,59 +216,143 @@ class ArenaApp {
         }
     }
 
-    async updateUserData() {
+    // User Data Editor
+    // An edit is previewed first: applied as a patch or a replacement, checked against the schema
+    // and diffed against currentUserData. Only the previewed edit can be submitted, removing data
+    // needs a confirmation and the replaced version goes to the local history.
+    getEditMode() {
+        return document.getElementById('edit-mode').value || 'patch';
+    }
+
+    previewUserData() {
+        const editor = window.UserDataEditor;
+        const input = document.getElementById('user-data-input').value.trim();
+        this.pendingEdit = null;
+        this.clearPreview();
+
+        if (!input) {
+            this.showStatus(window.I18n.t('debug.enterData'), 'error');
+            return null;
+        }
+
+        let parsed;
         try {
-            const input = document.getElementById('user-data-input');
-            const inputValue = input.value.trim();
+            parsed = JSON.parse(input);
+        } catch (e) {
+            this.showStatus(window.I18n.t('debug.invalidJson', { error: e.message }), 'error');
+            return null;
+        }
 
-            if (!inputValue) {
-                this.showStatus('Please enter some data to update', 'error');
-                return;
-            }
+        if (!editor.isObject(parsed)) {
+            this.showStatus(window.I18n.t('debug.notAnObject'), 'error');
+            return null;
+        }
+
+        const mode = this.getEditMode();
+        const current = this.currentUserData?.user_data || {};
+        const next = editor.applyEdit(current, parsed, mode);
+        const { errors, warnings } = editor.validate(next);
+        const removals = editor.getRemovals(current, next);
+
+        this.displayPreview(current, next, { errors, warnings, removals });
+        this.debugLog(`Previewed ${mode}: ${errors.length} errors, ${warnings.length} warnings, ${removals.length} removals`);
+
+        if (errors.length > 0) {
+            this.showStatus(window.I18n.t('debug.schemaErrors', { count: errors.length }), 'error');
+            return null;
+        }
+
+        this.pendingEdit = { input, mode, next, removals };
+        return this.pendingEdit;
+    }
 
-            // Try to parse JSON
-            let newUserData;
-            try {
-                newUserData = JSON.parse(inputValue);
-            } catch (e) {
-                this.showStatus('Invalid JSON format: ' + e.message, 'error');
-                return;
+    async updateUserData() {
+        const input = document.getElementById('user-data-input').value.trim();
+        const edit = this.pendingEdit;
+
+        // The diff has to be seen before anything is sent, a changed input or mode needs a new preview
+        if (!edit || edit.input !== input || edit.mode !== this.getEditMode()) {
+            if (this.previewUserData()) {
+                this.showStatus(window.I18n.t('debug.reviewDiff'), 'info');
             }
+            return;
+        }
 
-            this.showStatus('Updating user data...', 'info');
+        if ((edit.mode === 'replace' || edit.removals.length > 0) && !(await this.confirmEdit(edit))) {
+            this.debugLog('Update cancelled');
+            return;
+        }
+
+        try {
+            this.showStatus(window.I18n.t('debug.updating'), 'info');
 
+            const previous = this.currentUserData;
             const updateData = {
-                user_data: newUserData
+                // The server refuses the edit when the tracker saved in the meantime
+                base_revision: previous.user_data?.progress_revision || 0,
+                user_data: edit.next
             };
 
             const endpoint = window.CONFIG.API_ENDPOINTS.UPDATE_DATA;
-            this.debugLog(`Updating data at: ${endpoint}`);
+            this.debugLog(`Updating data (${edit.mode}) at: ${endpoint}`);
 
             const responseData = await this.apiRequest(endpoint, updateData);
-            const updatedUserData = responseData.user || responseData;
+            const updatedUserData = window.ApiClient.validateUser(responseData);
             this.currentUserData = updatedUserData;
 
+            window.UserDataEditor.addToHistory(previous.telegram_id, previous.user_data || {});
+
             // Update display
             this.displayUserInfo(updatedUserData);
             this.displayUserData(updatedUserData.user_data || {});
+            this.displayHistory();
 
             // Clear input
-            input.value = '';
+            document.getElementById('user-data-input').value = '';
+            this.pendingEdit = null;
+            this.clearPreview();
 
-            this.showStatus('User data updated successfully!', 'success');
+            this.showStatus(window.I18n.t('debug.updated'), 'success');
 
             // Haptic feedback for success
             window.TelegramApp.hapticFeedback('success');
 
         } catch (error) {
             console.error('Failed to update user:', error);
-            this.showStatus('Failed to update user data: ' + error.message, 'error');
+            this.showStatus(window.I18n.t('debug.updateFailed', { error: window.ApiClient.getErrorMessage(error) }), 'error');
 
             // Haptic feedback for error
             window.TelegramApp.hapticFeedback('error');
         }
     }
 
+    // Every replace is confirmed, a patch only when it removes something. Removals are listed.
+    confirmEdit({ mode, removals }) {
+        const limit = 5;
+        const paths = removals.slice(0, limit).join('\n') + (removals.length > limit ? '\n…' : '');
+
+        let message = window.I18n.t('debug.confirmReplace');
+        if (removals.length > 0) {
+            const key = mode === 'replace' ? 'debug.confirmReplaceRemovals' : 'debug.confirmRemovals';
+            message = window.I18n.t(key, { count: removals.length, paths });
+        }
+
+        return new Promise(resolve => {
+            window.TelegramApp.showConfirm(message, resolve);
+        });
+    }
+
+    // Loads a version from the history into the editor as a replacement, it still goes through the preview
+    restoreVersion() {
+        const index = Number(document.getElementById('history-select').value);
+        const version = window.UserDataEditor.getHistory(this.currentUserData.telegram_id)[index];
+        if (!version) return;
+
+        document.getElementById('user-data-input').value = JSON.stringify(version.user_data, null, 2);
+        document.getElementById('edit-mode').value = 'replace';
+        this.previewUserData();
+    }
+
     // Display Methods
     displayUserInfo(userData) {
         const userInfoEl = document.getElementById('user-info');
@@ -248,27 +360,27 @@ class ArenaApp {
 
         userInfoEl.innerHTML = `
             <div class="info-row">
-                <span class="info-label">Name:</span>
+                <span class="info-label">${window.I18n.t('debug.name')}</span>
                 <span class="info-value">${userData.first_name} ${userData.last_name || ''}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Username:</span>
+                <span class="info-label">${window.I18n.t('debug.username')}</span>
                 <span class="info-value">@${userData.username || 'N/A'}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Telegram ID:</span>
+                <span class="info-label">${window.I18n.t('debug.telegramId')}</span>
                 <span class="info-value">${userData.telegram_id}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Language:</span>
+                <span class="info-label">${window.I18n.t('debug.language')}</span>
                 <span class="info-value">${userData.language_code || 'N/A'}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Created:</span>
+                <span class="info-label">${window.I18n.t('debug.created')}</span>
                 <span class="info-value">${new Date(userData.created_at).toLocaleString()}</span>
             </div>
             <div class="info-row">
-                <span class="info-label">Updated:</span>
+                <span class="info-label">${window.I18n.t('debug.updatedAt')}</span>
                 <span class="info-value">${new Date(userData.updated_at).toLocaleString()}</span>
             </div>
         `;
@@ -281,6 +393,75 @@ class ArenaApp {
         userDataEl.textContent = JSON.stringify(userData, null, 2);
     }
 
+    clearPreview() {
+        document.getElementById('edit-messages').innerHTML = '';
+        document.getElementById('edit-diff').innerHTML = '';
+        document.getElementById('edit-preview').style.display = 'none';
+    }
+
+    // Schema messages and the side-by-side diff, values are user data so they're set as text
+    displayPreview(current, next, { errors, warnings, removals }) {
+        const messagesEl = document.getElementById('edit-messages');
+        const diffEl = document.getElementById('edit-diff');
+        const t = window.I18n.t.bind(window.I18n);
+
+        const messages = [
+            ...errors.map(({ path, message }) => ({ type: 'error', text: `${path}: ${message}` })),
+            ...warnings.map(({ path, message }) => ({ type: 'warning', text: `${path}: ${message}` }))
+        ];
+        if (removals.length > 0) {
+            messages.push({ type: 'warning', text: t('debug.removes', { count: removals.length, paths: removals.join(', ') }) });
+        }
+        messages.forEach(({ type, text }) => {
+            const messageEl = document.createElement('div');
+            messageEl.className = `edit-message ${type}`;
+            messageEl.textContent = text;
+            messagesEl.appendChild(messageEl);
+        });
+
+        document.getElementById('edit-preview').style.display = 'block';
+
+        const rows = window.UserDataEditor.getDiffRows(current, next);
+        if (!rows.some(row => row.type === 'changed')) {
+            diffEl.textContent = t('debug.noChanges');
+            return;
+        }
+        rows.forEach(row => {
+            const rowEl = document.createElement('div');
+            rowEl.className = `diff-row ${row.type}`;
+
+            if (row.type === 'skip') {
+                rowEl.textContent = t('debug.unchangedLines', { count: row.count });
+            } else {
+                [row.left, row.right].forEach((text, index) => {
+                    const change = index === 0 ? 'removed' : 'added';
+                    const cell = document.createElement('div');
+                    cell.className = `diff-cell ${text === null ? 'empty' : row.type === 'changed' ? change : 'same'}`;
+                    cell.textContent = text ?? '';
+                    rowEl.appendChild(cell);
+                });
+            }
+            diffEl.appendChild(rowEl);
+        });
+    }
+
+    displayHistory() {
+        const select = document.getElementById('history-select');
+        const history = window.UserDataEditor.getHistory(this.currentUserData.telegram_id);
+
+        select.innerHTML = '';
+        history.forEach((version, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = new Date(version.saved_at).toLocaleString();
+            select.appendChild(option);
+        });
+
+        select.disabled = history.length === 0;
+        document.getElementById('restore-btn').disabled = history.length === 0;
+        document.getElementById('history-empty').style.display = history.length === 0 ? 'block' : 'none';
+    }
+
     // Utility Methods
     getCurrentUserData() {
         return this.currentUserData;
@@ -303,5 +484,7 @@ window.ArenaApp = arenaApp;
 
 // Global functions for onclick handlers
 window.loadUserData = () => arenaApp.loadUserData();
+window.previewUserData = () => arenaApp.previewUserData();
 window.updateUserData = () => arenaApp.updateUserData();
+window.restoreVersion = () => arenaApp.restoreVersion();
 window.toggleDebug = () => arenaApp.toggleDebug();
\ No newline at end of file
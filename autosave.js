@@ -0,0 +1,153 @@
+// Autosave Queue
+// Champion toggles are kept in localStorage until the server has them,
+// flushed after a debounce and retried with backoff while offline
+
+class AutosaveQueue {
+    constructor() {
+        this.changes = [];
+        this.storageKey = null;
+        this.flushHandler = null;
+        this.stateListener = null;
+        this.state = 'saved';
+        this.flushTimer = null;
+        this.retryAttempt = 0;
+        this.isFlushing = false;
+    }
+
+    // Setup
+    start(userId, flushHandler, stateListener) {
+        this.storageKey = `arena-pending-changes-${userId || 'guest'}`;
+        this.flushHandler = flushHandler;
+        this.stateListener = stateListener;
+        this.changes = this.readStorage();
+
+        // Push pending changes as soon as the connection is back or the webview is being hidden
+        window.addEventListener('online', () => this.flush());
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+
+        if (this.changes.length > 0) {
+            window.Logger.info('api', `Found ${this.changes.length} unsaved changes from a previous session`);
+            this.setState('pending');
+            this.scheduleFlush(0);
+        } else {
+            this.setState('saved');
+        }
+    }
+
+    // Persistent Storage
+    readStorage() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to read pending changes', error);
+            return [];
+        }
+    }
+
+    writeStorage() {
+        try {
+            if (this.changes.length > 0) {
+                localStorage.setItem(this.storageKey, JSON.stringify(this.changes));
+            } else {
+                localStorage.removeItem(this.storageKey);
+            }
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to store pending changes', error);
+        }
+    }
+
+    // Queue Management
+    enqueue(listId, championId, completed) {
+        // Only the latest state of a champion in a list matters
+        this.changes = this.changes.filter(change => change.listId !== listId || change.championId !== championId);
+        this.changes.push({
+            listId,
+            championId,
+            completed,
+            changedAt: new Date().toISOString()
+        });
+
+        this.writeStorage();
+        this.setState(this.isFlushing ? 'saving' : 'pending');
+        this.scheduleFlush();
+    }
+
+    getChanges() {
+        return [...this.changes];
+    }
+
+    getPendingCount() {
+        return this.changes.length;
+    }
+
+    // Flushing
+    scheduleFlush(delay = window.CONFIG.APP_CONFIG.AUTOSAVE_DEBOUNCE) {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => this.flush(), delay);
+    }
+
+    async flush() {
+        clearTimeout(this.flushTimer);
+        if (this.isFlushing || this.changes.length === 0 || !this.flushHandler) return;
+
+        const batch = [...this.changes];
+        this.isFlushing = true;
+        this.setState('saving');
+
+        try {
+            await this.flushHandler(batch);
+
+            // Keep changes that were queued while the request was in flight
+            this.changes = this.changes.filter(change => !batch.includes(change));
+            this.writeStorage();
+            this.retryAttempt = 0;
+            this.isFlushing = false;
+
+            if (this.changes.length > 0) {
+                this.setState('pending');
+                this.scheduleFlush();
+            } else {
+                this.setState('saved');
+            }
+
+        } catch (error) {
+            this.isFlushing = false;
+
+            // Retrying can't renew expired initData, the changes stay stored for the next session
+            if (error.type === window.ApiError?.TYPES.AUTH) {
+                window.Logger.info('api', 'Autosave stopped, the session has expired');
+                this.setState('expired');
+                return;
+            }
+
+            const config = window.CONFIG.APP_CONFIG;
+            const delay = Math.min(config.AUTOSAVE_RETRY_BASE_DELAY * 2 ** this.retryAttempt, config.AUTOSAVE_RETRY_MAX_DELAY);
+            this.retryAttempt++;
+
+            window.Logger.warn('api', `Autosave failed (${error.message}), retrying in ${delay}ms`);
+            this.setState('offline');
+            this.scheduleFlush(delay);
+        }
+    }
+
+    // State
+    setState(state) {
+        this.state = state;
+        if (this.stateListener) {
+            this.stateListener(state, this.changes.length);
+        }
+    }
+
+    getState() {
+        return this.state;
+    }
+}
+
+// Initialize autosave queue
+const autosaveQueue = new AutosaveQueue();
+
+// Export for global use
+window.AutosaveQueue = autosaveQueue;
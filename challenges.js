@@ -0,0 +1,129 @@
+// Challenge Lists
+// Named champion lists stored under user_data.challenges:
+//   { active: 'arena_wins', lists: { arena_wins: { name, progress: [...], records: {...}, created_at } } }
+// Saves from before challenge lists existed keep their ids in user_data.arena_progress.
+
+class ChallengeLists {
+    // Read challenge lists from user_data, migrating the legacy arena_progress array
+    fromUserData(userData) {
+        if (userData.challenges && userData.challenges.lists) {
+            const challenges = this.clone(userData.challenges);
+
+            // Lists saved before champion records existed
+            Object.values(challenges.lists).forEach(list => {
+                list.records = list.records || {};
+            });
+
+            return challenges;
+        }
+
+        const config = window.CONFIG.APP_CONFIG;
+        return {
+            active: config.DEFAULT_CHALLENGE_ID,
+            lists: {
+                [config.DEFAULT_CHALLENGE_ID]: {
+                    name: config.DEFAULT_CHALLENGE_NAME,
+                    progress: userData.arena_progress || [],
+                    records: {},
+                    created_at: new Date().toISOString()
+                }
+            }
+        };
+    }
+
+    // List Management
+    createList(challenges, name) {
+        const listId = `list_${Date.now().toString(36)}`;
+        challenges.lists[listId] = {
+            name,
+            progress: [],
+            records: {},
+            created_at: new Date().toISOString()
+        };
+        return listId;
+    }
+
+    renameList(challenges, listId, name) {
+        if (challenges.lists[listId]) {
+            challenges.lists[listId].name = name;
+        }
+    }
+
+    deleteList(challenges, listId) {
+        delete challenges.lists[listId];
+
+        if (challenges.active === listId) {
+            challenges.active = this.getListIds(challenges)[0];
+        }
+    }
+
+    getListIds(challenges) {
+        return Object.keys(challenges.lists)
+            .sort((a, b) => challenges.lists[a].created_at.localeCompare(challenges.lists[b].created_at));
+    }
+
+    // Sync
+    // Merge every list with ProgressSync. A name follows whichever side renamed it, the active list
+    // follows the local copy. Lists created on another device are kept, lists deleted here stay
+    // deleted, and lists deleted on another device stay deleted unless they were changed here.
+    merge(base, local, remote, deletedListIds) {
+        const lists = {};
+        const results = {};
+
+        Object.entries(remote.lists).forEach(([listId, list]) => {
+            if (!deletedListIds.has(listId)) {
+                lists[listId] = this.clone(list);
+            }
+        });
+
+        Object.entries(local.lists).forEach(([listId, list]) => {
+            const remoteList = remote.lists[listId];
+            const baseList = base.lists[listId];
+            if (!remoteList) {
+                if (!baseList || this.isListChanged(baseList, list)) {
+                    lists[listId] = this.clone(list);
+                }
+                return;
+            }
+
+            const result = window.ProgressSync.merge(
+                new Set(baseList ? baseList.progress : []),
+                new Set(list.progress),
+                new Set(remoteList.progress)
+            );
+
+            lists[listId] = {
+                ...remoteList,
+                name: baseList && list.name === baseList.name ? remoteList.name : list.name,
+                progress: Array.from(result.merged),
+                records: window.ChampionRecords.merge(baseList && baseList.records, list.records, remoteList.records)
+            };
+            results[listId] = result;
+        });
+
+        const active = lists[local.active] ? local.active : Object.keys(lists)[0];
+
+        return {
+            challenges: { active, lists },
+            results
+        };
+    }
+
+    isListChanged(baseList, list) {
+        const changes = window.ProgressSync.getChanges(new Set(baseList.progress), new Set(list.progress));
+        return list.name !== baseList.name
+            || changes.added.length > 0
+            || changes.removed.length > 0
+            || JSON.stringify(list.records || {}) !== JSON.stringify(baseList.records || {});
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+}
+
+// Initialize challenge lists
+const challengeLists = new ChallengeLists();
+
+// Export for global use
+window.ChallengeLists = challengeLists;
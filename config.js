@@ -1,18 +1,50 @@
 // Configuration file for Arena LoL Telegram WebApp
 
 // Environment Configuration
-const ENVIRONMENT = 'dev'; // Change to 'prod' for production routes
+// Defaults for local development. A deployment overrides them with config.json and won't start
+// without it, testers can switch the environment with ?env=<name> or the start_param env_<name>,
+// on a deployment only when its config.json sets "ALLOW_ENV_OVERRIDES": true (runtime-config.js).
+const ENVIRONMENT = 'dev';
 
-// API Configuration
-const API_BASE_URL = 'https://arena-back.sh-development.ru/api';
+// API Configuration per environment
+const ENVIRONMENTS = {
+    dev: {
+        API_BASE_URL: 'https://arena-back.sh-development.ru/api',
+        ROUTE_PREFIX: '/dev'
+    },
+    prod: {
+        API_BASE_URL: 'https://arena-back.sh-development.ru/api',
+        ROUTE_PREFIX: '/user'
+    }
+};
+
+// Routes of the active environment
+const API_BASE_URL = ENVIRONMENTS[ENVIRONMENT].API_BASE_URL;
+const ROUTE_PREFIX = ENVIRONMENTS[ENVIRONMENT].ROUTE_PREFIX;
+
+// API Endpoints, rebuilt by runtime-config.js when the environment changes
+const API_ROUTES = {
+    GET_DATA: '/get_data',
+    UPDATE_DATA: '/up_data',
+    GET_FRIENDS: '/friends',
+    GET_FRIEND_DATA: '/friend_data',
+    ADD_FRIEND: '/add_friend'
+};
+
+const API_ENDPOINTS = {};
+Object.entries(API_ROUTES).forEach(([name, route]) => {
+    API_ENDPOINTS[name] = API_BASE_URL + ROUTE_PREFIX + route;
+});
 
-// Route prefix based on environment
-const ROUTE_PREFIX = ENVIRONMENT === 'prod' ? '/user' : '/dev';
+// Data Dragon Configuration
+const DDRAGON_CONFIG = {
+    BASE_URL: 'https://ddragon.leagueoflegends.com',
+    LOCALE: 'en_US', // used when the UI locale has no Data Dragon match
 
-// API Endpoints
-const API_ENDPOINTS = {
-    GET_DATA: API_BASE_URL + ROUTE_PREFIX + '/get_data',
-    UPDATE_DATA: API_BASE_URL + ROUTE_PREFIX + '/up_data'
+    // Offline cache
+    CACHE_DB_NAME: 'arena-ddragon',
+    CACHE_DB_VERSION: 1,
+    ENABLE_SERVICE_WORKER: true
 };
 
 // App Configuration /
@@ -25,17 +57,75 @@ const APP_CONFIG = {
     AUTO_HIDE_STATUS_DELAY: 5000, // 5 seconds
     DEBUG_MAX_HEIGHT: '300px',
 
+    // API requests
+    API_TIMEOUT: 10000, // 10 seconds per attempt
+    API_MAX_RETRIES: 3, // idempotent requests only
+    API_RETRY_BASE_DELAY: 500, // doubled after every failed attempt
+
+    // Autosave
+    AUTOSAVE_DEBOUNCE: 1500, // 1.5 seconds after the last toggle
+    AUTOSAVE_RETRY_BASE_DELAY: 2000, // doubled after every failed attempt
+    AUTOSAVE_RETRY_MAX_DELAY: 60000, // 1 minute
+
+    // Offline mirrors of user_data
+    CLOUD_STORAGE_CHUNK_SIZE: 4000, // Telegram allows 4096 characters per value
+    CLOUD_STORAGE_MAX_CHUNKS: 500, // two slots have to fit into the 1024 keys per user
+    CLOUD_STORAGE_TIMEOUT: 5000, // 5 seconds
+    RECONCILE_CONFLICT_RETRIES: 3, // offline edits merged again when another device saved first
+
+    // Champion grid
+    SEARCH_DEBOUNCE: 200, // re-render once typing pauses
+    GRID_IMAGE_MARGIN: '400px', // portraits start loading this far outside the viewport
+    GRID_OVERSCAN_ROWS: 3, // rows rendered above and below the viewport
+    LONG_PRESS_DELAY: 500, // holding a card in edit mode starts a range selection
+
+    // Patch history (patches.js)
+    PATCH_HISTORY_LIMIT: 50, // patches remembered in user_data
+    PATCH_SELECTOR_LIMIT: 20, // recent patches the grid can be viewed as of
+
+    // Challenge lists
+    DEFAULT_CHALLENGE_ID: 'arena_wins', // holds progress migrated from arena_progress
+    DEFAULT_CHALLENGE_NAME: 'Arena Wins',
+
+    // Statistics
+    STATS_PACE_WINDOW_DAYS: 30, // recent completions used to project the pace
+
+    // Champion picker
+    PICKER_RECENT_LIMIT: 10, // picks remembered for "avoid recent picks"
+    PICKER_RECENT_PENALTY: 0.1, // weight multiplier for a recent pick
+    PICKER_WEAK_CLASS_BOOST: 2, // extra weight for a class with no completions yet
+    PICKER_REVEAL_DURATION: 1200, // 1.2 seconds
+
+    // Runtime configuration (runtime-config.js)
+    CONFIG_URL: 'config.json', // required on a deployment, locally a missing file keeps the defaults
+    CONFIG_TIMEOUT: 3000, // 3 seconds, then the remembered copy is used
+
+    // Diagnostics log (logger.js)
+    LOG_LIMIT: 500, // entries kept in memory
+    LOG_REQUEST_LIMIT: 100, // requests kept in the network log
+    DIAGNOSTICS_TAP_COUNT: 5, // taps on the tracker title that open the diagnostics sheet
+    DIAGNOSTICS_TAP_WINDOW: 2000, // ...within 2 seconds
+
+    // Debug page user_data editor
+    DEBUG_HISTORY_LIMIT: 20, // replaced versions kept per user for restoring
+
     // Default placeholders
     DEFAULT_JSON_PLACEHOLDER: '{"test": "test_data", "preferences": {"theme": "dark"}}',
 
     // Feature flags
     ENABLE_DEBUG: true,
     ENABLE_HAPTIC_FEEDBACK: true,
-    ENABLE_AUTO_EXPAND: true
+    ENABLE_AUTO_EXPAND: true,
+    ENABLE_AUTOSAVE: true,
+    ENABLE_CLOUD_MIRROR: true
 };
 
 // Telegram WebApp Configuration
 const TELEGRAM_CONFIG = {
+    // Deep links (t.me/<BOT_USERNAME>/<APP_SHORT_NAME>?startapp=...), sharing is off while empty
+    BOT_USERNAME: '',
+    APP_SHORT_NAME: '',
+
     // Theme support
     ENABLE_THEME_PARAMS: true,
 
@@ -50,12 +140,45 @@ const TELEGRAM_CONFIG = {
     }
 };
 
+// Dev Mode Configuration
+// Runs the app in a plain browser: a fake Telegram.WebApp, a mock backend for the API
+// routes and Data Dragon fixtures (dev.js, dev-fixtures.js). Never active in prod.
+const DEV_CONFIG = {
+    ENABLED: false,
+
+    // Fake Telegram.WebApp
+    USER: null, // { id, first_name, username, language_code }, null uses the first fixture user
+    PLATFORM: 'tdesktop',
+    VERSION: '8.0',
+    COLOR_SCHEME: 'dark',
+    THEME_PARAMS: {
+        bg_color: '#17212b',
+        text_color: '#f5f5f5',
+        hint_color: '#708499',
+        link_color: '#6ab3f3',
+        button_color: '#5288c1',
+        button_text_color: '#ffffff',
+        secondary_bg_color: '#232e3c'
+    },
+    START_PARAM: '', // e.g. 'friend_100000002'
+
+    // Mock backend
+    MOCK_API: true,
+    MOCK_DDRAGON: true,
+    PERSIST_MOCK_DATA: true, // keep mock users in localStorage across reloads
+    MOCK_LATENCY: 150 // ms
+};
+
 // Export configuration for use in other files
 window.CONFIG = {
     ENVIRONMENT,
+    ENVIRONMENTS,
     API_BASE_URL,
     ROUTE_PREFIX,
+    API_ROUTES,
     API_ENDPOINTS,
+    DDRAGON_CONFIG,
     APP_CONFIG,
-    TELEGRAM_CONFIG
+    TELEGRAM_CONFIG,
+    DEV_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,142 @@
+// Data Dragon Catalog
+// Champion data is cached in IndexedDB so the tracker can start offline,
+// champion portraits are cached by the service worker (sw.js)
+
+class DataDragon {
+    constructor() {
+        this.config = window.CONFIG.DDRAGON_CONFIG;
+        this.dbPromise = null;
+
+        this.registerServiceWorker();
+    }
+
+    // Service Worker
+    registerServiceWorker() {
+        if (!this.config.ENABLE_SERVICE_WORKER || !('serviceWorker' in navigator)) return;
+
+        navigator.serviceWorker.register('sw.js')
+            .then(() => window.Logger.info('ddragon', 'Portrait cache service worker registered'))
+            .catch(error => window.Logger.warn('ddragon', 'Service worker registration failed', error));
+    }
+
+    // IndexedDB Cache
+    openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(this.config.CACHE_DB_NAME, this.config.CACHE_DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('catalog')) {
+                    db.createObjectStore('catalog');
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    async readCache(key) {
+        try {
+            const db = await this.openDatabase();
+            return await new Promise((resolve, reject) => {
+                const request = db.transaction('catalog', 'readonly').objectStore('catalog').get(key);
+                request.onsuccess = () => resolve(request.result || null);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            window.Logger.warn('ddragon', `Failed to read "${key}" from cache`, error);
+            return null;
+        }
+    }
+
+    async writeCache(key, value) {
+        try {
+            const db = await this.openDatabase();
+            await new Promise((resolve, reject) => {
+                const transaction = db.transaction('catalog', 'readwrite');
+                transaction.objectStore('catalog').put(value, key);
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        } catch (error) {
+            window.Logger.warn('ddragon', `Failed to write "${key}" to cache`, error);
+        }
+    }
+
+    // Network
+    async fetchVersions() {
+        const response = await window.Logger.fetch('ddragon', `${this.config.BASE_URL}/api/versions.json`);
+        if (!response.ok) throw new Error('Failed to fetch versions');
+
+        return await response.json();
+    }
+
+    async fetchChampions(version, locale) {
+        const response = await window.Logger.fetch(
+            'ddragon',
+            `${this.config.BASE_URL}/cdn/${version}/data/${locale}/champion.json`
+        );
+        if (!response.ok) throw new Error('Failed to fetch champions');
+
+        const data = await response.json();
+        return Object.values(data.data);
+    }
+
+    // Catalog
+    // Every Data Dragon locale is cached separately
+    async getCachedCatalog(locale = this.config.LOCALE) {
+        const catalog = await this.readCache(`champions_${locale}`);
+        if (!catalog || !catalog.version || !Array.isArray(catalog.champions)) return null;
+
+        return catalog;
+    }
+
+    // Returns a fresh catalog, or null when `knownVersion` is already the latest patch
+    async fetchCatalog(knownVersion = null, locale = this.config.LOCALE) {
+        const versions = await this.fetchVersions();
+        const latestVersion = versions[0];
+
+        if (latestVersion === knownVersion) return null;
+
+        const champions = await this.fetchChampions(latestVersion, locale);
+        const catalog = {
+            version: latestVersion,
+            // For the patch selector, older catalogs are fetched on demand
+            versions: versions.slice(0, window.CONFIG.APP_CONFIG.PATCH_SELECTOR_LIMIT),
+            locale,
+            champions,
+            fetchedAt: new Date().toISOString()
+        };
+
+        await this.writeCache(`champions_${locale}`, catalog);
+        window.Logger.info('ddragon', `Cached ${locale} champion catalog for patch ${latestVersion}`);
+
+        return catalog;
+    }
+
+    // Image URLs
+    getChampionImageUrl(version, champion) {
+        return `${this.config.BASE_URL}/cdn/${version}/img/champion/${champion.image.full}`;
+    }
+
+    // Sheets of 48px tiles, champion.image.sprite names the sheet and x/y/w/h the tile
+    getSpriteUrl(version, sprite) {
+        return `${this.config.BASE_URL}/cdn/${version}/img/sprite/${sprite}`;
+    }
+}
+
+// Initialize Data Dragon catalog
+const dataDragon = new DataDragon();
+
+// Export for global use
+window.DataDragon = dataDragon;
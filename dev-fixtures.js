@@ -0,0 +1,66 @@
+// Dev Mode Fixtures
+// A small Data Dragon catalog and a few users for the local mock backend (dev.js)
+
+const DEV_FIXTURES = {
+    versions: ['14.20.1', '14.19.1'],
+
+    // A champion with `since` is missing from the patches before it, to try out the new-patch banner
+    champions: [
+        { id: 'Ahri', key: '103', name: 'Ahri', title: 'the Nine-Tailed Fox', tags: ['Mage', 'Assassin'], partype: 'Mana', info: { attack: 3, defense: 4, magic: 8, difficulty: 5 }, image: { full: 'Ahri.png' } },
+        { id: 'Annie', key: '1', name: 'Annie', title: 'the Dark Child', tags: ['Mage'], partype: 'Mana', info: { attack: 2, defense: 3, magic: 10, difficulty: 6 }, image: { full: 'Annie.png' } },
+        { id: 'Darius', key: '122', name: 'Darius', title: 'the Hand of Noxus', tags: ['Fighter', 'Tank'], partype: 'Mana', info: { attack: 9, defense: 5, magic: 1, difficulty: 2 }, image: { full: 'Darius.png' } },
+        { id: 'Garen', key: '86', name: 'Garen', title: 'The Might of Demacia', tags: ['Fighter', 'Tank'], partype: 'None', info: { attack: 7, defense: 7, magic: 1, difficulty: 5 }, image: { full: 'Garen.png' } },
+        { id: 'Jinx', key: '222', name: 'Jinx', title: 'the Loose Cannon', tags: ['Marksman'], partype: 'Mana', info: { attack: 9, defense: 2, magic: 4, difficulty: 6 }, image: { full: 'Jinx.png' } },
+        { id: 'KaiSa', key: '145', name: "Kai'Sa", title: 'Daughter of the Void', tags: ['Marksman'], partype: 'Mana', info: { attack: 8, defense: 5, magic: 3, difficulty: 6 }, image: { full: 'Kaisa.png' }, since: '14.20.1' },
+        { id: 'Leona', key: '89', name: 'Leona', title: 'the Radiant Dawn', tags: ['Tank', 'Support'], partype: 'Mana', info: { attack: 4, defense: 8, magic: 3, difficulty: 4 }, image: { full: 'Leona.png' } },
+        { id: 'Lux', key: '99', name: 'Lux', title: 'the Lady of Luminosity', tags: ['Mage', 'Support'], partype: 'Mana', info: { attack: 2, defense: 4, magic: 9, difficulty: 5 }, image: { full: 'Lux.png' } },
+        { id: 'MonkeyKing', key: '62', name: 'Wukong', title: 'the Monkey King', tags: ['Fighter', 'Tank'], partype: 'Mana', info: { attack: 8, defense: 5, magic: 2, difficulty: 3 }, image: { full: 'MonkeyKing.png' } },
+        { id: 'Nunu', key: '20', name: 'Nunu & Willump', title: 'the Boy and His Yeti', tags: ['Tank', 'Mage'], partype: 'Mana', info: { attack: 4, defense: 6, magic: 7, difficulty: 4 }, image: { full: 'Nunu.png' } },
+        { id: 'Thresh', key: '412', name: 'Thresh', title: 'the Chain Warden', tags: ['Support', 'Fighter'], partype: 'Mana', info: { attack: 5, defense: 6, magic: 6, difficulty: 7 }, image: { full: 'Thresh.png' } },
+        { id: 'Zed', key: '238', name: 'Zed', title: 'the Master of Shadows', tags: ['Assassin'], partype: 'Energy', info: { attack: 9, defense: 2, magic: 1, difficulty: 7 }, image: { full: 'Zed.png' } }
+    ],
+
+    // Users known to the mock backend, the first one is the dev user unless DEV_CONFIG.USER says otherwise
+    users: [
+        {
+            telegram_id: 100000001,
+            first_name: 'Dev',
+            last_name: 'User',
+            username: 'dev_user',
+            language_code: 'en',
+            user_data: {
+                arena_progress: ['Ahri', 'Jinx', 'Leona']
+            },
+            friends: [100000002, 100000003]
+        },
+        {
+            telegram_id: 100000002,
+            first_name: 'Alex',
+            username: 'alex_arena',
+            language_code: 'en',
+            user_data: {
+                challenges: {
+                    active: 'arena_wins',
+                    lists: {
+                        arena_wins: { name: 'Arena Wins', progress: ['Ahri', 'Darius', 'Garen', 'Zed', 'Lux'], records: { Zed: { completed_at: '2024-10-02', placement: 1 } }, created_at: '2024-09-01T10:00:00.000Z' }
+                    }
+                },
+                progress_revision: 4
+            },
+            friends: [100000001]
+        },
+        {
+            telegram_id: 100000003,
+            first_name: 'Маша',
+            username: 'masha',
+            language_code: 'ru',
+            user_data: {
+                arena_progress: ['Thresh', 'Nunu']
+            },
+            friends: [100000001]
+        }
+    ]
+};
+
+// Export for global use
+window.DEV_FIXTURES = DEV_FIXTURES;
@@ -0,0 +1,582 @@
+// Dev Mode
+// Lets the app run in a plain browser with no Telegram and no network:
+// a fake Telegram.WebApp, a mock backend for the API routes and Data Dragon fixtures.
+// Load after config.js, runtime-config.js and dev-fixtures.js, before telegram.js. Does nothing unless
+// DEV_CONFIG.ENABLED is set, and never in prod.
+
+// Mock Backend
+// In-memory stand-in for the API routes, optionally persisted to localStorage
+class MockBackend {
+    constructor(fixtures, options = {}) {
+        this.fixtures = fixtures;
+        this.storageKey = options.storageKey || null;
+        this.failures = {};
+        this.isSessionExpired = false;
+        this.users = this.readStorage() || this.createUsers(fixtures.users);
+    }
+
+    createUsers(fixtureUsers) {
+        const now = new Date().toISOString();
+        const users = {};
+
+        fixtureUsers.forEach(user => {
+            users[user.telegram_id] = {
+                ...JSON.parse(JSON.stringify(user)),
+                friends: [...(user.friends || [])],
+                created_at: user.created_at || now,
+                updated_at: user.updated_at || now
+            };
+        });
+
+        return users;
+    }
+
+    // Persistence
+    readStorage() {
+        if (!this.storageKey) return null;
+
+        try {
+            return JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    writeStorage() {
+        if (!this.storageKey) return;
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.users));
+        } catch (error) {
+            console.warn('Failed to store mock backend data:', error);
+        }
+    }
+
+    reset() {
+        this.users = this.createUsers(this.fixtures.users);
+        this.failures = {};
+        this.isSessionExpired = false;
+        this.writeStorage();
+    }
+
+    // Failure Simulation
+    // The next `count` calls to `route` (e.g. 'get_data') answer with `status`
+    failNext(route, status, count = 1) {
+        this.failures[route] = { status, count };
+    }
+
+    expireSession(expired = true) {
+        this.isSessionExpired = expired;
+    }
+
+    // Requests
+    async handle(route, headers = {}, body = {}) {
+        const failure = this.failures[route];
+        if (failure && failure.count > 0) {
+            failure.count--;
+            return this.respond(failure.status, { error: `Simulated ${failure.status}` });
+        }
+
+        const user = this.authenticate(headers);
+        if (!user) {
+            return this.respond(401, { error: 'Invalid or expired initData' });
+        }
+
+        switch (route) {
+            case 'get_data':
+                return this.respond(200, { user: this.toPublicUser(user) });
+            case 'up_data':
+                return this.updateData(user, body);
+            case 'friends':
+                return this.respond(200, {
+                    friends: user.friends.map(id => this.users[id]).filter(Boolean).map(friend => this.toPublicUser(friend))
+                });
+            case 'friend_data':
+                return this.friendData(user, body);
+            case 'add_friend':
+                return this.addFriend(user, body);
+            default:
+                return this.respond(404, { error: `Unknown route ${route}` });
+        }
+    }
+
+    // The user comes from the initData the fake WebApp signed, like the real backend
+    authenticate(headers) {
+        if (this.isSessionExpired) return null;
+
+        const initData = headers['X-Telegram-Init-Data'];
+        if (!initData) return null;
+
+        try {
+            const telegramUser = JSON.parse(new URLSearchParams(initData).get('user'));
+            if (!this.users[telegramUser.id]) {
+                const now = new Date().toISOString();
+                this.users[telegramUser.id] = {
+                    telegram_id: telegramUser.id,
+                    first_name: telegramUser.first_name,
+                    last_name: telegramUser.last_name,
+                    username: telegramUser.username,
+                    language_code: telegramUser.language_code,
+                    user_data: {},
+                    friends: [],
+                    created_at: now,
+                    updated_at: now
+                };
+                this.writeStorage();
+            }
+            return this.users[telegramUser.id];
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // base_revision guards concurrent writes the same way the real /up_data does
+    updateData(user, body) {
+        if (!body.user_data || typeof body.user_data !== 'object') {
+            return this.respond(400, { error: 'user_data is required' });
+        }
+
+        const currentRevision = user.user_data.progress_revision || 0;
+        if (body.base_revision !== undefined && body.base_revision !== currentRevision) {
+            return this.respond(409, { error: `Revision is ${currentRevision}, not ${body.base_revision}` });
+        }
+
+        user.user_data = body.user_data;
+        user.updated_at = new Date().toISOString();
+        this.writeStorage();
+
+        return this.respond(200, { user: this.toPublicUser(user) });
+    }
+
+    friendData(user, body) {
+        const friend = this.users[body.friend_id];
+        if (!friend || !user.friends.includes(friend.telegram_id)) {
+            return this.respond(404, { error: 'Not a friend' });
+        }
+
+        return this.respond(200, { user: this.toPublicUser(friend) });
+    }
+
+    addFriend(user, body) {
+        const friend = this.users[body.friend_id];
+        if (!friend || friend.telegram_id === user.telegram_id) {
+            return this.respond(404, { error: 'User not found' });
+        }
+
+        if (!user.friends.includes(friend.telegram_id)) user.friends.push(friend.telegram_id);
+        if (!friend.friends.includes(user.telegram_id)) friend.friends.push(user.telegram_id);
+        this.writeStorage();
+
+        return this.respond(200, { user: this.toPublicUser(friend) });
+    }
+
+    toPublicUser(user) {
+        const { friends, ...publicUser } = user;
+        return JSON.parse(JSON.stringify(publicUser));
+    }
+
+    respond(status, body) {
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json' }
+        });
+    }
+
+    // Data Dragon
+    handleDataDragon(path) {
+        if (path === '/api/versions.json') {
+            return this.respond(200, this.fixtures.versions);
+        }
+
+        const match = path.match(/^\/cdn\/([^/]+)\/data\/([^/]+)\/champion\.json$/);
+        if (match) {
+            // `since` leaves a fixture champion out of older patches
+            const versions = this.fixtures.versions;
+            const data = {};
+            this.fixtures.champions.forEach(({ since, ...champion }) => {
+                if (since && versions.indexOf(match[1]) > versions.indexOf(since)) return;
+                data[champion.id] = { ...champion, version: match[1] };
+            });
+            return this.respond(200, { type: 'champion', version: match[1], data });
+        }
+
+        return this.respond(404, { error: `No fixture for ${path}` });
+    }
+}
+
+// Fake Telegram WebApp
+// Just enough of window.Telegram.WebApp for telegram.js, with visible stand-ins
+// for the MainButton and BackButton
+class FakeTelegramWebApp {
+    constructor(config, user) {
+        const telegramUser = {
+            id: user.telegram_id || user.id,
+            first_name: user.first_name,
+            last_name: user.last_name,
+            username: user.username,
+            language_code: user.language_code
+        };
+        const authDate = Math.floor(Date.now() / 1000);
+
+        this.initData = `user=${encodeURIComponent(JSON.stringify(telegramUser))}&auth_date=${authDate}&hash=dev`;
+        this.initDataUnsafe = {
+            user: telegramUser,
+            auth_date: authDate,
+            start_param: config.START_PARAM || undefined
+        };
+        this.version = config.VERSION;
+        this.platform = config.PLATFORM;
+        this.colorScheme = config.COLOR_SCHEME;
+        this.themeParams = { ...config.THEME_PARAMS };
+        this.isExpanded = true;
+        this.isFullscreen = false;
+        this.isClosingConfirmationEnabled = false;
+        this.headerColor = null;
+        this.backgroundColor = null;
+        this.eventHandlers = {};
+
+        this.MainButton = this.createButton('main');
+        this.BackButton = this.createButton('back');
+        this.SettingsButton = this.createButton('settings');
+        this.HapticFeedback = {
+            impactOccurred: style => console.log(`[dev] haptic impact: ${style}`),
+            notificationOccurred: type => console.log(`[dev] haptic notification: ${type}`),
+            selectionChanged: () => console.log('[dev] haptic selection')
+        };
+        this.CloudStorage = this.createCloudStorage();
+    }
+
+    get viewportHeight() {
+        return window.innerHeight;
+    }
+
+    get viewportStableHeight() {
+        return window.innerHeight;
+    }
+
+    // Lifecycle
+    ready() {}
+
+    expand() {
+        this.isExpanded = true;
+    }
+
+    close() {
+        console.log('[dev] WebApp.close()');
+    }
+
+    requestFullscreen() {
+        this.isFullscreen = true;
+        this.emit('fullscreenChanged');
+    }
+
+    exitFullscreen() {
+        this.isFullscreen = false;
+        this.emit('fullscreenChanged');
+    }
+
+    isVersionAtLeast(version) {
+        const current = this.version.split('.').map(Number);
+        const wanted = String(version).split('.').map(Number);
+        for (let i = 0; i < Math.max(current.length, wanted.length); i++) {
+            if ((current[i] || 0) !== (wanted[i] || 0)) return (current[i] || 0) > (wanted[i] || 0);
+        }
+        return true;
+    }
+
+    // Events
+    onEvent(eventType, handler) {
+        this.eventHandlers[eventType] = this.eventHandlers[eventType] || [];
+        this.eventHandlers[eventType].push(handler);
+    }
+
+    offEvent(eventType, handler) {
+        this.eventHandlers[eventType] = (this.eventHandlers[eventType] || []).filter(h => h !== handler);
+    }
+
+    emit(eventType, ...args) {
+        (this.eventHandlers[eventType] || []).forEach(handler => handler.apply(this, args));
+    }
+
+    // Appearance
+    setHeaderColor(color) {
+        this.headerColor = color;
+    }
+
+    setBackgroundColor(color) {
+        this.backgroundColor = color;
+    }
+
+    enableClosingConfirmation() {
+        this.isClosingConfirmationEnabled = true;
+    }
+
+    disableClosingConfirmation() {
+        this.isClosingConfirmationEnabled = false;
+    }
+
+    // Popups
+    showAlert(message, callback) {
+        alert(message);
+        if (callback) callback();
+    }
+
+    showConfirm(message, callback) {
+        const result = confirm(message);
+        if (callback) callback(result);
+    }
+
+    showPopup(params, callback) {
+        const result = confirm(params.message);
+        const buttons = params.buttons || [{ id: 'ok' }];
+        if (callback) callback(result ? buttons[0].id : null);
+    }
+
+    // Links
+    openLink(url) {
+        window.open(url, '_blank');
+    }
+
+    openTelegramLink(url) {
+        console.log(`[dev] openTelegramLink: ${url}`);
+        window.open(url, '_blank');
+    }
+
+    switchInlineQuery(query, chatTypes) {
+        console.log(`[dev] switchInlineQuery: "${query}"`, chatTypes);
+    }
+
+    // Buttons
+    // Drawn as a small fixed bar so flows that rely on them can be clicked through
+    createButton(kind) {
+        const handlers = [];
+        const button = {
+            text: kind === 'main' ? 'CONTINUE' : '',
+            isVisible: false,
+            isActive: true,
+            isProgressVisible: false,
+            element: null,
+
+            setText(text) {
+                button.text = text;
+                button.render();
+                return button;
+            },
+            setParams(params) {
+                if (params.text !== undefined) button.text = params.text;
+                if (params.is_visible !== undefined) button.isVisible = params.is_visible;
+                if (params.is_active !== undefined) button.isActive = params.is_active;
+                button.render();
+                return button;
+            },
+            onClick(handler) {
+                handlers.push(handler);
+                return button;
+            },
+            offClick(handler) {
+                const index = handlers.indexOf(handler);
+                if (index !== -1) handlers.splice(index, 1);
+                return button;
+            },
+            show() {
+                button.isVisible = true;
+                button.render();
+                return button;
+            },
+            hide() {
+                button.isVisible = false;
+                button.render();
+                return button;
+            },
+            enable() {
+                button.isActive = true;
+                button.render();
+                return button;
+            },
+            disable() {
+                button.isActive = false;
+                button.render();
+                return button;
+            },
+            showProgress() {
+                button.isProgressVisible = true;
+                button.render();
+                return button;
+            },
+            hideProgress() {
+                button.isProgressVisible = false;
+                button.render();
+                return button;
+            },
+            render() {
+                if (!document.body) return;
+
+                if (!button.element) {
+                    button.element = document.createElement('button');
+                    button.element.className = `dev-telegram-button dev-telegram-${kind}`;
+                    button.element.onclick = () => {
+                        if (button.isActive) handlers.slice().forEach(handler => handler());
+                    };
+                    document.body.appendChild(button.element);
+                }
+
+                const labels = { back: '‹ Back', settings: '⚙' };
+                button.element.textContent = kind === 'main'
+                    ? (button.isProgressVisible ? `${button.text} …` : button.text)
+                    : labels[kind];
+                button.element.style.display = button.isVisible ? 'block' : 'none';
+                button.element.disabled = !button.isActive;
+            }
+        };
+
+        return button;
+    }
+
+    // Cloud Storage
+    // Backed by localStorage, same callback API as Telegram's
+    createCloudStorage() {
+        const prefix = 'arena-dev-cloud-';
+        const done = (callback, error, result) => setTimeout(() => callback && callback(error, result), 0);
+
+        return {
+            setItem: (key, value, callback) => {
+                localStorage.setItem(prefix + key, value);
+                done(callback, null, true);
+            },
+            getItem: (key, callback) => {
+                done(callback, null, localStorage.getItem(prefix + key) ?? '');
+            },
+            getItems: (keys, callback) => {
+                const values = {};
+                keys.forEach(key => {
+                    values[key] = localStorage.getItem(prefix + key) ?? '';
+                });
+                done(callback, null, values);
+            },
+            removeItem: (key, callback) => {
+                localStorage.removeItem(prefix + key);
+                done(callback, null, true);
+            },
+            removeItems: (keys, callback) => {
+                keys.forEach(key => localStorage.removeItem(prefix + key));
+                done(callback, null, true);
+            },
+            getKeys: callback => {
+                const keys = Object.keys(localStorage)
+                    .filter(key => key.startsWith(prefix))
+                    .map(key => key.slice(prefix.length));
+                done(callback, null, keys);
+            }
+        };
+    }
+}
+
+// Dev Mode Setup
+class DevMode {
+    constructor() {
+        this.isEnabled = false;
+        this.backend = null;
+        this.webApp = null;
+
+        const config = window.CONFIG;
+        if (!config?.DEV_CONFIG?.ENABLED || config.ENVIRONMENT === 'prod') return;
+
+        this.enable(config.DEV_CONFIG);
+    }
+
+    enable(devConfig) {
+        const fixtures = window.DEV_FIXTURES;
+        if (!fixtures) {
+            console.error('Dev mode needs dev-fixtures.js to be included before dev.js');
+            return;
+        }
+
+        this.isEnabled = true;
+        this.backend = new MockBackend(fixtures, {
+            storageKey: devConfig.PERSIST_MOCK_DATA ? 'arena-dev-backend' : null
+        });
+
+        // A real Telegram client wins over the fake one
+        if (!window.Telegram?.WebApp?.initData) {
+            this.webApp = new FakeTelegramWebApp(devConfig, devConfig.USER || fixtures.users[0]);
+            window.Telegram = { WebApp: this.webApp };
+            this.addButtonStyles();
+        }
+
+        this.installFetch(devConfig);
+        console.log('Dev mode enabled: fake Telegram WebApp, mock API and Data Dragon fixtures');
+    }
+
+    // Requests to the API and to Data Dragon never leave the browser
+    installFetch(devConfig) {
+        const realFetch = window.fetch.bind(window);
+
+        window.fetch = async (input, init = {}) => {
+            const url = typeof input === 'string' ? input : input.url;
+            // Read on every request, config.json and overrides can still change the routes
+            const apiBase = window.CONFIG.API_BASE_URL + window.CONFIG.ROUTE_PREFIX + '/';
+            const ddragonBase = window.CONFIG.DDRAGON_CONFIG.BASE_URL;
+            let response = null;
+
+            if (devConfig.MOCK_API && url.startsWith(apiBase)) {
+                const route = url.slice(apiBase.length).split('?')[0];
+                const body = init.body ? JSON.parse(init.body) : {};
+                response = () => this.backend.handle(route, init.headers || {}, body);
+            } else if (devConfig.MOCK_DDRAGON && url.startsWith(ddragonBase) && !url.includes('/img/')) {
+                response = () => this.backend.handleDataDragon(url.slice(ddragonBase.length));
+            }
+
+            if (!response) return realFetch(input, init);
+
+            await this.delay(devConfig.MOCK_LATENCY, init.signal);
+            console.log(`[dev] ${init.method || 'GET'} ${url}`);
+            return response();
+        };
+    }
+
+    // Honours AbortController so request timeouts can be tried out
+    delay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            signal?.addEventListener('abort', () => {
+                clearTimeout(timer);
+                const error = new Error('The operation was aborted');
+                error.name = 'AbortError';
+                reject(error);
+            });
+        });
+    }
+
+    addButtonStyles() {
+        const style = document.createElement('style');
+        style.textContent = `
+            .dev-telegram-button { position: fixed; z-index: 10000; border: none; border-radius: 8px; padding: 12px 16px; font-weight: bold; cursor: pointer; }
+            .dev-telegram-main { left: 10px; right: 10px; bottom: 10px; background: #5288c1; color: #fff; }
+            .dev-telegram-main:disabled { opacity: 0.6; }
+            .dev-telegram-back { left: 10px; top: 10px; background: rgba(0, 0, 0, 0.6); color: #fff; }
+            .dev-telegram-settings { right: 10px; top: 10px; background: rgba(0, 0, 0, 0.6); color: #fff; }
+        `;
+        document.head.appendChild(style);
+    }
+
+    // Console Helpers
+    // e.g. DevMode.setColorScheme('light'), DevMode.backend.failNext('up_data', 503)
+    setColorScheme(scheme, themeParams = {}) {
+        if (!this.webApp) return;
+
+        this.webApp.colorScheme = scheme;
+        this.webApp.themeParams = { ...this.webApp.themeParams, ...themeParams };
+        this.webApp.emit('themeChanged');
+    }
+
+    resetBackend() {
+        if (this.backend) this.backend.reset();
+    }
+}
+
+// Initialize dev mode
+const devMode = new DevMode();
+
+// Export for global use
+window.MockBackend = MockBackend;
+window.DevMode = devMode;
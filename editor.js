@@ -0,0 +1,302 @@
+// User Data Editor
+// The checks behind the debug page's user_data editor (test.html): a schema for the keys the tracker
+// reads, JSON merge patches, a line diff for the preview and a local history of replaced versions.
+
+// Schema
+// A small JSON Schema subset: type, enum, minimum, maximum, required, properties, additionalProperties
+// and items. Unknown keys are allowed but reported, the debug page is also used to store test data.
+const CHAMPION_IDS_SCHEMA = { type: 'array', items: { type: 'string' } };
+
+const USER_DATA_SCHEMA = {
+    type: 'object',
+    properties: {
+        // Progress from before challenge lists, migrated into DEFAULT_CHALLENGE_ID
+        arena_progress: CHAMPION_IDS_SCHEMA,
+        challenges: {
+            type: 'object',
+            required: ['active', 'lists'],
+            properties: {
+                active: { type: 'string' },
+                lists: {
+                    type: 'object',
+                    additionalProperties: {
+                        type: 'object',
+                        required: ['name', 'progress'],
+                        properties: {
+                            name: { type: 'string' },
+                            progress: CHAMPION_IDS_SCHEMA,
+                            records: {
+                                type: 'object',
+                                additionalProperties: {
+                                    type: 'object',
+                                    properties: {
+                                        completed_at: { type: 'string' },
+                                        placement: { type: 'integer', minimum: 1, maximum: 8 }
+                                    }
+                                }
+                            },
+                            created_at: { type: 'string' }
+                        }
+                    }
+                }
+            }
+        },
+        settings: {
+            type: 'object',
+            properties: {
+                theme: { type: 'string', enum: ['lol', 'telegram', 'light', 'dark'] }, // THEME_MODES in theme.js
+                saved_views: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['name', 'filters'],
+                        properties: {
+                            name: { type: 'string' },
+                            filters: { type: 'object', additionalProperties: true }
+                        }
+                    }
+                },
+                exclude_new_champions: { type: 'boolean' },
+                catalog: { // patches.js
+                    type: 'object',
+                    required: ['version', 'champions'],
+                    properties: {
+                        version: { type: 'string' },
+                        champions: { type: 'array', items: { type: 'string' } },
+                        history: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['version', 'added'],
+                                properties: {
+                                    version: { type: 'string' },
+                                    added: { type: 'array', items: { type: 'string' } },
+                                    seen_at: { type: 'string' }
+                                }
+                            }
+                        },
+                        dismissed: { type: 'string' }
+                    }
+                }
+            }
+        },
+        progress_revision: { type: 'integer', minimum: 0 },
+        last_updated: { type: 'string' }
+    }
+};
+
+class UserDataEditor {
+    constructor() {
+        this.schema = USER_DATA_SCHEMA;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    clone(value) {
+        return JSON.parse(JSON.stringify(value));
+    }
+
+    // Validation
+    matchesType(value, type) {
+        switch (type) {
+            case 'object': return this.isObject(value);
+            case 'array': return Array.isArray(value);
+            case 'integer': return Number.isInteger(value);
+            default: return typeof value === type;
+        }
+    }
+
+    // Returns { errors, warnings }, both lists of { path, message }
+    validate(value, schema = this.schema, path = 'user_data', result = { errors: [], warnings: [] }) {
+        const t = window.I18n.t.bind(window.I18n);
+
+        if (schema.type && !this.matchesType(value, schema.type)) {
+            result.errors.push({ path, message: t('editor.expectedType', { type: schema.type }) });
+            return result;
+        }
+        if (schema.enum && !schema.enum.includes(value)) {
+            result.errors.push({ path, message: t('editor.expectedOneOf', { values: schema.enum.join(', ') }) });
+        }
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            result.errors.push({ path, message: t('editor.belowMinimum', { minimum: schema.minimum }) });
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            result.errors.push({ path, message: t('editor.aboveMaximum', { maximum: schema.maximum }) });
+        }
+
+        if (Array.isArray(value) && schema.items) {
+            value.forEach((item, index) => this.validate(item, schema.items, `${path}[${index}]`, result));
+        }
+
+        if (this.isObject(value)) {
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) result.errors.push({ path: `${path}.${key}`, message: t('editor.missingKey') });
+            });
+
+            Object.entries(value).forEach(([key, child]) => {
+                const childSchema = schema.properties?.[key] || schema.additionalProperties;
+                if (this.isObject(childSchema)) {
+                    this.validate(child, childSchema, `${path}.${key}`, result);
+                } else if (!childSchema) {
+                    result.warnings.push({ path: `${path}.${key}`, message: t('editor.unknownKey') });
+                }
+            });
+        }
+
+        return result;
+    }
+
+    // Editing
+    // RFC 7386: objects merge recursively, null deletes a key, anything else replaces the value
+    mergePatch(target, patch) {
+        if (!this.isObject(patch)) return this.clone(patch);
+
+        const result = this.isObject(target) ? { ...target } : {};
+        Object.entries(patch).forEach(([key, value]) => {
+            if (value === null) {
+                delete result[key];
+            } else {
+                result[key] = this.mergePatch(result[key], value);
+            }
+        });
+        return result;
+    }
+
+    // mode is 'patch' or 'replace'. The edit always moves progress_revision on, also when the input
+    // carries an older one (a restored version, JSON copied from the page), so open trackers see a
+    // newer copy and merge instead of overwriting it.
+    applyEdit(current, input, mode) {
+        const next = mode === 'replace' ? this.clone(input) : this.mergePatch(current, input);
+        next.progress_revision = (current.progress_revision || 0) + 1;
+        return next;
+    }
+
+    // Paths whose data an edit drops: missing keys, and array items that are gone (e.g. completed champions)
+    getRemovals(before, after, path = 'user_data') {
+        if (this.isObject(before)) {
+            if (!this.isObject(after)) return [path];
+            return Object.keys(before).flatMap(key => (
+                key in after ? this.getRemovals(before[key], after[key], `${path}.${key}`) : [`${path}.${key}`]
+            ));
+        }
+
+        if (Array.isArray(before)) {
+            if (!Array.isArray(after)) return [path];
+            const kept = new Set(after.map(item => JSON.stringify(item)));
+            return before
+                .filter(item => !kept.has(JSON.stringify(item)))
+                .map(item => `${path}[${JSON.stringify(item)}]`);
+        }
+
+        return after === undefined ? [path] : [];
+    }
+
+    // Diff
+    // Longest common subsequence over lines, good enough for a few thousand lines of pretty JSON
+    diffLines(beforeText, afterText) {
+        const before = beforeText.split('\n');
+        const after = afterText.split('\n');
+        const lengths = Array.from({ length: before.length + 1 }, () => new Int32Array(after.length + 1));
+
+        for (let i = before.length - 1; i >= 0; i--) {
+            for (let j = after.length - 1; j >= 0; j--) {
+                lengths[i][j] = before[i] === after[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        const lines = [];
+        let i = 0;
+        let j = 0;
+        while (i < before.length || j < after.length) {
+            if (i < before.length && j < after.length && before[i] === after[j]) {
+                lines.push({ type: 'same', text: before[i] });
+                i++;
+                j++;
+            } else if (j < after.length && (i === before.length || lengths[i][j + 1] >= lengths[i + 1][j])) {
+                lines.push({ type: 'added', text: after[j++] });
+            } else {
+                lines.push({ type: 'removed', text: before[i++] });
+            }
+        }
+        return lines;
+    }
+
+    // Side-by-side rows { type, left, right }: removed and added lines next to each other,
+    // unchanged runs further than `context` lines from a change folded into { type: 'skip', count }
+    getDiffRows(before, after, context = 3) {
+        const lines = this.diffLines(JSON.stringify(before, null, 2), JSON.stringify(after, null, 2));
+
+        const rows = [];
+        for (let index = 0; index < lines.length;) {
+            if (lines[index].type === 'same') {
+                rows.push({ type: 'same', left: lines[index].text, right: lines[index].text });
+                index++;
+                continue;
+            }
+
+            const removed = [];
+            const added = [];
+            while (index < lines.length && lines[index].type !== 'same') {
+                (lines[index].type === 'removed' ? removed : added).push(lines[index].text);
+                index++;
+            }
+            for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+                rows.push({ type: 'changed', left: removed[k] ?? null, right: added[k] ?? null });
+            }
+        }
+
+        const isNearChange = index => rows
+            .slice(Math.max(0, index - context), index + context + 1)
+            .some(row => row.type === 'changed');
+
+        return rows.reduce((folded, row, index) => {
+            if (row.type !== 'same' || isNearChange(index)) {
+                folded.push(row);
+            } else if (folded[folded.length - 1]?.type === 'skip') {
+                folded[folded.length - 1].count++;
+            } else {
+                folded.push({ type: 'skip', count: 1 });
+            }
+            return folded;
+        }, []);
+    }
+
+    // History
+    // Versions replaced from this browser, newest first, so a bad edit can be restored
+    getHistoryKey(userId) {
+        return `arena-debug-history-${userId}`;
+    }
+
+    getHistory(userId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.getHistoryKey(userId))) || [];
+        } catch (error) {
+            window.Logger.warn('ui', 'Failed to read user_data history', error);
+            return [];
+        }
+    }
+
+    addToHistory(userId, userData) {
+        const history = [
+            { saved_at: new Date().toISOString(), user_data: userData },
+            ...this.getHistory(userId)
+        ].slice(0, window.CONFIG.APP_CONFIG.DEBUG_HISTORY_LIMIT);
+
+        try {
+            localStorage.setItem(this.getHistoryKey(userId), JSON.stringify(history));
+        } catch (error) {
+            window.Logger.warn('ui', 'Failed to write user_data history', error);
+        }
+        return history;
+    }
+}
+
+// Initialize user data editor
+const userDataEditor = new UserDataEditor();
+
+// Export for global use
+window.UserDataEditor = userDataEditor;
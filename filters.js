@@ -0,0 +1,140 @@
+// Champion Filters
+// Status, class, resource and rating filters, fuzzy search and sort orders for the grid
+
+class ChampionFilters {
+    getDefaults() {
+        return {
+            search: '',
+            status: 'all',        // all | completed | remaining
+            tags: [],
+            tagMode: 'or',        // or | and
+            resource: 'all',      // Data Dragon partype, e.g. Mana, Energy
+            difficulty: 'all',    // all | easy | medium | hard
+            strength: 'all',      // all | attack | defense | magic
+            sort: 'name'          // name | difficulty | recent
+        };
+    }
+
+    // Search
+    // Lowercase, strip diacritics and punctuation so "kaisa" finds "Kai'Sa" and "nunu" finds "Nunu & Willump"
+    normalizeText(text) {
+        return (text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9а-яё ]/g, '');
+    }
+
+    isSubsequence(query, text) {
+        let position = 0;
+        for (const char of text) {
+            if (char === query[position]) position++;
+            if (position === query.length) return true;
+        }
+        return false;
+    }
+
+    // Levenshtein distance capped at `limit`, enough to forgive a single typo
+    isWithinDistance(a, b, limit) {
+        if (Math.abs(a.length - b.length) > limit) return false;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+
+        return previous[b.length] <= limit;
+    }
+
+    matchesSearch(champion, search) {
+        const query = this.normalizeText(search).trim();
+        if (!query) return true;
+
+        const name = this.normalizeText(champion.name);
+        const title = this.normalizeText(champion.title);
+
+        if (name.includes(query) || title.includes(query)) return true;
+
+        // Letters in order, e.g. "mf" or "tf"
+        const compactName = name.replace(/ /g, '');
+        if (query.length >= 2 && compactName.startsWith(query[0]) && this.isSubsequence(query.replace(/ /g, ''), compactName)) {
+            return true;
+        }
+
+        // One typo against the start of any word of the name
+        return query.length >= 4 && name.split(' ').some(word =>
+            [-1, 0, 1].some(offset => this.isWithinDistance(query, word.slice(0, query.length + offset), 1))
+        );
+    }
+
+    // Filtering
+    matchesDifficulty(champion, difficulty) {
+        const value = champion.info?.difficulty || 0;
+        switch (difficulty) {
+            case 'easy':
+                return value <= 3;
+            case 'medium':
+                return value >= 4 && value <= 7;
+            case 'hard':
+                return value >= 8;
+            default:
+                return true;
+        }
+    }
+
+    apply(champions, filters, completed) {
+        return champions.filter(champion => {
+            if (filters.status === 'completed' && !completed.has(champion.id)) return false;
+            if (filters.status === 'remaining' && completed.has(champion.id)) return false;
+
+            if (filters.tags.length > 0) {
+                const matchTag = tag => champion.tags.includes(tag);
+                const tagMatch = filters.tagMode === 'and' ? filters.tags.every(matchTag) : filters.tags.some(matchTag);
+                if (!tagMatch) return false;
+            }
+
+            if (filters.resource !== 'all' && (champion.partype || 'None') !== filters.resource) return false;
+            if (!this.matchesDifficulty(champion, filters.difficulty)) return false;
+
+            // Strong in a rating means 7+ out of 10
+            if (filters.strength !== 'all' && (champion.info?.[filters.strength] || 0) < 7) return false;
+
+            return this.matchesSearch(champion, filters.search);
+        });
+    }
+
+    // Sorting
+    sort(champions, order, records, completed) {
+        const byName = (a, b) => a.name.localeCompare(b.name);
+        const sorted = [...champions];
+
+        switch (order) {
+            case 'difficulty':
+                return sorted.sort((a, b) => (a.info?.difficulty || 0) - (b.info?.difficulty || 0) || byName(a, b));
+            case 'recent':
+                // Most recently completed first, undated champions after them by name
+                return sorted.sort((a, b) => {
+                    const dateA = completed.has(a.id) && records[a.id]?.completed_at || '';
+                    const dateB = completed.has(b.id) && records[b.id]?.completed_at || '';
+                    return dateB.localeCompare(dateA) || byName(a, b);
+                });
+            default:
+                return sorted.sort(byName);
+        }
+    }
+
+    getResourceTypes(champions) {
+        return Array.from(new Set(champions.map(champion => champion.partype || 'None'))).sort();
+    }
+}
+
+// Initialize champion filters
+const championFilters = new ChampionFilters();
+
+// Export for global use
+window.ChampionFilters = championFilters;
@@ -0,0 +1,82 @@
+// Friends Client
+// Friend list, read-only friend progress and share links.
+// Friends are added through a t.me deep link with start_param "friend_<telegram_id>".
+
+class FriendsClient {
+    constructor() {
+        this.startParamPrefix = 'friend_';
+    }
+
+    // API Communication
+    // Returns [{ telegram_id, first_name, username, user_data }]
+    async getFriends() {
+        const responseData = await window.ApiClient.request(window.CONFIG.API_ENDPOINTS.GET_FRIENDS, {}, { idempotent: true });
+        if (responseData.friends !== undefined && !Array.isArray(responseData.friends)) {
+            throw new window.ApiError(window.ApiError.TYPES.PAYLOAD, 'friends is not a list');
+        }
+
+        return responseData.friends || [];
+    }
+
+    async getFriendData(friendId) {
+        const responseData = await window.ApiClient.request(window.CONFIG.API_ENDPOINTS.GET_FRIEND_DATA, { friend_id: friendId }, { idempotent: true });
+        return window.ApiClient.validateUser(responseData);
+    }
+
+    // Adding an existing friend again is a no-op on the server, so it's safe to retry
+    async addFriend(friendId) {
+        return await window.ApiClient.request(window.CONFIG.API_ENDPOINTS.ADD_FRIEND, { friend_id: friendId }, { idempotent: true });
+    }
+
+    // Deep Links
+    getFriendIdFromStartParam(startParam) {
+        if (!startParam || !startParam.startsWith(this.startParamPrefix)) return null;
+
+        const friendId = parseInt(startParam.slice(this.startParamPrefix.length), 10);
+        return Number.isNaN(friendId) ? null : friendId;
+    }
+
+    buildShareLink(userId) {
+        return window.TelegramApp.buildStartAppLink(`${this.startParamPrefix}${userId}`);
+    }
+
+    // Progress
+    // Friends are compared on the list with the same id, falling back to the same name, then the default list
+    getComparableList(userData, listId, listName) {
+        const lists = window.ChallengeLists.fromUserData(userData || {}).lists;
+
+        return lists[listId]
+            || Object.values(lists).find(list => list.name === listName)
+            || lists[window.CONFIG.APP_CONFIG.DEFAULT_CHALLENGE_ID]
+            || { progress: [], records: {} };
+    }
+
+    compare(mine, theirs) {
+        return {
+            both: [...mine].filter(id => theirs.has(id)),
+            onlyMine: [...mine].filter(id => !theirs.has(id)),
+            onlyTheirs: [...theirs].filter(id => !mine.has(id))
+        };
+    }
+
+    // Entries are { telegram_id, name, completed }, ranked by completion
+    buildLeaderboard(entries, totalChampions) {
+        return entries
+            .map(entry => ({
+                ...entry,
+                percentage: totalChampions > 0 ? Math.round((entry.completed / totalChampions) * 100) : 0
+            }))
+            .sort((a, b) => b.completed - a.completed || a.name.localeCompare(b.name))
+            .map((entry, index) => ({ ...entry, rank: index + 1 }));
+    }
+
+    getDisplayName(user) {
+        return user.first_name || (user.username ? '@' + user.username : String(user.telegram_id));
+    }
+}
+
+// Initialize friends client
+const friendsClient = new FriendsClient();
+
+// Export for global use
+window.FriendsClient = friendsClient;
@@ -0,0 +1,412 @@
+// Champion Grid
+// Cards are keyed by champion id and built once: a render only restyles, moves and detaches
+// existing nodes instead of rebuilding the grid. Only the rows around the viewport are in the DOM,
+// padding on the grid stands in for the rest and scrolling swaps cards in and out. Off-screen cards
+// load their portrait when they scroll close, a tile from the Data Dragon sprite sheet stands in
+// until then.
+// Cards are toggle buttons with a single tab stop: arrow keys, Home and End move focus between them.
+// In edit mode holding a card reports a long press, the click that ends it is swallowed.
+
+class ChampionGrid {
+    constructor() {
+        this.entries = new Map(); // championId -> { card, sprite, image, name, placement, mine, isNew, imageUrl }
+        this.spriteSheets = {};
+        this.onCardClick = null; // (championId, event) with the click or key event, for its shiftKey
+        this.onCardLongPress = null;
+        this.longPressTimer = null;
+        this.longPressedId = null;
+        this.container = null;
+        this.state = null;
+        this.shown = []; // the champions to show, in order
+        this.range = { start: 0, end: 0, before: 0, after: 0 };
+        this.windowFrame = null;
+        this.focusedId = null;
+        this.imageObserver = this.createImageObserver();
+
+        window.addEventListener('scroll', () => this.scheduleWindow(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleWindow());
+    }
+
+    createImageObserver() {
+        if (typeof IntersectionObserver === 'undefined') return null;
+
+        return new IntersectionObserver(entries => {
+            entries.forEach(({ isIntersecting, target }) => {
+                if (!isIntersecting) return;
+                this.imageObserver.unobserve(target);
+                this.loadImage(this.entries.get(target.dataset.championId));
+            });
+        }, { rootMargin: window.CONFIG.APP_CONFIG.GRID_IMAGE_MARGIN });
+    }
+
+    // Sprite Placeholders
+    // champion.json gives each tile's position but not the sheet size, it follows from the tiles on it
+    setCatalog(champions) {
+        this.spriteSheets = {};
+        champions.forEach(({ image }) => {
+            if (!image?.sprite) return;
+
+            const sheet = this.spriteSheets[image.sprite] || { width: 0, height: 0 };
+            sheet.width = Math.max(sheet.width, image.x + image.w);
+            sheet.height = Math.max(sheet.height, image.y + image.h);
+            this.spriteSheets[image.sprite] = sheet;
+        });
+    }
+
+    // Background declarations that scale the champion's tile to fill the card
+    getSpriteStyle(version, champion) {
+        const image = champion.image;
+        const sheet = this.spriteSheets[image.sprite];
+        if (!sheet) return null;
+
+        const offset = (position, size, total) => (total === size ? 0 : position / (total - size) * 100);
+        return {
+            backgroundImage: `url("${window.DataDragon.getSpriteUrl(version, image.sprite)}")`,
+            backgroundSize: `${sheet.width / image.w * 100}% ${sheet.height / image.h * 100}%`,
+            backgroundPosition: `${offset(image.x, image.w, sheet.width)}% ${offset(image.y, image.h, sheet.height)}%`
+        };
+    }
+
+    // Cards
+    createEntry(champion) {
+        const card = document.createElement('div');
+        card.className = 'champion-card';
+        card.dataset.championId = champion.id;
+        card.setAttribute('role', 'button');
+        card.tabIndex = -1;
+        card.onclick = event => {
+            if (this.longPressedId === champion.id) {
+                this.longPressedId = null;
+                return;
+            }
+            this.focusedId = champion.id;
+            this.onCardClick?.(champion.id, event);
+        };
+        card.onpointerdown = () => this.startLongPress(champion.id);
+        card.onpointerup = card.onpointerleave = card.onpointercancel = () => this.cancelLongPress();
+        // Mobile browsers open a context menu on a long press
+        card.oncontextmenu = event => {
+            if (this.state?.editable) event.preventDefault();
+        };
+
+        const sprite = document.createElement('div');
+        sprite.className = 'champion-sprite';
+
+        const image = document.createElement('img');
+        image.className = 'champion-image';
+        image.alt = ''; // the name below labels the card
+        image.decoding = 'async';
+        image.crossOrigin = 'anonymous'; // lets the service worker cache it (sw.js)
+        image.onload = () => card.classList.add('image-loaded');
+        // The sprite tile stays as the portrait when the full image can't be loaded
+        image.onerror = () => { image.style.display = 'none'; };
+
+        const name = document.createElement('div');
+        name.className = 'champion-name';
+
+        // The checkmark is CSS only, screen readers get the state as text or aria-pressed
+        const status = document.createElement('span');
+        status.className = 'visually-hidden';
+
+        card.append(sprite, image, name, status);
+
+        const entry = { card, sprite, image, name, status, placement: null, mine: null, isNew: null, imageUrl: null };
+        this.entries.set(champion.id, entry);
+        return entry;
+    }
+
+    loadImage(entry) {
+        if (entry && entry.image.src !== entry.imageUrl) {
+            entry.image.src = entry.imageUrl;
+        }
+    }
+
+    // Portrait and placeholder only change with the patch
+    updateImage(entry, champion, version) {
+        const imageUrl = window.DataDragon.getChampionImageUrl(version, champion);
+        if (entry.imageUrl === imageUrl) return;
+
+        entry.imageUrl = imageUrl;
+        entry.card.classList.remove('image-loaded');
+        entry.image.style.display = '';
+        Object.assign(entry.sprite.style, this.getSpriteStyle(version, champion) || { backgroundImage: 'none' });
+
+        if (this.imageObserver) {
+            this.imageObserver.observe(entry.card);
+        } else {
+            this.loadImage(entry);
+        }
+    }
+
+    // Adds or removes an optional child, e.g. the placement badge
+    updateBadge(entry, key, className, isShown) {
+        if (isShown && !entry[key]) {
+            entry[key] = document.createElement('div');
+            entry[key].className = className;
+            entry.card.insertBefore(entry[key], entry.name);
+        } else if (!isShown && entry[key]) {
+            entry.card.removeChild(entry[key]);
+            entry[key] = null;
+        }
+        return entry[key];
+    }
+
+    // In edit mode a card is a toggle button, otherwise it opens details and reads its state
+    updateCompleted(entry, completed) {
+        entry.card.classList.toggle('completed', completed);
+
+        if (this.state.editable) {
+            entry.card.setAttribute('aria-pressed', String(completed));
+        } else {
+            entry.card.removeAttribute('aria-pressed');
+        }
+
+        const states = [];
+        if (!this.state.editable && completed) states.push(window.I18n.t('a11y.completed'));
+        if (entry.isNew) states.push(window.I18n.t('patch.newBadge'));
+        if (entry.mine) states.push(window.I18n.t('friends.mine'));
+        entry.status.textContent = states.map(text => `, ${text}`).join('');
+    }
+
+    updateCard(entry, champion, state) {
+        const { card, name } = entry;
+        card.classList.toggle('read-only', state.readOnly);
+        card.setAttribute('aria-disabled', String(state.readOnly));
+        card.dataset.championClasses = champion.tags.join(' ');
+
+        // Names change with the Data Dragon locale
+        if (name.textContent !== champion.name) {
+            name.textContent = champion.name;
+        }
+
+        this.updateImage(entry, champion, state.version);
+
+        const placement = state.records[champion.id]?.placement;
+        const badge = this.updateBadge(entry, 'placement', 'champion-placement', Boolean(placement));
+        if (badge) badge.textContent = window.ChampionRecords.formatPlacement(placement);
+
+        const mine = this.updateBadge(entry, 'mine', 'champion-mine', Boolean(state.mine?.has(champion.id)));
+        if (mine) mine.title = window.I18n.t('friends.mine');
+
+        const isNew = this.updateBadge(entry, 'isNew', 'champion-new', Boolean(state.newChampions?.has(champion.id)));
+        if (isNew) isNew.textContent = window.I18n.t('patch.newBadge');
+
+        this.updateCompleted(entry, state.progress.has(champion.id));
+    }
+
+    // Rendering
+    // state: { version, progress, records, readOnly, editable, mine, newChampions } where mine is the
+    // user's own progress while a friend's grid is shown and null otherwise, and newChampions the
+    // champions the shown patch added
+    render(container, champions, state) {
+        this.attach(container);
+        this.state = state;
+        this.shown = champions;
+
+        if (!champions.some(champion => champion.id === this.focusedId)) {
+            this.focusedId = champions[0]?.id || null;
+        }
+        this.renderWindow(this.getRange(), true);
+        this.scheduleWindow();
+    }
+
+    // Puts the cards of `range` in place, the rendered ones are only updated with `isFullUpdate`
+    // (a new state), cards coming into the window always are
+    renderWindow(range, isFullUpdate = false) {
+        const container = this.container;
+        const champions = this.shown.slice(range.start, range.end);
+        const renderedIds = new Set(champions.map(champion => champion.id));
+        this.range = range;
+
+        // Cards outside the window or filtered out are detached but kept for when they're shown again
+        this.entries.forEach((entry, championId) => {
+            if (!renderedIds.has(championId) && entry.card.parentNode === container) {
+                container.removeChild(entry.card);
+            }
+        });
+
+        // Only cards that are out of place are moved
+        let previous = null;
+        champions.forEach(champion => {
+            const entry = this.entries.get(champion.id) || this.createEntry(champion);
+            if (isFullUpdate || entry.card.parentNode !== container) {
+                this.updateCard(entry, champion, this.state);
+            }
+
+            const expected = previous ? previous.nextSibling : container.firstChild;
+            if (entry.card !== expected) {
+                container.insertBefore(entry.card, expected);
+            }
+            previous = entry.card;
+        });
+
+        container.style.setProperty('--grid-space-before', `${range.before}px`);
+        container.style.setProperty('--grid-space-after', `${range.after}px`);
+
+        // The tab stop stays on the last focused card, or the first rendered one while it's scrolled away
+        const tabStopId = renderedIds.has(this.focusedId) ? this.focusedId : champions[0]?.id;
+        this.entries.forEach((entry, championId) => {
+            entry.card.tabIndex = championId === tabStopId ? 0 : -1;
+        });
+    }
+
+    // Windowing
+    // Column count, row pitch (card height plus gap) and where the first row starts relative to the
+    // viewport, null while the grid isn't laid out (hidden, or nothing rendered yet)
+    measure() {
+        const card = this.container?.firstChild;
+        if (!card || typeof getComputedStyle === 'undefined' || !card.offsetHeight) return null;
+
+        const style = getComputedStyle(this.container);
+        const columns = style.gridTemplateColumns.split(' ').length;
+        const rowHeight = card.offsetHeight + (parseFloat(style.rowGap) || 0);
+        return { columns, rowHeight, top: card.getBoundingClientRect().top - this.range.before };
+    }
+
+    // The visible rows plus GRID_OVERSCAN_ROWS on each side, or the rows around `index` when given
+    // (a card about to be focused and scrolled to). Without a layout to go by every card is rendered.
+    getRange(index = null) {
+        const count = this.shown.length;
+        const layout = this.measure();
+        if (!layout) return { start: 0, end: count, before: 0, after: 0 };
+
+        const { columns, rowHeight, top } = layout;
+        const overscan = window.CONFIG.APP_CONFIG.GRID_OVERSCAN_ROWS;
+        const rows = Math.ceil(count / columns);
+        const clamp = row => Math.min(Math.max(row, 0), rows);
+
+        let firstRow = Math.floor(-top / rowHeight) - overscan;
+        let lastRow = Math.ceil((window.innerHeight - top) / rowHeight) + overscan;
+        if (index !== null) {
+            firstRow = Math.floor(index / columns) - overscan;
+            lastRow = firstRow + 1 + overscan * 2;
+        }
+        firstRow = clamp(firstRow);
+        lastRow = Math.max(firstRow, clamp(lastRow));
+
+        return {
+            start: firstRow * columns,
+            end: Math.min(lastRow * columns, count),
+            before: firstRow * rowHeight,
+            after: (rows - lastRow) * rowHeight
+        };
+    }
+
+    // Once per frame while scrolling or resizing, and after a render once the grid is laid out
+    scheduleWindow() {
+        if (this.windowFrame || !this.container || typeof requestAnimationFrame === 'undefined') return;
+
+        this.windowFrame = requestAnimationFrame(() => {
+            this.windowFrame = null;
+            this.updateWindow();
+        });
+    }
+
+    updateWindow() {
+        const range = this.getRange();
+        if (range.start !== this.range.start || range.end !== this.range.end || range.before !== this.range.before) {
+            this.renderWindow(range);
+        }
+    }
+
+    getCard(championId) {
+        return this.entries.get(championId)?.card || null;
+    }
+
+    setCompleted(championId, completed) {
+        const entry = this.entries.get(championId);
+        if (entry) this.updateCompleted(entry, completed);
+    }
+
+    // Highlights the card a range selection starts from, null clears it
+    setRangeAnchor(championId) {
+        this.entries.forEach((entry, id) => entry.card.classList.toggle('range-anchor', id === championId));
+    }
+
+    // Long Press
+    startLongPress(championId) {
+        this.cancelLongPress();
+        this.longPressedId = null;
+        if (!this.state?.editable) return;
+
+        this.longPressTimer = setTimeout(() => {
+            this.longPressTimer = null;
+            this.longPressedId = championId;
+            this.onCardLongPress?.(championId);
+        }, window.CONFIG.APP_CONFIG.LONG_PRESS_DELAY);
+    }
+
+    cancelLongPress() {
+        clearTimeout(this.longPressTimer);
+        this.longPressTimer = null;
+    }
+
+    // Keyboard Navigation
+    attach(container) {
+        if (this.container === container) return;
+
+        this.container = container;
+        container.addEventListener('keydown', event => this.onKeyDown(event));
+    }
+
+    // auto-fill decides the column count, count the rendered cards on the first row
+    getColumnCount() {
+        const layout = this.measure();
+        if (layout) return layout.columns;
+
+        const cards = this.container.children;
+        const firstRowTop = cards[0].offsetTop;
+        const index = cards.findIndex(card => card.offsetTop !== firstRowTop);
+        return index === -1 ? cards.length : index;
+    }
+
+    // A card outside the window is rendered first, focusing it scrolls it into view
+    focusCard(championId) {
+        const previous = this.getCard(this.focusedId);
+        if (previous) previous.tabIndex = -1;
+
+        const index = this.shown.findIndex(champion => champion.id === championId);
+        if (index < this.range.start || index >= this.range.end) {
+            this.renderWindow(this.getRange(index));
+        }
+
+        const card = this.getCard(championId);
+        this.focusedId = championId;
+        card.tabIndex = 0;
+        card.focus();
+    }
+
+    onKeyDown(event) {
+        const ids = this.shown.map(champion => champion.id);
+        const index = ids.indexOf(event.target.dataset?.championId);
+        if (index === -1) return;
+
+        // Enter and Space press the card, a div doesn't do that on its own. With Shift they select
+        // a range in edit mode, like a shift-click.
+        if (event.key === 'Enter' || event.key === ' ') {
+            event.preventDefault();
+            this.getCard(ids[index]).onclick(event);
+            return;
+        }
+
+        const columns = this.getColumnCount();
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            ArrowUp: index - columns,
+            ArrowDown: index + columns,
+            Home: 0,
+            End: ids.length - 1
+        };
+        if (!(event.key in targets)) return;
+
+        event.preventDefault();
+        this.focusCard(ids[Math.min(Math.max(targets[event.key], 0), ids.length - 1)]);
+    }
+}
+
+// Initialize champion grid
+const championGrid = new ChampionGrid();
+
+// Export for global use
+window.ChampionGrid = championGrid;
@@ -0,0 +1,55 @@
+// Edit History
+// Undo/redo stack for champion toggles within one edit session.
+// Every entry is a list of { championId, from, to, recordFrom, recordTo } so a bulk change undoes as
+// a single step, with each champion's record as it was before and after.
+
+class EditHistory {
+    constructor() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    record(changes) {
+        if (changes.length === 0) return;
+
+        this.undoStack.push(changes);
+        this.redoStack = [];
+    }
+
+    // Returns the entry to revert, or null when there is nothing to undo
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) return null;
+
+        this.redoStack.push(entry);
+        return entry;
+    }
+
+    // Returns the entry to re-apply, or null when there is nothing to redo
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) return null;
+
+        this.undoStack.push(entry);
+        return entry;
+    }
+
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+}
+
+// Initialize edit history
+const editHistory = new EditHistory();
+
+// Export for global use
+window.EditHistory = editHistory;
@@ -0,0 +1,825 @@
+// Localization
+// UI strings per locale, picked from the Telegram user's language_code with a manual override.
+// Static markup is translated through data-i18n, data-i18n-placeholder, data-i18n-title and data-i18n-aria-label attributes.
+
+const TRANSLATIONS = {
+    en: {
+        // Tracker
+        'app.title': 'TRACKER',
+        'app.loading': 'Loading your progress...',
+        'language.label': 'Language:',
+        'language.auto': 'Auto',
+        'theme.lol': 'LoL Classic',
+        'theme.telegram': 'Telegram',
+        'theme.light': 'Light',
+        'theme.dark': 'Dark',
+
+        'common.ok': 'OK',
+        'common.cancel': 'Cancel',
+        'common.close': 'Close',
+        'common.save': 'Save',
+        'common.retry': 'Try again',
+
+        'challenge.new': 'New',
+        'challenge.rename': 'Rename',
+        'challenge.delete': 'Delete',
+        'challenge.namePlaceholder': 'e.g. ARAM, Adapt to All Situations...',
+
+        'stats.completed': 'Completed',
+        'stats.remaining': 'Remaining',
+        'stats.progress': 'Progress',
+
+        'filters.search': 'Search:',
+        'filters.searchPlaceholder': 'Champion name or title...',
+        'filters.show': 'Show:',
+        'filters.allChampions': 'All Champions',
+        'filters.completed': 'Completed',
+        'filters.remaining': 'Remaining',
+        'filters.sortBy': 'Sort by:',
+        'filters.matchAny': 'Match: Any',
+        'filters.matchAll': 'Match: All',
+        'filters.more': 'More filters',
+        'filters.resource': 'Resource:',
+        'filters.any': 'Any',
+        'filters.difficulty': 'Difficulty:',
+        'filters.strength': 'Strong in:',
+        'filters.reset': 'Reset Filters',
+
+        'sort.name': 'Name',
+        'sort.difficulty': 'Difficulty',
+        'sort.recent': 'Recently completed',
+
+        'difficulty.easy': 'Easy (1-3)',
+        'difficulty.medium': 'Medium (4-7)',
+        'difficulty.hard': 'Hard (8-10)',
+
+        'strength.attack': 'Attack',
+        'strength.defense': 'Defense',
+        'strength.magic': 'Magic',
+
+        'views.label': 'Saved views:',
+        'views.choose': 'Choose a view...',
+        'views.saveAs': 'Save current filters as:',
+        'views.namePlaceholder': 'View name...',
+        'views.save': 'Save View',
+        'views.delete': 'Delete View',
+
+        'controls.edit': 'Edit',
+        'controls.done': 'Done',
+        'controls.undo': 'Undo',
+        'controls.redo': 'Redo',
+        'controls.undoHint': 'Undo (Ctrl+Z)',
+        'controls.redoHint': 'Redo (Ctrl+Shift+Z)',
+        'controls.cancelHint': 'Cancel (Esc)',
+        'controls.pick': 'Pick',
+        'controls.stats': 'Stats',
+        'controls.hideStats': 'Hide Stats',
+        'controls.friends': 'Friends',
+        'controls.transfer': 'Import / Export',
+        'controls.settings': 'Settings',
+        'controls.saveChanges': {
+            one: 'Save {count} change',
+            other: 'Save {count} changes'
+        },
+        'settings.title': 'Settings',
+        'settings.language': 'Language',
+        'settings.theme': 'Theme',
+        'settings.excludeNew': 'Leave champions released after a list was created out of its stats',
+
+        'saveIndicator.saved': '✓ Saved',
+        'saveIndicator.saving': 'Saving…',
+        'saveIndicator.pending': '{count} pending',
+        'saveIndicator.offline': '{count} pending · offline',
+        'saveIndicator.expired': '{count} pending · session expired',
+
+        'api.network': 'No connection to the server ({error})',
+        'api.auth': 'Your session has expired, close and reopen the app',
+        'api.conflict': 'Progress was changed on another device, try again',
+        'api.server': 'The server is having trouble ({error})',
+        'api.client': 'The request was rejected ({error})',
+        'api.payload': 'The server sent unexpected data ({error})',
+
+        'dashboard.filtered': 'Current filter / search:',
+        'dashboard.byClass': 'By class',
+        'dashboard.timeline': 'Timeline',
+        'dashboard.daysLeft': {
+            one: '~{count} day left at your current pace',
+            other: '~{count} days left at your current pace'
+        },
+        'dashboard.noPace': 'Not enough dated completions to project a pace yet',
+        'dashboard.complete': 'Challenge complete!',
+        'dashboard.noDates': 'Completion dates will show up here once champions are marked completed.',
+
+        'picker.title': 'What to play next?',
+        'picker.hint': 'Drawn from the current filters, completed champions are skipped.',
+        'picker.weakClasses': 'Prefer classes with few completions',
+        'picker.avoidRecent': 'Avoid recent picks',
+        'picker.duo': 'Duo mode',
+        'picker.reroll': 'Reroll',
+        'picker.markDone': 'Mark as done',
+        'picker.done': '✓ Done',
+        'picker.allCompleted': 'Every champion in the current view is completed!',
+
+        'friends.title': 'Friends',
+        'friends.hint': 'Send your link to a friend, once they open it you can see each other\'s progress.',
+        'friends.share': 'Share my progress',
+        'friends.shareText': 'I have won Arena with {completed} of {total} champions ({percentage}%). Compare with me!',
+        'friends.shareUnavailable': 'Sharing is not available here',
+        'friends.leaderboard': 'Leaderboard',
+        'friends.loading': 'Loading friends...',
+        'friends.empty': 'No friends yet. Share your link to add some!',
+        'friends.loadFailed': 'Failed to load friends: {error}',
+        'friends.you': '{name} (you)',
+        'friends.viewing': '{name}\'s progress (read-only)',
+        'friends.back': 'Back to my progress',
+        'friends.added': 'You and {name} are now friends',
+        'friends.compareAll': 'All ({count})',
+        'friends.compareBoth': 'Both ({count})',
+        'friends.compareOnlyMine': 'Only you ({count})',
+        'friends.compareOnlyTheirs': 'Only them ({count})',
+        'friends.mine': 'You have it',
+
+        'a11y.grid': 'Champions',
+        'a11y.completed': 'completed',
+        'a11y.shown': {
+            one: '{count} champion shown',
+            other: '{count} champions shown'
+        },
+        'a11y.marked': '{name} completed, {completed} of {total}',
+        'a11y.unmarked': '{name} not completed, {completed} of {total}',
+
+        'transfer.title': 'Import / Export',
+        'transfer.export': 'Export',
+        'transfer.import': 'Import',
+        'transfer.formatJson': 'JSON backup',
+        'transfer.formatCsv': 'CSV table',
+        'transfer.formatCode': 'Progress code',
+        'transfer.download': 'Download',
+        'transfer.copy': 'Copy',
+        'transfer.copied': 'Copied to clipboard',
+        'transfer.shareLink': 'Share as link',
+        'transfer.importHint': 'Paste a JSON backup, CSV or progress code, or choose a file.',
+        'transfer.preview': 'Preview',
+        'transfer.merge': 'Merge (only add)',
+        'transfer.replace': 'Replace',
+        'transfer.apply': 'Apply',
+        'transfer.empty': 'Nothing to import',
+        'transfer.invalidJson': 'Not valid JSON: {error}',
+        'transfer.invalidCsv': 'The CSV needs an "id" or "name" column',
+        'transfer.invalidCode': 'Not a valid progress code',
+        'transfer.codeMismatch': 'This code was made for {count} champions, the current patch has {total}. Ask for a new code or use a JSON backup.',
+        'transfer.summary': '{format}: {count} champions completed',
+        'transfer.toAdd': 'Will be marked: {names}',
+        'transfer.toRemove': 'Will be cleared, with their details: {names}',
+        'transfer.unknown': 'Not in the current catalog, skipped: {names}',
+        'transfer.noChanges': 'Nothing changes, your progress already matches.',
+        'transfer.more': '{names} and {count} more',
+        'transfer.applied': 'Imported: {added} marked, {removed} cleared',
+
+        'bulk.markShown': 'Mark shown',
+        'bulk.unmarkShown': 'Unmark shown',
+        'bulk.invert': 'Invert',
+        'bulk.paste': 'Paste names',
+        'bulk.rangeHint': 'Hold a card, then tap another to select everything between them (Shift+click works too).',
+        'bulk.rangeStarted': 'Range from {name}: tap the last champion',
+        'bulk.noChanges': 'Nothing to change',
+        'bulk.confirmMark': {
+            one: 'Mark {count} champion as completed?',
+            other: 'Mark {count} champions as completed?'
+        },
+        'bulk.confirmUnmark': {
+            one: 'Clear {count} completed champion?',
+            other: 'Clear {count} completed champions?'
+        },
+        'bulk.confirmInvert': {
+            one: 'Invert {count} champion?',
+            other: 'Invert {count} champions?'
+        },
+        'bulk.confirmRange': {
+            one: 'Change {count} champion in this range?',
+            other: 'Change {count} champions in this range?'
+        },
+        'bulk.applied': {
+            one: '{count} champion changed',
+            other: '{count} champions changed'
+        },
+        'bulk.pasteTitle': 'Paste names',
+        'bulk.pasteHint': 'One champion per line, or separated by commas. Small typos are fine.',
+        'bulk.pastePlaceholder': 'Ahri, Jinx, Lee Sin...',
+        'bulk.pasteApply': 'Mark as completed',
+        'bulk.pasteSummary': {
+            one: '{count} champion recognized',
+            other: '{count} champions recognized'
+        },
+        'bulk.pasteGuessed': 'Guessed: {names}',
+        'bulk.pasteUnknown': 'Not recognized, skipped: {names}',
+
+        'diagnostics.title': 'Diagnostics',
+        'diagnostics.hint': 'Send this to the developer together with what went wrong. It has no progress data or login details.',
+        'diagnostics.environment': 'Environment',
+        'diagnostics.network': 'Network',
+        'diagnostics.noRequests': 'No requests yet',
+        'diagnostics.log': 'Log',
+        'diagnostics.noEntries': 'Nothing logged at this level',
+        'diagnostics.levelDebug': 'Everything',
+        'diagnostics.levelInfo': 'Info and above',
+        'diagnostics.levelWarn': 'Warnings and errors',
+        'diagnostics.levelError': 'Errors only',
+        'diagnostics.send': 'Send',
+        'diagnostics.copied': 'Diagnostics copied to clipboard',
+        'config.badgeTitle': 'Environment: {environment}. Settings from: {sources}',
+        'patch.newBadge': 'New',
+        'patch.bannerTitle': 'New in patch {version}: {names}',
+        'patch.dismiss': 'Got it',
+        'patch.label': 'Patch:',
+        'patch.latest': '{version} (latest)',
+        'patch.loadFailed': 'Failed to load patch {version}: {error}',
+
+        'details.dateCompleted': 'Date completed',
+        'details.bestPlacement': 'Best placement',
+        'details.attempts': 'Games played',
+        'details.augments': 'Augments / items',
+        'details.augmentsPlaceholder': 'e.g. Jeweled Gauntlet, Infernal Conduit',
+        'details.note': 'Note',
+        'details.completed': '✓ Completed',
+        'details.notCompleted': 'Not completed yet',
+
+        'placement.1': '1st',
+        'placement.2': '2nd',
+        'placement.3': '3rd',
+        'placement.4': '4th',
+        'placement.5': '5th',
+        'placement.6': '6th',
+        'placement.7': '7th',
+        'placement.8': '8th',
+
+        'tags.Assassin': 'Assassin',
+        'tags.Fighter': 'Fighter',
+        'tags.Mage': 'Mage',
+        'tags.Marksman': 'Marksman',
+        'tags.Support': 'Support',
+        'tags.Tank': 'Tank',
+
+        'status.initFailed': 'Failed to initialize: {error}',
+        'status.patchUpdated': 'Updated to patch {version}',
+        'status.saveFailed': 'Failed to save progress: {error}',
+        'status.changesSaveFailed': 'Failed to save: {error}',
+        'status.offlineCopy': 'Server unreachable, showing your last saved copy. Changes will sync once it is back',
+        'status.languageFailed': 'Champion data for this language is not available offline: {error}',
+        'status.remoteMerged': 'Merged changes from another device: {changes}',
+        'status.enterChallengeName': 'Please enter a challenge name',
+        'status.enterViewName': 'Please enter a view name',
+        'status.viewSaved': 'Saved view "{name}"',
+
+        'confirm.discardChanges': {
+            one: 'Discard {count} unsaved change?',
+            other: 'Discard {count} unsaved changes?'
+        },
+        'confirm.deleteList': {
+            one: 'Delete "{name}" and its {count} completed champion?',
+            other: 'Delete "{name}" and its {count} completed champions?'
+        },
+
+        // Debug page (app.js / test.html)
+        'debug.loadingUserData': 'Loading user data...',
+        'debug.loadFailed': 'Failed to load user data.',
+        'debug.loadFailedStatus': 'Failed to load user data: {error}',
+        'debug.loaded': 'User data loaded successfully!',
+        'debug.showDebugInfo': 'Show Debug Info',
+        'debug.tryAgain': 'Try Again',
+        'debug.showDebug': 'Show Debug',
+        'debug.hideDebug': 'Hide Debug',
+        'debug.debugInfo': '🐛 Debug Information',
+        'debug.userInfo': '👤 User Information',
+        'debug.refresh': '🔄 Refresh',
+        'debug.currentData': '📋 Current User Data',
+        'debug.updateData': '✏️ Update User Data',
+        'debug.inputLabel': 'Enter new user data (JSON format):',
+        'debug.updateButton': '💾 Update Data',
+        'debug.enterData': 'Please enter some data to update',
+        'debug.invalidJson': 'Invalid JSON format: {error}',
+        'debug.updating': 'Updating user data...',
+        'debug.updated': 'User data updated successfully!',
+        'debug.updateFailed': 'Failed to update user data: {error}',
+        'debug.name': 'Name:',
+        'debug.username': 'Username:',
+        'debug.telegramId': 'Telegram ID:',
+        'debug.language': 'Language:',
+        'debug.created': 'Created:',
+        'debug.updatedAt': 'Updated:',
+        'debug.editMode': 'Apply as:',
+        'debug.modePatch': 'Patch (merge into the current data, null deletes a key)',
+        'debug.modeReplace': 'Replace (the input becomes the whole user_data)',
+        'debug.previewButton': '🔍 Preview',
+        'debug.diffCurrent': 'Current',
+        'debug.diffNext': 'After the update',
+        'debug.noChanges': 'Nothing changes',
+        'debug.unchangedLines': {
+            one: '{count} unchanged line',
+            other: '{count} unchanged lines'
+        },
+        'debug.notAnObject': 'user_data has to be a JSON object',
+        'debug.schemaErrors': {
+            one: '{count} schema error, fix it before updating',
+            other: '{count} schema errors, fix them before updating'
+        },
+        'debug.reviewDiff': 'Check the changes below and press Update again to save them',
+        'debug.removes': {
+            one: 'Removes {count} entry: {paths}',
+            other: 'Removes {count} entries: {paths}'
+        },
+        'debug.confirmRemovals': {
+            one: 'This update removes {count} entry:\n{paths}\n\nContinue?',
+            other: 'This update removes {count} entries:\n{paths}\n\nContinue?'
+        },
+        'debug.confirmReplace': 'This replaces the whole user_data.\n\nContinue?',
+        'debug.confirmReplaceRemovals': {
+            one: 'This replaces the whole user_data and removes {count} entry:\n{paths}\n\nContinue?',
+            other: 'This replaces the whole user_data and removes {count} entries:\n{paths}\n\nContinue?'
+        },
+        'debug.history': '🕘 Previous Versions',
+        'debug.historyEmpty': 'Versions replaced from this browser will show up here.',
+        'debug.restore': '↩️ Restore',
+
+        'editor.expectedType': 'expected {type}',
+        'editor.expectedOneOf': 'expected one of {values}',
+        'editor.belowMinimum': 'must be at least {minimum}',
+        'editor.aboveMaximum': 'must be at most {maximum}',
+        'editor.missingKey': 'required key is missing',
+        'editor.unknownKey': 'unknown key, the tracker ignores it'
+    },
+
+    ru: {
+        // Tracker
+        'app.title': 'ТРЕКЕР',
+        'app.loading': 'Загружаем ваш прогресс...',
+        'language.label': 'Язык:',
+        'language.auto': 'Авто',
+        'theme.lol': 'Классика LoL',
+        'theme.telegram': 'Telegram',
+        'theme.light': 'Светлая',
+        'theme.dark': 'Тёмная',
+
+        'common.ok': 'ОК',
+        'common.cancel': 'Отмена',
+        'common.close': 'Закрыть',
+        'common.save': 'Сохранить',
+        'common.retry': 'Повторить',
+
+        'challenge.new': 'Новый',
+        'challenge.rename': 'Переименовать',
+        'challenge.delete': 'Удалить',
+        'challenge.namePlaceholder': 'например, ARAM, Adapt to All Situations...',
+
+        'stats.completed': 'Выполнено',
+        'stats.remaining': 'Осталось',
+        'stats.progress': 'Прогресс',
+
+        'filters.search': 'Поиск:',
+        'filters.searchPlaceholder': 'Имя или титул чемпиона...',
+        'filters.show': 'Показать:',
+        'filters.allChampions': 'Все чемпионы',
+        'filters.completed': 'Выполненные',
+        'filters.remaining': 'Оставшиеся',
+        'filters.sortBy': 'Сортировка:',
+        'filters.matchAny': 'Любой класс',
+        'filters.matchAll': 'Все классы',
+        'filters.more': 'Другие фильтры',
+        'filters.resource': 'Ресурс:',
+        'filters.any': 'Любой',
+        'filters.difficulty': 'Сложность:',
+        'filters.strength': 'Сильная сторона:',
+        'filters.reset': 'Сбросить фильтры',
+
+        'sort.name': 'По имени',
+        'sort.difficulty': 'По сложности',
+        'sort.recent': 'Недавно выполненные',
+
+        'difficulty.easy': 'Лёгкая (1-3)',
+        'difficulty.medium': 'Средняя (4-7)',
+        'difficulty.hard': 'Высокая (8-10)',
+
+        'strength.attack': 'Атака',
+        'strength.defense': 'Защита',
+        'strength.magic': 'Магия',
+
+        'views.label': 'Сохранённые виды:',
+        'views.choose': 'Выберите вид...',
+        'views.saveAs': 'Сохранить фильтры как:',
+        'views.namePlaceholder': 'Название вида...',
+        'views.save': 'Сохранить вид',
+        'views.delete': 'Удалить вид',
+
+        'controls.edit': 'Изменить',
+        'controls.done': 'Готово',
+        'controls.undo': 'Отменить',
+        'controls.redo': 'Повторить',
+        'controls.undoHint': 'Отменить (Ctrl+Z)',
+        'controls.redoHint': 'Повторить (Ctrl+Shift+Z)',
+        'controls.cancelHint': 'Отмена (Esc)',
+        'controls.pick': 'Случайный',
+        'controls.stats': 'Статистика',
+        'controls.hideStats': 'Скрыть статистику',
+        'controls.friends': 'Друзья',
+        'controls.transfer': 'Импорт / экспорт',
+        'controls.settings': 'Настройки',
+        'controls.saveChanges': {
+            one: 'Сохранить {count} изменение',
+            few: 'Сохранить {count} изменения',
+            many: 'Сохранить {count} изменений',
+            other: 'Сохранить {count} изменения'
+        },
+        'settings.title': 'Настройки',
+        'settings.language': 'Язык',
+        'settings.theme': 'Тема',
+        'settings.excludeNew': 'Не учитывать в статистике списка чемпионов, вышедших после его создания',
+
+        'saveIndicator.saved': '✓ Сохранено',
+        'saveIndicator.saving': 'Сохраняем…',
+        'saveIndicator.pending': 'Не сохранено: {count}',
+        'saveIndicator.offline': 'Не сохранено: {count} · нет сети',
+        'saveIndicator.expired': 'Не сохранено: {count} · сессия истекла',
+
+        'api.network': 'Нет связи с сервером ({error})',
+        'api.auth': 'Сессия истекла, закройте и снова откройте приложение',
+        'api.conflict': 'Прогресс изменён на другом устройстве, попробуйте ещё раз',
+        'api.server': 'Проблемы на сервере ({error})',
+        'api.client': 'Запрос отклонён ({error})',
+        'api.payload': 'Сервер прислал неожиданные данные ({error})',
+
+        'dashboard.filtered': 'Текущий фильтр / поиск:',
+        'dashboard.byClass': 'По классам',
+        'dashboard.timeline': 'Хронология',
+        'dashboard.daysLeft': {
+            one: 'Примерно {count} день до конца в текущем темпе',
+            few: 'Примерно {count} дня до конца в текущем темпе',
+            many: 'Примерно {count} дней до конца в текущем темпе',
+            other: 'Примерно {count} дня до конца в текущем темпе'
+        },
+        'dashboard.noPace': 'Пока мало датированных побед, чтобы оценить темп',
+        'dashboard.complete': 'Испытание пройдено!',
+        'dashboard.noDates': 'Здесь появятся даты, когда чемпионы будут отмечены выполненными.',
+
+        'picker.title': 'Кем сыграть дальше?',
+        'picker.hint': 'Выбор из текущих фильтров, выполненные чемпионы пропускаются.',
+        'picker.weakClasses': 'Чаще классы, где мало побед',
+        'picker.avoidRecent': 'Не повторять недавние',
+        'picker.duo': 'Режим дуо',
+        'picker.reroll': 'Ещё раз',
+        'picker.markDone': 'Отметить',
+        'picker.done': '✓ Готово',
+        'picker.allCompleted': 'Все чемпионы в текущем виде выполнены!',
+
+        'friends.title': 'Друзья',
+        'friends.hint': 'Отправьте ссылку другу: когда он её откроет, вы увидите прогресс друг друга.',
+        'friends.share': 'Поделиться прогрессом',
+        'friends.shareText': 'Я выиграл Арену на {completed} из {total} чемпионов ({percentage}%). Сравним?',
+        'friends.shareUnavailable': 'Здесь нельзя поделиться',
+        'friends.leaderboard': 'Рейтинг',
+        'friends.loading': 'Загрузка друзей...',
+        'friends.empty': 'Пока нет друзей. Поделитесь ссылкой, чтобы добавить!',
+        'friends.loadFailed': 'Не удалось загрузить друзей: {error}',
+        'friends.you': '{name} (вы)',
+        'friends.viewing': 'Прогресс: {name} (только просмотр)',
+        'friends.back': 'К моему прогрессу',
+        'friends.added': 'Вы и {name} теперь друзья',
+        'friends.compareAll': 'Все ({count})',
+        'friends.compareBoth': 'У обоих ({count})',
+        'friends.compareOnlyMine': 'Только у вас ({count})',
+        'friends.compareOnlyTheirs': 'Только у друга ({count})',
+        'friends.mine': 'Есть у вас',
+
+        'a11y.grid': 'Чемпионы',
+        'a11y.completed': 'выполнено',
+        'a11y.shown': {
+            one: 'Показан {count} чемпион',
+            few: 'Показано {count} чемпиона',
+            many: 'Показано {count} чемпионов',
+            other: 'Показано {count} чемпиона'
+        },
+        'a11y.marked': '{name}: выполнено, {completed} из {total}',
+        'a11y.unmarked': '{name}: не выполнено, {completed} из {total}',
+
+        'transfer.title': 'Импорт / экспорт',
+        'transfer.export': 'Экспорт',
+        'transfer.import': 'Импорт',
+        'transfer.formatJson': 'Резервная копия JSON',
+        'transfer.formatCsv': 'Таблица CSV',
+        'transfer.formatCode': 'Код прогресса',
+        'transfer.download': 'Скачать',
+        'transfer.copy': 'Копировать',
+        'transfer.copied': 'Скопировано в буфер обмена',
+        'transfer.shareLink': 'Поделиться ссылкой',
+        'transfer.importHint': 'Вставьте резервную копию JSON, CSV или код прогресса, либо выберите файл.',
+        'transfer.preview': 'Просмотр',
+        'transfer.merge': 'Объединить (только добавить)',
+        'transfer.replace': 'Заменить',
+        'transfer.apply': 'Применить',
+        'transfer.empty': 'Нечего импортировать',
+        'transfer.invalidJson': 'Некорректный JSON: {error}',
+        'transfer.invalidCsv': 'В CSV нужна колонка "id" или "name"',
+        'transfer.invalidCode': 'Некорректный код прогресса',
+        'transfer.codeMismatch': 'Код создан для {count} чемпионов, в текущем патче их {total}. Попросите новый код или используйте JSON-копию.',
+        'transfer.summary': '{format}: выполнено чемпионов — {count}',
+        'transfer.toAdd': 'Будут отмечены: {names}',
+        'transfer.toRemove': 'Будут сняты вместе с подробностями: {names}',
+        'transfer.unknown': 'Нет в текущем каталоге, пропущены: {names}',
+        'transfer.noChanges': 'Ничего не изменится, прогресс уже совпадает.',
+        'transfer.more': '{names} и ещё {count}',
+        'transfer.applied': 'Импортировано: отмечено {added}, снято {removed}',
+
+        'bulk.markShown': 'Отметить показанных',
+        'bulk.unmarkShown': 'Снять с показанных',
+        'bulk.invert': 'Инвертировать',
+        'bulk.paste': 'Вставить имена',
+        'bulk.rangeHint': 'Удерживайте карточку, затем нажмите на другую, чтобы выбрать всех между ними (или Shift+клик).',
+        'bulk.rangeStarted': 'Диапазон от {name}: нажмите на последнего чемпиона',
+        'bulk.noChanges': 'Нечего менять',
+        'bulk.confirmMark': {
+            one: 'Отметить {count} чемпиона как выполненного?',
+            few: 'Отметить {count} чемпионов как выполненных?',
+            many: 'Отметить {count} чемпионов как выполненных?',
+            other: 'Отметить {count} чемпиона как выполненных?'
+        },
+        'bulk.confirmUnmark': {
+            one: 'Снять отметку с {count} чемпиона?',
+            few: 'Снять отметку с {count} чемпионов?',
+            many: 'Снять отметку с {count} чемпионов?',
+            other: 'Снять отметку с {count} чемпиона?'
+        },
+        'bulk.confirmInvert': {
+            one: 'Инвертировать {count} чемпиона?',
+            few: 'Инвертировать {count} чемпионов?',
+            many: 'Инвертировать {count} чемпионов?',
+            other: 'Инвертировать {count} чемпиона?'
+        },
+        'bulk.confirmRange': {
+            one: 'Изменить {count} чемпиона в этом диапазоне?',
+            few: 'Изменить {count} чемпионов в этом диапазоне?',
+            many: 'Изменить {count} чемпионов в этом диапазоне?',
+            other: 'Изменить {count} чемпиона в этом диапазоне?'
+        },
+        'bulk.applied': {
+            one: 'Изменён {count} чемпион',
+            few: 'Изменено {count} чемпиона',
+            many: 'Изменено {count} чемпионов',
+            other: 'Изменено {count} чемпиона'
+        },
+        'bulk.pasteTitle': 'Вставить имена',
+        'bulk.pasteHint': 'По одному чемпиону в строке или через запятую. Небольшие опечатки не страшны.',
+        'bulk.pastePlaceholder': 'Ари, Джинкс, Ли Син...',
+        'bulk.pasteApply': 'Отметить выполненными',
+        'bulk.pasteSummary': {
+            one: 'Распознан {count} чемпион',
+            few: 'Распознано {count} чемпиона',
+            many: 'Распознано {count} чемпионов',
+            other: 'Распознано {count} чемпиона'
+        },
+        'bulk.pasteGuessed': 'Угадано: {names}',
+        'bulk.pasteUnknown': 'Не распознано, пропущено: {names}',
+
+        'diagnostics.title': 'Диагностика',
+        'diagnostics.hint': 'Отправьте это разработчику вместе с описанием проблемы. Здесь нет прогресса и данных для входа.',
+        'diagnostics.environment': 'Окружение',
+        'diagnostics.network': 'Сеть',
+        'diagnostics.noRequests': 'Запросов пока не было',
+        'diagnostics.log': 'Журнал',
+        'diagnostics.noEntries': 'На этом уровне записей нет',
+        'diagnostics.levelDebug': 'Все записи',
+        'diagnostics.levelInfo': 'Информация и выше',
+        'diagnostics.levelWarn': 'Предупреждения и ошибки',
+        'diagnostics.levelError': 'Только ошибки',
+        'diagnostics.send': 'Отправить',
+        'diagnostics.copied': 'Диагностика скопирована',
+        'config.badgeTitle': 'Окружение: {environment}. Настройки из: {sources}',
+        'patch.newBadge': 'Новый',
+        'patch.bannerTitle': 'Новое в патче {version}: {names}',
+        'patch.dismiss': 'Понятно',
+        'patch.label': 'Патч:',
+        'patch.latest': '{version} (последний)',
+        'patch.loadFailed': 'Не удалось загрузить патч {version}: {error}',
+
+        'details.dateCompleted': 'Дата выполнения',
+        'details.bestPlacement': 'Лучшее место',
+        'details.attempts': 'Сыграно игр',
+        'details.augments': 'Аугменты / предметы',
+        'details.augmentsPlaceholder': 'например, Jeweled Gauntlet, Infernal Conduit',
+        'details.note': 'Заметка',
+        'details.completed': '✓ Выполнено',
+        'details.notCompleted': 'Ещё не выполнено',
+
+        'placement.1': '1-е',
+        'placement.2': '2-е',
+        'placement.3': '3-е',
+        'placement.4': '4-е',
+        'placement.5': '5-е',
+        'placement.6': '6-е',
+        'placement.7': '7-е',
+        'placement.8': '8-е',
+
+        'tags.Assassin': 'Убийца',
+        'tags.Fighter': 'Воин',
+        'tags.Mage': 'Маг',
+        'tags.Marksman': 'Стрелок',
+        'tags.Support': 'Поддержка',
+        'tags.Tank': 'Танк',
+
+        'status.initFailed': 'Не удалось запустить трекер: {error}',
+        'status.patchUpdated': 'Обновлено до патча {version}',
+        'status.saveFailed': 'Не удалось сохранить прогресс: {error}',
+        'status.changesSaveFailed': 'Не удалось сохранить: {error}',
+        'status.offlineCopy': 'Сервер недоступен, показана последняя сохранённая копия. Изменения синхронизируются, когда он вернётся',
+        'status.languageFailed': 'Данные чемпионов на этом языке недоступны офлайн: {error}',
+        'status.remoteMerged': 'Добавлены изменения с другого устройства: {changes}',
+        'status.enterChallengeName': 'Введите название испытания',
+        'status.enterViewName': 'Введите название вида',
+        'status.viewSaved': 'Вид «{name}» сохранён',
+
+        'confirm.discardChanges': {
+            one: 'Отменить {count} несохранённое изменение?',
+            few: 'Отменить {count} несохранённых изменения?',
+            many: 'Отменить {count} несохранённых изменений?',
+            other: 'Отменить {count} несохранённых изменения?'
+        },
+        'confirm.deleteList': {
+            one: 'Удалить «{name}» и {count} выполненного чемпиона?',
+            few: 'Удалить «{name}» и {count} выполненных чемпиона?',
+            many: 'Удалить «{name}» и {count} выполненных чемпионов?',
+            other: 'Удалить «{name}» и {count} выполненного чемпиона?'
+        },
+
+        // Debug page (app.js / test.html)
+        'debug.loadingUserData': 'Загружаем данные пользователя...',
+        'debug.loadFailed': 'Не удалось загрузить данные пользователя.',
+        'debug.loadFailedStatus': 'Не удалось загрузить данные пользователя: {error}',
+        'debug.loaded': 'Данные пользователя загружены!',
+        'debug.showDebugInfo': 'Показать отладку',
+        'debug.tryAgain': 'Повторить',
+        'debug.showDebug': 'Показать отладку',
+        'debug.hideDebug': 'Скрыть отладку',
+        'debug.debugInfo': '🐛 Отладочная информация',
+        'debug.userInfo': '👤 Пользователь',
+        'debug.refresh': '🔄 Обновить',
+        'debug.currentData': '📋 Текущие данные',
+        'debug.updateData': '✏️ Изменить данные',
+        'debug.inputLabel': 'Новые данные пользователя (JSON):',
+        'debug.updateButton': '💾 Сохранить данные',
+        'debug.enterData': 'Введите данные для обновления',
+        'debug.invalidJson': 'Некорректный JSON: {error}',
+        'debug.updating': 'Обновляем данные пользователя...',
+        'debug.updated': 'Данные пользователя обновлены!',
+        'debug.updateFailed': 'Не удалось обновить данные пользователя: {error}',
+        'debug.name': 'Имя:',
+        'debug.username': 'Имя пользователя:',
+        'debug.telegramId': 'Telegram ID:',
+        'debug.language': 'Язык:',
+        'debug.created': 'Создан:',
+        'debug.updatedAt': 'Обновлён:',
+        'debug.editMode': 'Применить как:',
+        'debug.modePatch': 'Патч (слить с текущими данными, null удаляет ключ)',
+        'debug.modeReplace': 'Замена (ввод станет всем user_data)',
+        'debug.previewButton': '🔍 Предпросмотр',
+        'debug.diffCurrent': 'Сейчас',
+        'debug.diffNext': 'После обновления',
+        'debug.noChanges': 'Ничего не меняется',
+        'debug.unchangedLines': {
+            one: '{count} строка без изменений',
+            few: '{count} строки без изменений',
+            many: '{count} строк без изменений',
+            other: '{count} строки без изменений'
+        },
+        'debug.notAnObject': 'user_data должен быть JSON-объектом',
+        'debug.schemaErrors': {
+            one: '{count} ошибка схемы, исправьте её перед обновлением',
+            few: '{count} ошибки схемы, исправьте их перед обновлением',
+            many: '{count} ошибок схемы, исправьте их перед обновлением',
+            other: '{count} ошибки схемы, исправьте их перед обновлением'
+        },
+        'debug.reviewDiff': 'Проверьте изменения ниже и нажмите «Сохранить» ещё раз',
+        'debug.removes': {
+            one: 'Удаляется {count} запись: {paths}',
+            few: 'Удаляются {count} записи: {paths}',
+            many: 'Удаляются {count} записей: {paths}',
+            other: 'Удаляются {count} записи: {paths}'
+        },
+        'debug.confirmRemovals': {
+            one: 'Обновление удалит {count} запись:\n{paths}\n\nПродолжить?',
+            few: 'Обновление удалит {count} записи:\n{paths}\n\nПродолжить?',
+            many: 'Обновление удалит {count} записей:\n{paths}\n\nПродолжить?',
+            other: 'Обновление удалит {count} записи:\n{paths}\n\nПродолжить?'
+        },
+        'debug.confirmReplace': 'user_data будет заменён целиком.\n\nПродолжить?',
+        'debug.confirmReplaceRemovals': {
+            one: 'user_data будет заменён целиком, удалится {count} запись:\n{paths}\n\nПродолжить?',
+            few: 'user_data будет заменён целиком, удалятся {count} записи:\n{paths}\n\nПродолжить?',
+            many: 'user_data будет заменён целиком, удалятся {count} записей:\n{paths}\n\nПродолжить?',
+            other: 'user_data будет заменён целиком, удалятся {count} записи:\n{paths}\n\nПродолжить?'
+        },
+        'debug.history': '🕘 Предыдущие версии',
+        'debug.historyEmpty': 'Здесь появятся версии, заменённые из этого браузера.',
+        'debug.restore': '↩️ Восстановить',
+
+        'editor.expectedType': 'ожидается {type}',
+        'editor.expectedOneOf': 'ожидается одно из: {values}',
+        'editor.belowMinimum': 'должно быть не меньше {minimum}',
+        'editor.aboveMaximum': 'должно быть не больше {maximum}',
+        'editor.missingKey': 'нет обязательного ключа',
+        'editor.unknownKey': 'неизвестный ключ, трекер его не читает'
+    }
+};
+
+// Data Dragon locale for every UI locale
+const DDRAGON_LOCALES = {
+    en: 'en_US',
+    ru: 'ru_RU'
+};
+
+class I18n {
+    constructor() {
+        this.storageKey = 'arena-language';
+        this.locale = this.detectLocale();
+    }
+
+    // Locale Selection
+    getOverride() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    detectLocale() {
+        const override = this.getOverride();
+        if (override && TRANSLATIONS[override]) return override;
+
+        const languageCode = window.TelegramApp?.getUserInfo()?.language_code || navigator.language || 'en';
+        const language = languageCode.slice(0, 2).toLowerCase();
+
+        return TRANSLATIONS[language] ? language : 'en';
+    }
+
+    // Pass 'auto' to follow the Telegram language again
+    setOverride(locale) {
+        try {
+            if (locale === 'auto') {
+                localStorage.removeItem(this.storageKey);
+            } else {
+                localStorage.setItem(this.storageKey, locale);
+            }
+        } catch (error) {
+            window.Logger.warn('ui', 'Failed to store language override', error);
+        }
+
+        this.locale = this.detectLocale();
+        window.Logger.info('ui', 'Locale set to', this.locale);
+    }
+
+    getLocale() {
+        return this.locale;
+    }
+
+    getAvailableLocales() {
+        return Object.keys(TRANSLATIONS);
+    }
+
+    getDataDragonLocale() {
+        return DDRAGON_LOCALES[this.locale] || window.CONFIG.DDRAGON_CONFIG.LOCALE;
+    }
+
+    // Translation
+    t(key, params = {}) {
+        let entry = TRANSLATIONS[this.locale][key] ?? TRANSLATIONS.en[key] ?? key;
+
+        // Plural forms are picked by params.count
+        if (typeof entry === 'object') {
+            const category = new Intl.PluralRules(this.locale).select(params.count);
+            entry = entry[category] || entry.other;
+        }
+
+        return entry.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    applyToDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-title]').forEach(element => {
+            element.title = this.t(element.dataset.i18nTitle);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+
+        document.documentElement.lang = this.locale;
+    }
+}
+
+// Initialize localization
+const i18n = new I18n();
+
+// Export for global use
+window.I18n = i18n;
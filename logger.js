@@ -0,0 +1,175 @@
+// Diagnostics Log
+// One structured log for every page: entries with a level and a category (config, telegram, api, ddragon, ui),
+// a network log of every request with timing and status, and an environment report. Everything is
+// also written to the console, but inside the Telegram mobile webview there is no console to look at,
+// so the bundle can be viewed, copied or sent from the page (diagnostics sheet in index.html, debug page).
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+
+class Logger {
+    constructor() {
+        this.entries = [];
+        this.requests = [];
+        this.listeners = [];
+        this.startedAt = new Date().toISOString();
+    }
+
+    getConfig() {
+        return window.CONFIG.APP_CONFIG;
+    }
+
+    // Log Entries
+    // data is kept as plain JSON so the bundle can be exported, errors keep their name and message
+    toPlain(data) {
+        if (data === undefined) return undefined;
+        if (data instanceof Error) return { name: data.name, message: data.message };
+
+        try {
+            return JSON.parse(JSON.stringify(data));
+        } catch (error) {
+            return String(data);
+        }
+    }
+
+    log(level, category, message, data) {
+        const entry = { time: new Date().toISOString(), level, category, message, data: this.toPlain(data) };
+
+        this.entries.push(entry);
+        if (this.entries.length > this.getConfig().LOG_LIMIT) {
+            this.entries.shift();
+        }
+
+        const consoleMethod = level === 'debug' ? 'log' : level;
+        const prefix = `[${category}] ${message}`;
+        data === undefined ? console[consoleMethod](prefix) : console[consoleMethod](prefix, data);
+
+        this.listeners.forEach(listener => listener(entry));
+        return entry;
+    }
+
+    debug(category, message, data) {
+        return this.log('debug', category, message, data);
+    }
+
+    info(category, message, data) {
+        return this.log('info', category, message, data);
+    }
+
+    warn(category, message, data) {
+        return this.log('warn', category, message, data);
+    }
+
+    error(category, message, data) {
+        return this.log('error', category, message, data);
+    }
+
+    onEntry(listener) {
+        this.listeners.push(listener);
+    }
+
+    // Entries at `minLevel` or above, optionally from one category
+    getEntries({ minLevel = 'debug', category = null } = {}) {
+        const minIndex = LOG_LEVELS.indexOf(minLevel);
+        return this.entries.filter(entry => (
+            LOG_LEVELS.indexOf(entry.level) >= minIndex && (!category || entry.category === category)
+        ));
+    }
+
+    formatEntry(entry) {
+        const time = entry.time.slice(11, 23);
+        const data = entry.data === undefined ? '' : ` ${JSON.stringify(entry.data)}`;
+        return `${time} ${entry.level.toUpperCase()} [${entry.category}] ${entry.message}${data}`;
+    }
+
+    // Network Log
+    // fetch() that records method, URL, status and duration. Bodies and headers are never kept,
+    // they carry initData and user_data.
+    async fetch(category, url, init = {}) {
+        const request = {
+            time: new Date().toISOString(),
+            category,
+            method: init.method || 'GET',
+            url: String(url),
+            status: null,
+            duration: null,
+            error: null
+        };
+        const startedAt = Date.now();
+
+        this.requests.push(request);
+        if (this.requests.length > this.getConfig().LOG_REQUEST_LIMIT) {
+            this.requests.shift();
+        }
+
+        try {
+            const response = await fetch(url, init);
+            request.status = response.status;
+            request.duration = Date.now() - startedAt;
+            this.log(response.ok ? 'debug' : 'warn', category, `${request.method} ${request.url} ${response.status} in ${request.duration}ms`);
+            return response;
+        } catch (error) {
+            request.error = error.name === 'AbortError' ? 'aborted' : error.message;
+            request.duration = Date.now() - startedAt;
+            this.warn(category, `${request.method} ${request.url} failed after ${request.duration}ms: ${request.error}`);
+            throw error;
+        }
+    }
+
+    getRequests() {
+        return this.requests;
+    }
+
+    formatRequest(request) {
+        const result = request.error ? `failed (${request.error})` : request.status ?? 'pending';
+        const duration = request.duration === null ? '' : ` ${request.duration}ms`;
+        return `${request.time.slice(11, 19)} ${request.method} ${request.url} ${result}${duration}`;
+    }
+
+    // Environment Report
+    getEnvironmentReport() {
+        const config = window.CONFIG;
+        return {
+            app: {
+                name: config.APP_CONFIG.APP_NAME,
+                environment: config.ENVIRONMENT,
+                dev_mode: Boolean(config.DEV_CONFIG?.ENABLED),
+                page: window.location.pathname,
+                started_at: this.startedAt
+            },
+            config: window.RuntimeConfig ? window.RuntimeConfig.getReport() : null,
+            telegram: window.TelegramApp ? window.TelegramApp.getEnvironmentReport() : null,
+            browser: {
+                user_agent: navigator.userAgent,
+                language: navigator.language,
+                online: navigator.onLine,
+                viewport: `${window.innerWidth}x${window.innerHeight}`,
+                device_pixel_ratio: window.devicePixelRatio,
+                service_worker: Boolean(navigator.serviceWorker?.controller)
+            },
+            ui: {
+                locale: window.I18n?.locale || null,
+                theme: window.ThemeManager ? window.ThemeManager.resolveTheme() : null
+            }
+        };
+    }
+
+    // Bundle
+    getBundle() {
+        return {
+            generated_at: new Date().toISOString(),
+            environment: this.getEnvironmentReport(),
+            requests: this.requests,
+            entries: this.entries
+        };
+    }
+
+    getBundleText() {
+        return JSON.stringify(this.getBundle(), null, 2);
+    }
+}
+
+// Initialize diagnostics log
+const logger = new Logger();
+
+// Export for global use
+window.Logger = logger;
@@ -0,0 +1,84 @@
+// Patch History
+// What the user has seen of the champion catalog, kept in user_data.settings.catalog so it follows
+// them across devices: { version, champions, history, dismissed } where history lists every patch
+// seen as { version, added, seen_at }. A newer patch with champions that weren't in the catalog
+// before gets a "new this patch" banner and badges, and the dates let the stats leave out champions
+// released after a challenge list was created.
+
+class PatchHistory {
+    // Data Dragon versions are dotted numbers, '14.10.1' is newer than '14.9.1'
+    compareVersions(a, b) {
+        const partsA = a.split('.').map(Number);
+        const partsB = b.split('.').map(Number);
+
+        for (let index = 0; index < Math.max(partsA.length, partsB.length); index++) {
+            const difference = (partsA[index] || 0) - (partsB[index] || 0);
+            if (difference !== 0) return difference;
+        }
+        return 0;
+    }
+
+    // Returns { catalog, added }: `catalog` is `stored` itself when nothing changed, `added` the
+    // champions that are new since the last seen patch. The first catalog only sets the baseline,
+    // and an older one (a stale cache on another device) never rolls the history back.
+    update(stored, version, championIds, now = new Date()) {
+        const ids = [...championIds].sort();
+
+        if (!stored || !stored.version) {
+            return {
+                catalog: { version, champions: ids, history: [{ version, added: [], seen_at: now.toISOString() }] },
+                added: []
+            };
+        }
+
+        if (this.compareVersions(version, stored.version) <= 0) {
+            return { catalog: stored, added: [] };
+        }
+
+        const known = new Set(stored.champions || []);
+        const added = ids.filter(id => !known.has(id));
+        const history = [...(stored.history || []), { version, added, seen_at: now.toISOString() }]
+            .slice(-window.CONFIG.APP_CONFIG.PATCH_HISTORY_LIMIT);
+
+        return {
+            catalog: { ...stored, version, champions: ids, history },
+            added
+        };
+    }
+
+    // Champions that patch `version` added, as far as this user's history knows
+    getNewChampions(stored, version) {
+        const entry = (stored?.history || []).find(patch => patch.version === version);
+        return new Set(entry ? entry.added : []);
+    }
+
+    // The banner stays until it's dismissed for that patch
+    isBannerShown(stored, version) {
+        return this.getNewChampions(stored, version).size > 0 && stored.dismissed !== version;
+    }
+
+    dismissBanner(stored, version) {
+        return { ...stored, dismissed: version };
+    }
+
+    // Champions released after `since` (a list's created_at) that aren't completed yet.
+    // Completed ones stay counted, playing a new champion should still move the percentage.
+    getExcludedChampions(stored, since, completed) {
+        const excluded = new Set();
+        if (!stored || !since) return excluded;
+
+        (stored.history || []).forEach(patch => {
+            if (patch.seen_at <= since) return;
+            patch.added.forEach(id => {
+                if (!completed.has(id)) excluded.add(id);
+            });
+        });
+        return excluded;
+    }
+}
+
+// Initialize patch history
+const patchHistory = new PatchHistory();
+
+// Export for global use
+window.PatchHistory = patchHistory;
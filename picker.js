@@ -0,0 +1,110 @@
+// Champion Picker
+// Weighted random "what to play next" draws among champions that aren't completed yet
+
+class ChampionPicker {
+    constructor() {
+        this.storageKey = 'arena-recent-picks';
+    }
+
+    // Recent Picks
+    getRecentPicks() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(stored) ? stored : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    rememberPicks(championIds) {
+        const limit = window.CONFIG.APP_CONFIG.PICKER_RECENT_LIMIT;
+        const recent = [...championIds, ...this.getRecentPicks().filter(id => !championIds.includes(id))];
+
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(recent.slice(0, limit)));
+        } catch (error) {
+            window.Logger.warn('ui', 'Failed to store recent picks', error);
+        }
+    }
+
+    // Weights
+    // `allChampions` and `completed` describe the whole list so class completion isn't skewed by filters
+    getWeights(candidates, allChampions, completed, options) {
+        const config = window.CONFIG.APP_CONFIG;
+        const recent = options.avoidRecent ? this.getRecentPicks() : [];
+        const tagRatios = {};
+
+        if (options.preferWeakClasses) {
+            const tagTotals = {};
+            allChampions.forEach(champion => {
+                champion.tags.forEach(tag => {
+                    tagTotals[tag] = tagTotals[tag] || { done: 0, total: 0 };
+                    tagTotals[tag].total++;
+                    if (completed.has(champion.id)) tagTotals[tag].done++;
+                });
+            });
+            Object.entries(tagTotals).forEach(([tag, { done, total }]) => {
+                tagRatios[tag] = done / total;
+            });
+        }
+
+        return candidates.map(champion => {
+            let weight = 1;
+
+            if (options.preferWeakClasses) {
+                const weakestRatio = Math.min(...champion.tags.map(tag => tagRatios[tag] ?? 0));
+                weight *= 1 + (1 - weakestRatio) * config.PICKER_WEAK_CLASS_BOOST;
+            }
+
+            if (recent.includes(champion.id)) {
+                weight *= config.PICKER_RECENT_PENALTY;
+            }
+
+            return weight;
+        });
+    }
+
+    drawWeighted(candidates, weights) {
+        const total = weights.reduce((sum, weight) => sum + weight, 0);
+        let roll = Math.random() * total;
+
+        for (let i = 0; i < candidates.length; i++) {
+            roll -= weights[i];
+            if (roll < 0) return candidates[i];
+        }
+
+        return candidates[candidates.length - 1];
+    }
+
+    // Picking
+    // Returns one champion, or two complementary ones in duo mode; empty when nothing is left
+    pick(candidates, allChampions, completed, options) {
+        const remaining = candidates.filter(champion => !completed.has(champion.id));
+        if (remaining.length === 0) return [];
+
+        const weights = this.getWeights(remaining, allChampions, completed, options);
+        const first = this.drawWeighted(remaining, weights);
+        if (!options.duo || remaining.length === 1) return [first];
+
+        // A partner with a different main class and the other damage profile, when there is one
+        const others = remaining.filter(champion => champion.id !== first.id);
+        const complementary = others.filter(champion =>
+            champion.tags[0] !== first.tags[0] && this.isMagicDamage(champion) !== this.isMagicDamage(first)
+        );
+        const differentClass = others.filter(champion => champion.tags[0] !== first.tags[0]);
+        const partners = complementary.length > 0 ? complementary : (differentClass.length > 0 ? differentClass : others);
+
+        const second = this.drawWeighted(partners, this.getWeights(partners, allChampions, completed, options));
+        return [first, second];
+    }
+
+    isMagicDamage(champion) {
+        return (champion.info?.magic || 0) > (champion.info?.attack || 0);
+    }
+}
+
+// Initialize champion picker
+const championPicker = new ChampionPicker();
+
+// Export for global use
+window.ChampionPicker = championPicker;
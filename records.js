@@ -0,0 +1,73 @@
+// Champion Records
+// Optional per-champion details kept next to a challenge list's progress:
+//   records: { Ahri: { completed_at, placement, attempts, augments, note } }
+// Lists saved before records existed simply have no `records` key.
+
+class ChampionRecords {
+    // Drop empty fields and out-of-range values, returns null for an empty record
+    normalize(input) {
+        const record = {};
+
+        if (/^\d{4}-\d{2}-\d{2}$/.test(input.completed_at || '')) {
+            record.completed_at = input.completed_at;
+        }
+
+        const placement = parseInt(input.placement, 10);
+        if (placement >= 1 && placement <= 8) {
+            record.placement = placement;
+        }
+
+        const attempts = parseInt(input.attempts, 10);
+        if (attempts > 0) {
+            record.attempts = attempts;
+        }
+
+        ['augments', 'note'].forEach(field => {
+            const value = (input[field] || '').trim();
+            if (value) {
+                record[field] = value;
+            }
+        });
+
+        return Object.keys(record).length > 0 ? record : null;
+    }
+
+    // Stamp the completion date the first time a champion is marked completed
+    markCompleted(records, championId, date = new Date()) {
+        const record = records[championId] || {};
+        if (!record.completed_at) {
+            records[championId] = { ...record, completed_at: date.toISOString().slice(0, 10) };
+        }
+    }
+
+    // Drop the completion date of an unmarked champion so marking it again stamps a new one,
+    // the rest of the record stays
+    clearCompleted(records, championId) {
+        const record = records[championId];
+        if (!record || !record.completed_at) return;
+
+        const rest = { ...record };
+        delete rest.completed_at;
+
+        if (Object.keys(rest).length > 0) {
+            records[championId] = rest;
+        } else {
+            delete records[championId];
+        }
+    }
+
+    // Per champion, a record edited locally since `base` wins over the remote one
+    merge(base, local, remote) {
+        return window.ProgressSync.mergeKeys(base, local, remote);
+    }
+
+    formatPlacement(placement) {
+        return window.I18n.t(`placement.${placement}`);
+    }
+}
+
+// Initialize champion records
+const championRecords = new ChampionRecords();
+
+// Export for global use
+window.ChampionRecords = championRecords;
@@ -0,0 +1,313 @@
+// Runtime Configuration
+// window.CONFIG is put together in layers, later ones win:
+//   1. the defaults in config.js
+//   2. config.json next to the page, written by the deploy workflow (the last copy is remembered
+//      in localStorage so offline starts keep the deployed settings). Only a local page (localhost,
+//      file:) runs without it, a deployment that can't read it stops instead of falling back to the
+//      development defaults.
+//   3. tester overrides of the environment: ?env=<name> in the URL or the start_param env_<name>.
+//      Anyone can send such a link, so a deployment only takes them when its config.json sets
+//      "ALLOW_ENV_OVERRIDES": true. The production deploy leaves it off.
+// The result is validated before anything talks to the API. A production config whose routes
+// point at /dev, or any invalid value, stops the app with an error instead of running against
+// the wrong backend. Load after config.js and logger.js, before dev.js.
+
+// Sections of window.CONFIG that config.json can change, key by key
+const CONFIG_SECTIONS = ['APP_CONFIG', 'DDRAGON_CONFIG', 'TELEGRAM_CONFIG'];
+
+class RuntimeConfig {
+    constructor() {
+        this.cacheKey = 'arena-config';
+        this.startParamPrefix = 'env_';
+        this.defaultEnvironment = window.CONFIG.ENVIRONMENT;
+        this.fileEnvironment = null;
+        this.isLocal = this.isLocalPage();
+        this.allowOverrides = this.isLocal;
+        this.sources = ['defaults'];
+        this.errors = [];
+        this.warnings = [];
+
+        // Applied by load() once config.json says whether overrides are allowed
+        this.override = this.readOverride();
+
+        this.ready = this.load();
+    }
+
+    // Tester Overrides
+    // { environment, source } or null, the URL wins over the start_param
+    readOverride() {
+        const params = new URLSearchParams(window.location.search);
+        const startParam = window.Telegram?.WebApp?.initDataUnsafe?.start_param || params.get('tgWebAppStartParam') || '';
+
+        if (params.get('env')) {
+            return { environment: params.get('env'), source: 'URL' };
+        }
+        if (startParam.startsWith(this.startParamPrefix)) {
+            return { environment: startParam.slice(this.startParamPrefix.length), source: 'start_param' };
+        }
+        return null;
+    }
+
+    // A page served from this machine, where the defaults in config.js are meant to be used
+    isLocalPage() {
+        const { protocol, hostname } = window.location;
+        return protocol === 'file:' || ['localhost', '127.0.0.1', '[::1]'].includes(hostname);
+    }
+
+    // config.json
+    // The parsed file, null when there is none. Unreachable (offline, timed out) falls back to
+    // the remembered copy. A file that isn't valid JSON is an error, and so is no file at all on
+    // a deployment: its defaults are the development ones.
+    async readFile() {
+        const config = window.CONFIG.APP_CONFIG;
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), config.CONFIG_TIMEOUT);
+
+        let text;
+        try {
+            const response = await window.Logger.fetch('config', config.CONFIG_URL, { cache: 'no-store', signal: controller.signal });
+            if (response.status === 404) {
+                localStorage.removeItem(this.cacheKey);
+                if (!this.isLocal) this.errors.push(`${config.CONFIG_URL} is missing from this deployment`);
+                return null;
+            }
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            text = await response.text();
+        } catch (error) {
+            const saved = localStorage.getItem(this.cacheKey);
+            if (!saved) {
+                if (this.isLocal) {
+                    window.Logger.warn('config', `${config.CONFIG_URL} unreachable (${error.message}), keeping the defaults`);
+                } else {
+                    this.errors.push(`${config.CONFIG_URL} unreachable (${error.message}), check the connection and reopen the app`);
+                }
+                return null;
+            }
+
+            window.Logger.warn('config', `${config.CONFIG_URL} unreachable (${error.message}), using the remembered copy`);
+
+            this.sources.push(`${config.CONFIG_URL} (remembered)`);
+            return JSON.parse(saved);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        let file;
+        try {
+            file = JSON.parse(text);
+        } catch (error) {
+            this.errors.push(`${config.CONFIG_URL} is not valid JSON: ${error.message}`);
+            return null;
+        }
+
+        try {
+            localStorage.setItem(this.cacheKey, text);
+        } catch (error) {
+            window.Logger.warn('config', 'Failed to remember config.json', error);
+        }
+        this.sources.push(config.CONFIG_URL);
+        return file;
+    }
+
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    // Known keys are set when their type matches the default, anything else is reported
+    mergeFile(file) {
+        if (!this.isObject(file)) {
+            this.errors.push('config.json must be an object');
+            return;
+        }
+
+        this.allowOverrides = file.ALLOW_ENV_OVERRIDES === true;
+
+        Object.entries(file).forEach(([key, value]) => {
+            if (key === 'ALLOW_ENV_OVERRIDES') {
+                if (typeof value !== 'boolean') this.errors.push('ALLOW_ENV_OVERRIDES must be a boolean');
+            } else if (key === 'ENVIRONMENT') {
+                if (typeof value === 'string') {
+                    this.fileEnvironment = value;
+                } else {
+                    this.errors.push('ENVIRONMENT must be a string');
+                }
+            } else if (key === 'ENVIRONMENTS') {
+                this.mergeEnvironments(value);
+            } else if (CONFIG_SECTIONS.includes(key) && this.isObject(value)) {
+                this.mergeSection(key, value);
+            } else {
+                this.warnings.push(`${key} can't be set in config.json, ignored`);
+            }
+        });
+    }
+
+    mergeEnvironments(environments) {
+        if (!this.isObject(environments)) {
+            this.errors.push('ENVIRONMENTS must be an object');
+            return;
+        }
+
+        Object.entries(environments).forEach(([name, routes]) => {
+            if (!this.isObject(routes)) {
+                this.errors.push(`ENVIRONMENTS.${name} must be an object`);
+                return;
+            }
+            window.CONFIG.ENVIRONMENTS[name] = { ...window.CONFIG.ENVIRONMENTS[name], ...routes };
+        });
+    }
+
+    mergeSection(sectionName, values) {
+        const section = window.CONFIG[sectionName];
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (!(key in section)) {
+                this.warnings.push(`${sectionName}.${key} is not a known setting, ignored`);
+            } else if (typeof value !== typeof section[key] || this.isObject(value) !== this.isObject(section[key])) {
+                this.errors.push(`${sectionName}.${key} must be a ${typeof section[key]}`);
+            } else {
+                section[key] = this.isObject(value) ? { ...section[key], ...value } : value;
+            }
+        });
+    }
+
+    // Environment
+    getEnvironment() {
+        const environments = window.CONFIG.ENVIRONMENTS;
+        if (this.override && this.allowOverrides && environments[this.override.environment]) {
+            return this.override.environment;
+        }
+        return this.fileEnvironment || this.defaultEnvironment;
+    }
+
+    // Points ROUTE_PREFIX and API_ENDPOINTS at the active environment's routes
+    applyEnvironment() {
+        const config = window.CONFIG;
+        const environment = this.getEnvironment();
+        const routes = config.ENVIRONMENTS[environment];
+
+        config.ENVIRONMENT = environment;
+        if (!routes) return;
+
+        config.API_BASE_URL = routes.API_BASE_URL;
+        config.ROUTE_PREFIX = routes.ROUTE_PREFIX;
+        Object.entries(config.API_ROUTES).forEach(([name, route]) => {
+            config.API_ENDPOINTS[name] = routes.API_BASE_URL + routes.ROUTE_PREFIX + route;
+        });
+    }
+
+    // Validation
+    // Runs on the applied config, an unknown override environment was already skipped by getEnvironment
+    validate() {
+        const config = window.CONFIG;
+
+        if (this.override && !this.allowOverrides) {
+            this.warnings.push(`Environment override "${this.override.environment}" from the ${this.override.source} is not allowed by config.json, ignored`);
+            this.override = null;
+        }
+        if (this.override && !config.ENVIRONMENTS[this.override.environment]) {
+            this.warnings.push(`Unknown environment "${this.override.environment}" from the ${this.override.source}, ignored`);
+            this.override = null;
+        }
+
+        Object.entries(config.ENVIRONMENTS).forEach(([name, routes]) => {
+            if (!this.isValidApiUrl(routes.API_BASE_URL)) {
+                this.errors.push(`ENVIRONMENTS.${name}.API_BASE_URL must be an https URL`);
+            }
+            if (typeof routes.ROUTE_PREFIX !== 'string' || !routes.ROUTE_PREFIX.startsWith('/')) {
+                this.errors.push(`ENVIRONMENTS.${name}.ROUTE_PREFIX must start with /`);
+            }
+        });
+
+        if (!config.ENVIRONMENTS[config.ENVIRONMENT]) {
+            this.errors.push(`ENVIRONMENT "${config.ENVIRONMENT}" is not in ENVIRONMENTS`);
+            return;
+        }
+
+        // Production must never read or write the test users' data by accident
+        if (config.ENVIRONMENT === 'prod') {
+            const apiPath = this.isValidApiUrl(config.API_BASE_URL) ? new URL(config.API_BASE_URL).pathname : '';
+            if (this.isDevRoute(String(config.ROUTE_PREFIX)) || this.isDevRoute(apiPath)) {
+                this.errors.push('Production routes point at /dev');
+            }
+            if (config.DEV_CONFIG.ENABLED) {
+                this.errors.push('Dev mode can\'t run in production');
+            }
+        }
+    }
+
+    isValidApiUrl(value) {
+        try {
+            const url = new URL(value);
+            return url.protocol === 'https:' || (url.protocol === 'http:' && url.hostname === 'localhost');
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isDevRoute(path) {
+        return path.split('/').includes('dev');
+    }
+
+    // Loading
+    // Resolves once window.CONFIG is final, rejects when it is invalid
+    async load() {
+        const file = await this.readFile();
+        if (file) this.mergeFile(file);
+
+        this.applyEnvironment();
+        this.validate();
+        if (this.override) {
+            this.sources.push(this.override.source);
+        }
+
+        this.warnings.forEach(warning => window.Logger.warn('config', warning));
+        window.Logger.info('config', `Environment ${window.CONFIG.ENVIRONMENT} from ${this.sources.join(', ')}`);
+
+        if (this.errors.length > 0) {
+            this.errors.forEach(error => window.Logger.error('config', error));
+            throw new Error(`Invalid configuration: ${this.errors.join('; ')}`);
+        }
+        return window.CONFIG;
+    }
+
+    // Badge
+    // Shown on every environment but production, and whenever a tester switched environments
+    getBadge() {
+        const environment = window.CONFIG.ENVIRONMENT;
+        if (environment === 'prod' && !this.override) return null;
+
+        return { text: environment.toUpperCase(), isOverride: Boolean(this.override), sources: this.sources };
+    }
+
+    renderBadge() {
+        const element = document.getElementById('env-badge');
+        if (!element) return;
+
+        const badge = this.getBadge();
+        element.style.display = badge ? 'inline-block' : 'none';
+        if (!badge) return;
+
+        element.textContent = badge.text;
+        element.classList.toggle('override', badge.isOverride);
+        element.title = window.I18n.t('config.badgeTitle', { environment: window.CONFIG.ENVIRONMENT, sources: badge.sources.join(', ') });
+    }
+
+    // For the diagnostics bundle (logger.js)
+    getReport() {
+        const config = window.CONFIG;
+        return {
+            environment: config.ENVIRONMENT,
+            api: config.API_BASE_URL + config.ROUTE_PREFIX,
+            sources: this.sources,
+            override: this.override,
+            warnings: this.warnings,
+            errors: this.errors
+        };
+    }
+}
+
+// Initialize runtime configuration
+const runtimeConfig = new RuntimeConfig();
+
+// Export for global use
+window.RuntimeConfig = runtimeConfig;
@@ -0,0 +1,86 @@
+// Bulk Selection
+// Edit mode changes for many champions at once: everything shown, a range of cards, an inverted
+// view or a pasted list of names. Every helper returns a list of { championId, completed } with
+// only the champions whose state actually changes, the tracker confirms and records it as one
+// undo step.
+
+class BulkSelection {
+    // Marking / Unmarking
+    getMarkStates(ids, completed, isCompleted) {
+        return ids
+            .filter(championId => completed.has(championId) !== isCompleted)
+            .map(championId => ({ championId, completed: isCompleted }));
+    }
+
+    getInvertStates(ids, completed) {
+        return ids.map(championId => ({ championId, completed: !completed.has(championId) }));
+    }
+
+    // Ranges
+    // The ids from one card to another in grid order, both included, in either direction
+    getRange(ids, fromId, toId) {
+        const from = ids.indexOf(fromId);
+        const to = ids.indexOf(toId);
+        if (from === -1 || to === -1) return [];
+
+        return ids.slice(Math.min(from, to), Math.max(from, to) + 1);
+    }
+
+    // A range is marked, or cleared when it is completed already
+    getRangeStates(ids, completed) {
+        return this.getMarkStates(ids, completed, !ids.every(championId => completed.has(championId)));
+    }
+
+    // Pasted Names
+    // One name per line, or separated by commas or semicolons. Returns { ids, guessed, unknown }:
+    // guessed lists the { value, championId } that only matched fuzzily so the preview can show
+    // them, unknown the values that matched no champion or more than one.
+    parseNames(text, champions) {
+        const values = [...new Set(text.split(/[\n\r\t,;]+/).map(value => value.trim()).filter(Boolean))];
+        const result = { ids: [], guessed: [], unknown: [] };
+
+        values.forEach(value => {
+            const match = this.findChampion(value, champions);
+            if (!match) {
+                result.unknown.push(value);
+                return;
+            }
+
+            if (!result.ids.includes(match.championId)) result.ids.push(match.championId);
+            if (match.isGuess) result.guessed.push({ value, championId: match.championId });
+        });
+
+        return result;
+    }
+
+    // Compared without case, spaces and punctuation: the id or name first, then the start of a
+    // name ("nunu"), then a typo or two ("jynx", "kaisaa"). Only an unambiguous guess counts.
+    findChampion(value, champions) {
+        const filters = window.ChampionFilters;
+        const compact = text => filters.normalizeText(text).replace(/ /g, '');
+        const query = compact(value);
+        if (!query) return null;
+
+        const exact = champions.find(champion => compact(champion.id) === query || compact(champion.name) === query);
+        if (exact) return { championId: exact.id, isGuess: false };
+
+        const unique = candidates => (candidates.length === 1 ? { championId: candidates[0].id, isGuess: true } : null);
+
+        if (query.length >= 3) {
+            const prefixed = champions.filter(champion => compact(champion.name).startsWith(query));
+            if (prefixed.length > 0) return unique(prefixed);
+        }
+
+        for (const limit of query.length >= 6 ? [1, 2] : [1]) {
+            const close = champions.filter(champion => filters.isWithinDistance(query, compact(champion.name), limit));
+            if (close.length > 0) return unique(close);
+        }
+        return null;
+    }
+}
+
+// Initialize bulk selection
+const bulkSelection = new BulkSelection();
+
+// Export for global use
+window.BulkSelection = bulkSelection;
@@ -0,0 +1,127 @@
+// Progress Statistics
+// Per-class breakdown, completion timeline and pace projection, drawn as inline SVG
+
+class ProgressStats {
+    // Calculations
+    getCompletion(champions, completed) {
+        const done = champions.filter(champion => completed.has(champion.id)).length;
+        return {
+            completed: done,
+            total: champions.length,
+            percentage: champions.length > 0 ? Math.round((done / champions.length) * 100) : 0
+        };
+    }
+
+    // Completion per Data Dragon tag, a champion with two tags counts in both
+    getClassBreakdown(champions, completed) {
+        const byTag = {};
+
+        champions.forEach(champion => {
+            champion.tags.forEach(tag => {
+                byTag[tag] = byTag[tag] || [];
+                byTag[tag].push(champion);
+            });
+        });
+
+        return Object.keys(byTag).sort().map(tag => ({
+            label: tag,
+            ...this.getCompletion(byTag[tag], completed)
+        }));
+    }
+
+    // Cumulative completions per day, from the completed_at dates in champion records
+    getTimeline(records, completed) {
+        const perDay = {};
+
+        completed.forEach(championId => {
+            const date = records[championId]?.completed_at;
+            if (date) {
+                perDay[date] = (perDay[date] || 0) + 1;
+            }
+        });
+
+        let total = 0;
+        return Object.keys(perDay).sort().map(date => {
+            total += perDay[date];
+            return { date, total };
+        });
+    }
+
+    // Days left at the pace of the recent window, null when there's no pace to go by
+    projectDaysLeft(timeline, remaining, windowDays = window.CONFIG.APP_CONFIG.STATS_PACE_WINDOW_DAYS) {
+        if (remaining === 0) return 0;
+        if (timeline.length === 0) return null;
+
+        const now = Date.now();
+        const dayMs = 24 * 60 * 60 * 1000;
+        const firstDay = new Date(timeline[0].date).getTime();
+        const windowStart = Math.max(firstDay, now - windowDays * dayMs);
+        const days = Math.max(1, Math.ceil((now - windowStart) / dayMs));
+
+        const beforeWindow = timeline.filter(point => new Date(point.date).getTime() < windowStart);
+        const startTotal = beforeWindow.length > 0 ? beforeWindow[beforeWindow.length - 1].total : 0;
+        const completedInWindow = timeline[timeline.length - 1].total - startTotal;
+
+        if (completedInWindow === 0) return null;
+
+        const perDay = completedInWindow / days;
+        return Math.ceil(remaining / perDay);
+    }
+
+    // Rendering
+    renderBarChart(rows) {
+        const rowHeight = 26;
+        const labelWidth = 80;
+        const barWidth = 200;
+        const height = rows.length * rowHeight;
+
+        const bars = rows.map((row, index) => {
+            const y = index * rowHeight;
+            const width = row.total > 0 ? (row.completed / row.total) * barWidth : 0;
+            return `
+                <text x="0" y="${y + 17}" class="chart-label">${row.label}</text>
+                <rect x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="16" rx="3" class="chart-track"></rect>
+                <rect x="${labelWidth}" y="${y + 5}" width="${width}" height="16" rx="3" class="chart-bar"></rect>
+                <text x="${labelWidth + barWidth + 8}" y="${y + 17}" class="chart-value">${row.completed}/${row.total}</text>
+            `;
+        }).join('');
+
+        return `<svg class="stats-chart" viewBox="0 0 ${labelWidth + barWidth + 60} ${height}" role="img">${bars}</svg>`;
+    }
+
+    renderTimelineChart(timeline, total) {
+        if (timeline.length === 0) {
+            return `<div class="stats-empty">${window.I18n.t('dashboard.noDates')}</div>`;
+        }
+
+        const width = 320;
+        const height = 140;
+        const padding = 24;
+        const firstDay = new Date(timeline[0].date).getTime();
+        const lastDay = Math.max(new Date(timeline[timeline.length - 1].date).getTime(), firstDay + 1);
+
+        const x = date => padding + ((new Date(date).getTime() - firstDay) / (lastDay - firstDay)) * (width - padding * 2);
+        const y = value => height - padding - (value / Math.max(total, 1)) * (height - padding * 2);
+
+        const points = timeline.map(point => `${x(point.date).toFixed(1)},${y(point.total).toFixed(1)}`);
+        const path = timeline.length === 1
+            ? `M${padding},${y(timeline[0].total)} L${width - padding},${y(timeline[0].total)}`
+            : `M${points.join(' L')}`;
+
+        return `
+            <svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img">
+                <line x1="${padding}" y1="${y(total)}" x2="${width - padding}" y2="${y(total)}" class="chart-goal"></line>
+                <path d="${path}" class="chart-line"></path>
+                <text x="${padding}" y="${height - 6}" class="chart-value">${timeline[0].date}</text>
+                <text x="${width - padding}" y="${height - 6}" text-anchor="end" class="chart-value">${timeline[timeline.length - 1].date}</text>
+                <text x="${padding}" y="${y(total) - 4}" class="chart-value">${total}</text>
+            </svg>
+        `;
+    }
+}
+
+// Initialize progress stats
+const progressStats = new ProgressStats();
+
+// Export for global use
+window.ProgressStats = progressStats;
@@ -0,0 +1,274 @@
+// Progress Storage
+// user_data lives on our backend, with mirrors in Telegram CloudStorage and localStorage.
+// The mirrors keep the last server copy plus any local edits the server hasn't accepted yet,
+// so the tracker still opens while the backend is down and offline edits are merged back later.
+
+// localStorage Mirror
+class LocalMirror {
+    getKey() {
+        const userId = window.TelegramApp.getUserInfo()?.id || 'guest';
+        return `arena-user-data-${userId}`;
+    }
+
+    async read() {
+        try {
+            return JSON.parse(localStorage.getItem(this.getKey()));
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to read local mirror', error);
+            return null;
+        }
+    }
+
+    async write(record) {
+        try {
+            localStorage.setItem(this.getKey(), JSON.stringify(record));
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to write local mirror', error);
+        }
+    }
+}
+
+// CloudStorage Mirror
+// Values are capped at 4096 characters, so the record is split into chunks. Writes alternate between
+// two slots and the meta key is switched last, a write that dies halfway leaves the previous copy readable.
+class CloudMirror {
+    constructor() {
+        this.metaKey = 'progress_meta';
+    }
+
+    getStorage() {
+        if (!window.CONFIG.APP_CONFIG.ENABLE_CLOUD_MIRROR) return null;
+        return window.TelegramApp.getCloudStorage();
+    }
+
+    // CloudStorage takes callbacks, some clients never call back when it's unavailable
+    call(method, ...args) {
+        const storage = this.getStorage();
+        const timeout = window.CONFIG.APP_CONFIG.CLOUD_STORAGE_TIMEOUT;
+
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => reject(new Error(`CloudStorage.${method} timed out`)), timeout);
+            storage[method](...args, (error, result) => {
+                clearTimeout(timer);
+                if (error) {
+                    reject(new Error(`CloudStorage.${method} failed: ${error}`));
+                } else {
+                    resolve(result);
+                }
+            });
+        });
+    }
+
+    getChunkKeys(slot, count) {
+        return Array.from({ length: count }, (_, index) => `progress_${slot}_${index}`);
+    }
+
+    // Cheap checksum to catch chunks from two different writes
+    hash(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+        }
+        return hash;
+    }
+
+    async readMeta() {
+        const value = await this.call('getItem', this.metaKey);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async read() {
+        if (!this.getStorage()) return null;
+
+        try {
+            const meta = await this.readMeta();
+            if (!meta) return null;
+
+            const keys = this.getChunkKeys(meta.slot, meta.chunks);
+            const values = await this.call('getItems', keys);
+            const text = keys.map(key => values[key] || '').join('');
+
+            if (text.length !== meta.length || this.hash(text) !== meta.hash) {
+                window.Logger.warn('api', 'Cloud mirror is incomplete, ignoring it');
+                return null;
+            }
+
+            return JSON.parse(text);
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to read cloud mirror', error.message);
+            return null;
+        }
+    }
+
+    async write(record) {
+        if (!this.getStorage()) return;
+
+        const config = window.CONFIG.APP_CONFIG;
+        const text = JSON.stringify(record);
+        const chunkCount = Math.ceil(text.length / config.CLOUD_STORAGE_CHUNK_SIZE);
+
+        if (chunkCount > config.CLOUD_STORAGE_MAX_CHUNKS) {
+            window.Logger.warn('api', `Progress is too large for CloudStorage (${text.length} characters), not mirrored`);
+            return;
+        }
+
+        try {
+            const previous = await this.readMeta().catch(() => null);
+            const slot = previous?.slot === 'a' ? 'b' : 'a';
+            const keys = this.getChunkKeys(slot, chunkCount);
+
+            await Promise.all(keys.map((key, index) => {
+                const start = index * config.CLOUD_STORAGE_CHUNK_SIZE;
+                return this.call('setItem', key, text.slice(start, start + config.CLOUD_STORAGE_CHUNK_SIZE));
+            }));
+
+            await this.call('setItem', this.metaKey, JSON.stringify({
+                slot,
+                chunks: chunkCount,
+                length: text.length,
+                hash: this.hash(text)
+            }));
+
+            // Chunks of the old copy are garbage once the meta points at the new slot
+            if (previous?.slot) {
+                await this.call('removeItems', this.getChunkKeys(previous.slot, previous.chunks));
+            }
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to write cloud mirror', error.message);
+        }
+    }
+}
+
+class ProgressStorage {
+    constructor() {
+        this.mirrors = [new LocalMirror(), new CloudMirror()];
+    }
+
+    // Mirrors
+    // A record is { server, local, saved_at }: the last user_data the server accepted and
+    // the newer local one that still has to reach it (null when in sync)
+    async readMirror() {
+        const records = await Promise.all(this.mirrors.map(mirror => mirror.read()));
+
+        // Another device may have written the cloud copy after this one wrote its local copy
+        return records
+            .filter(record => record && (record.server || record.local))
+            .sort((a, b) => (b.saved_at || '').localeCompare(a.saved_at || ''))[0] || null;
+    }
+
+    async writeMirror(server, local) {
+        const record = { server, local, saved_at: new Date().toISOString() };
+        await Promise.all(this.mirrors.map(mirror => mirror.write(record)));
+    }
+
+    // Local edits carry the revision of the server copy they're based on,
+    // so the next online save sees the server moved on and merges instead of overwriting
+    getOfflineCopy(mirror) {
+        if (!mirror.local) return mirror.server;
+        return { ...mirror.local, progress_revision: mirror.server?.progress_revision || 0 };
+    }
+
+    // Loading
+    // Falls back to the mirrors only when the server can't be reached, not on auth or payload errors
+    async read() {
+        const mirrorRead = this.readMirror();
+
+        let serverData;
+        try {
+            serverData = (await window.ApiClient.getUserData()).user_data;
+        } catch (error) {
+            const mirror = await mirrorRead;
+            if (!(error instanceof window.ApiError) || !error.retryable || !mirror) throw error;
+
+            window.Logger.info('api', `Server unreachable (${error.message}), using the copy saved at ${mirror.saved_at}`);
+            return { userData: this.getOfflineCopy(mirror), isOffline: true };
+        }
+
+        const mirror = await mirrorRead;
+        if (mirror?.local) {
+            const reconciled = await this.reconcile(mirror, serverData);
+
+            // Keep working on the unsynced copy, dropping it for the server one would hide the offline edits
+            if (!reconciled) {
+                return { userData: this.getOfflineCopy(mirror), isOffline: true };
+            }
+            serverData = reconciled;
+        }
+
+        await this.writeMirror(serverData, null);
+        return { userData: serverData, isOffline: false };
+    }
+
+    // Edits saved while offline, on this device or another one, are merged into the current server copy
+    // the same way a save merges with another device. Returns null when the server can't be reached,
+    // the mirror is then kept for the next attempt. A save from another device in between is read and
+    // merged again, auth and payload errors are rethrown like any other failed load.
+    async reconcile(mirror, serverData) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.uploadMerged(mirror, serverData);
+            } catch (error) {
+                if (!(error instanceof window.ApiError)) throw error;
+
+                if (error.retryable) {
+                    window.Logger.warn('api', 'Failed to upload offline edits, keeping them for later', error.message);
+                    return null;
+                }
+                if (error.type !== window.ApiError.TYPES.CONFLICT || attempt >= window.CONFIG.APP_CONFIG.RECONCILE_CONFLICT_RETRIES) {
+                    throw error;
+                }
+
+                window.Logger.info('api', 'The server copy moved on while uploading offline edits, merging again');
+                serverData = (await window.ApiClient.getUserData()).user_data;
+            }
+        }
+    }
+
+    async uploadMerged(mirror, serverData) {
+        const lists = window.ChallengeLists;
+        const base = mirror.server || {};
+        const baseChallenges = lists.fromUserData(base);
+        const localChallenges = lists.fromUserData(mirror.local);
+
+        // Lists deleted offline are the ones missing from the local copy
+        const deletedListIds = new Set(Object.keys(baseChallenges.lists).filter(listId => !localChallenges.lists[listId]));
+        const { challenges } = lists.merge(baseChallenges, localChallenges, lists.fromUserData(serverData), deletedListIds);
+
+        const revision = serverData.progress_revision || 0;
+        const { arena_progress, ...otherData } = serverData;
+        const userData = {
+            ...otherData,
+            challenges,
+            settings: window.ProgressSync.mergeKeys(base.settings, mirror.local.settings, serverData.settings),
+            progress_revision: revision + 1,
+            last_updated: new Date().toISOString()
+        };
+
+        const user = await window.ApiClient.updateUserData({ base_revision: revision, user_data: userData });
+        window.Logger.info('api', `Merged offline edits from ${mirror.saved_at} into revision ${revision}`);
+        return user.user_data;
+    }
+
+    // Saving
+    // An edit the server can't take right now goes to the mirrors before the error is rethrown
+    async write(updateData) {
+        try {
+            const user = await window.ApiClient.updateUserData(updateData);
+            await this.writeMirror(user.user_data, null);
+            return user;
+        } catch (error) {
+            if (error instanceof window.ApiError && error.retryable) {
+                const mirror = await this.readMirror();
+                await this.writeMirror(mirror?.server || null, updateData.user_data);
+                window.Logger.info('api', 'Server unreachable, edit kept in the offline mirrors');
+            }
+            throw error;
+        }
+    }
+}
+
+// Initialize progress storage
+const progressStorage = new ProgressStorage();
+
+// Export for global use
+window.ProgressStorage = progressStorage;
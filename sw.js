@@ -0,0 +1,60 @@
+// Service Worker for Arena LoL
+// Caches Data Dragon champion portraits and sprite sheets so the grid renders on bad connections
+
+const PORTRAIT_CACHE = 'arena-portraits-v2';
+const PORTRAIT_PATTERN = /^https:\/\/ddragon\.leagueoflegends\.com\/cdn\/[^/]+\/img\/(champion|sprite)\//;
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', event => {
+    // Drop caches left over from older service worker versions
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith('arena-portraits-') && key !== PORTRAIT_CACHE)
+                .map(key => caches.delete(key))
+        )).then(() => self.clients.claim())
+    );
+});
+
+// Portraits are keyed without the patch version, so a new patch reuses
+// the cached image until the fresh one has been downloaded. Sprite sheets keep it,
+// tiles move around when a patch adds champions.
+function portraitCacheKey(url) {
+    if (url.includes('/img/sprite/')) return url;
+    return url.replace(/\/cdn\/[^/]+\//, '/cdn/any/');
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET' || !PORTRAIT_PATTERN.test(request.url)) return;
+
+    event.respondWith((async () => {
+        const cache = await caches.open(PORTRAIT_CACHE);
+        const cacheKey = portraitCacheKey(request.url);
+        const cached = await cache.match(cacheKey);
+
+        // Fetched with CORS even for CSS backgrounds, which ask no-cors: an opaque response can't be
+        // checked and counts as megabytes against the webview's storage quota. Data Dragon sends
+        // the CORS headers.
+        const network = fetch(request.url, { mode: 'cors', credentials: 'omit' })
+            .then(response => {
+                if (response.ok) {
+                    event.waitUntil(cache.put(cacheKey, response.clone()).catch(error => {
+                        console.warn('Failed to cache', request.url, error);
+                    }));
+                }
+                return response;
+            });
+
+        if (cached) {
+            // Serve from cache right away, refresh in the background
+            event.waitUntil(network.catch(() => {}));
+            return cached;
+        }
+
+        return network;
+    })());
+});
@@ -0,0 +1,60 @@
+// Progress Sync
+// Three-way merge of set-based progress so saves from several devices don't overwrite each other
+
+class ProgressSync {
+    // Adds and removes made in `current` since `base`
+    getChanges(base, current) {
+        return {
+            added: [...current].filter(id => !base.has(id)),
+            removed: [...base].filter(id => !current.has(id))
+        };
+    }
+
+    // Merge local and remote edits that both started from `base`. From the same base both sides can
+    // only add a champion that wasn't in it or remove one that was, so their edits never contradict.
+    merge(base, local, remote) {
+        const localChanges = this.getChanges(base, local);
+        const remoteChanges = this.getChanges(base, remote);
+
+        return {
+            merged: this.applyChanges(remote, localChanges),
+            localChanges,
+            remoteChanges
+        };
+    }
+
+    applyChanges(progress, changes) {
+        const result = new Set(progress);
+        changes.added.forEach(id => result.add(id));
+        changes.removed.forEach(id => result.delete(id));
+        return result;
+    }
+
+    // Key-by-key merge of plain objects: a value changed locally since `base` wins, otherwise the remote one is kept
+    mergeKeys(base = {}, local = {}, remote = {}) {
+        const merged = { ...remote };
+        const keys = new Set([...Object.keys(base), ...Object.keys(local)]);
+
+        keys.forEach(key => {
+            if (JSON.stringify(local[key]) === JSON.stringify(base[key])) return;
+
+            if (local[key] !== undefined) {
+                merged[key] = local[key];
+            } else {
+                delete merged[key];
+            }
+        });
+
+        return merged;
+    }
+
+    hasChanges(changes) {
+        return changes.added.length > 0 || changes.removed.length > 0;
+    }
+}
+
+// Initialize progress sync
+const progressSync = new ProgressSync();
+
+// Export for global use
+window.ProgressSync = progressSync;
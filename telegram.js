@@ -7,6 +7,9 @@ class TelegramWebApp {
         this.initData = null;
         this.user = null;
         this.isInitialized = false;
+        this.mainButtonHandler = null;
+        this.backButtonHandler = null;
+        this.settingsButtonHandler = null;
 
         this.init();
     }
@@ -30,15 +33,15 @@ class TelegramWebApp {
             // Setup theme
             this.setupTheme();
 
-            console.log('Telegram WebApp initialized successfully');
-            console.log('User:', this.user);
-            console.log('Platform:', this.getPlatform());
-            console.log('Version:', this.getVersion());
-            console.log('Fullscreen Available:', this.isFullscreenAvailable());
-            console.log('Current Expanded State:', this.isExpanded());
-            console.log('Viewport mode set based on device type');
+            window.Logger.info('telegram', 'Telegram WebApp initialized', {
+                user_id: this.user?.id,
+                platform: this.getPlatform(),
+                version: this.getVersion(),
+                fullscreen_available: this.isFullscreenAvailable(),
+                expanded: this.isExpanded()
+            });
         } else {
-            console.warn('Telegram WebApp not available - running in browser mode');
+            window.Logger.warn('telegram', 'Telegram WebApp not available - running in browser mode');
         }
     }
 
@@ -59,6 +62,41 @@ class TelegramWebApp {
         }
     }
 
+    getThemeParams() {
+        return this.isInitialized ? this.webApp.themeParams || {} : {};
+    }
+
+    // Re-applies the theme variables before calling back, so CSS is current when the callback runs
+    onThemeChanged(callback) {
+        if (!this.isInitialized || !this.webApp.onEvent) return;
+
+        this.webApp.onEvent('themeChanged', () => {
+            this.setupTheme();
+            callback(this.getColorScheme());
+        });
+    }
+
+    // Header and background colors need Bot API 6.1+, older clients keep their own
+    setHeaderColor(color) {
+        if (!this.isInitialized || !this.webApp.isVersionAtLeast?.('6.1') || !this.webApp.setHeaderColor) return;
+
+        try {
+            this.webApp.setHeaderColor(color);
+        } catch (error) {
+            window.Logger.warn('telegram', 'Failed to set header color', error);
+        }
+    }
+
+    setBackgroundColor(color) {
+        if (!this.isInitialized || !this.webApp.isVersionAtLeast?.('6.1') || !this.webApp.setBackgroundColor) return;
+
+        try {
+            this.webApp.setBackgroundColor(color);
+        } catch (error) {
+            window.Logger.warn('telegram', 'Failed to set background color', error);
+        }
+    }
+
     // Authentication
     getAuthHeaders() {
         const headers = {
@@ -85,6 +123,47 @@ class TelegramWebApp {
         return this.isInitialized;
     }
 
+    // Deep link payload from a t.me/<bot>/<app>?startapp=... link
+    getStartParam() {
+        if (this.isInitialized && this.webApp.initDataUnsafe?.start_param) {
+            return this.webApp.initDataUnsafe.start_param;
+        }
+
+        // Telegram also passes it as a URL parameter
+        return new URLSearchParams(window.location.search).get('tgWebAppStartParam');
+    }
+
+    // Returns null when the bot username or app short name isn't configured
+    buildStartAppLink(startParam) {
+        const config = window.CONFIG.TELEGRAM_CONFIG;
+        if (!config.BOT_USERNAME || !config.APP_SHORT_NAME) return null;
+
+        return `https://t.me/${config.BOT_USERNAME}/${config.APP_SHORT_NAME}?startapp=${startParam}`;
+    }
+
+    // Sharing
+    openTelegramLink(url) {
+        if (!this.isInitialized) {
+            window.open(url, '_blank');
+            return;
+        }
+
+        this.webApp.openTelegramLink(url);
+    }
+
+    shareLink(url, text) {
+        const shareUrl = `https://t.me/share/url?url=${encodeURIComponent(url)}&text=${encodeURIComponent(text)}`;
+        this.openTelegramLink(shareUrl);
+    }
+
+    // Needs inline mode enabled for the bot
+    switchInlineQuery(query, chatTypes = ['users', 'groups']) {
+        if (!this.isInitialized || !this.webApp.switchInlineQuery) return false;
+
+        this.webApp.switchInlineQuery(query, chatTypes);
+        return true;
+    }
+
     // Haptic Feedback
     hapticFeedback(type = 'light') {
         if (!this.isInitialized || !window.CONFIG?.APP_CONFIG?.ENABLE_HAPTIC_FEEDBACK) return;
@@ -113,6 +192,12 @@ class TelegramWebApp {
     showMainButton(text, onClick) {
         if (!this.isInitialized) return;
 
+        // Replace the previous handler instead of stacking them
+        if (this.mainButtonHandler) {
+            this.webApp.MainButton.offClick(this.mainButtonHandler);
+        }
+        this.mainButtonHandler = onClick;
+
         this.webApp.MainButton.setText(text);
         this.webApp.MainButton.onClick(onClick);
         this.webApp.MainButton.show();
@@ -121,13 +206,44 @@ class TelegramWebApp {
     hideMainButton() {
         if (!this.isInitialized) return;
 
+        if (this.mainButtonHandler) {
+            this.webApp.MainButton.offClick(this.mainButtonHandler);
+            this.mainButtonHandler = null;
+        }
+
         this.webApp.MainButton.hide();
     }
 
+    // Keeps the current handler, for labels like "Save 3 changes" that follow the edit session
+    setMainButtonText(text) {
+        if (!this.isInitialized) return;
+
+        this.webApp.MainButton.setText(text);
+    }
+
+    // Spinner while a save is in flight, the button ignores taps until it's done
+    setMainButtonProgress(loading) {
+        if (!this.isInitialized) return;
+
+        if (loading) {
+            this.webApp.MainButton.showProgress(false);
+            this.webApp.MainButton.disable();
+        } else {
+            this.webApp.MainButton.hideProgress();
+            this.webApp.MainButton.enable();
+        }
+    }
+
     // Back Button Management
     showBackButton(onClick) {
         if (!this.isInitialized) return;
 
+        // Replace the previous handler instead of stacking them
+        if (this.backButtonHandler) {
+            this.webApp.BackButton.offClick(this.backButtonHandler);
+        }
+        this.backButtonHandler = onClick;
+
         this.webApp.BackButton.onClick(onClick);
         this.webApp.BackButton.show();
     }
@@ -135,9 +251,64 @@ class TelegramWebApp {
     hideBackButton() {
         if (!this.isInitialized) return;
 
+        if (this.backButtonHandler) {
+            this.webApp.BackButton.offClick(this.backButtonHandler);
+            this.backButtonHandler = null;
+        }
+
         this.webApp.BackButton.hide();
     }
 
+    // Settings Button Management
+    // The "Settings" item in the Mini App menu, Bot API 7.0+
+    isSettingsButtonAvailable() {
+        return this.isInitialized && !!this.webApp.SettingsButton && !!this.webApp.isVersionAtLeast?.('7.0');
+    }
+
+    showSettingsButton(onClick) {
+        if (!this.isSettingsButtonAvailable()) return false;
+
+        if (this.settingsButtonHandler) {
+            this.webApp.SettingsButton.offClick(this.settingsButtonHandler);
+        }
+        this.settingsButtonHandler = onClick;
+
+        this.webApp.SettingsButton.onClick(onClick);
+        this.webApp.SettingsButton.show();
+        return true;
+    }
+
+    hideSettingsButton() {
+        if (!this.isSettingsButtonAvailable()) return;
+
+        if (this.settingsButtonHandler) {
+            this.webApp.SettingsButton.offClick(this.settingsButtonHandler);
+            this.settingsButtonHandler = null;
+        }
+
+        this.webApp.SettingsButton.hide();
+    }
+
+    // Cloud Storage
+    // Per-user key/value storage kept by Telegram, Bot API 6.9+
+    getCloudStorage() {
+        if (!this.isInitialized || !this.webApp.CloudStorage || !this.webApp.isVersionAtLeast?.('6.9')) return null;
+
+        return this.webApp.CloudStorage;
+    }
+
+    // Closing Confirmation
+    // Telegram asks before closing the app while this is on, Bot API 6.2+
+    setClosingConfirmation(enabled) {
+        if (!this.isInitialized || !this.webApp.isVersionAtLeast?.('6.2')) return;
+
+        if (enabled) {
+            this.webApp.enableClosingConfirmation();
+        } else {
+            this.webApp.disableClosingConfirmation();
+        }
+    }
+
     // Popup Management
     showAlert(message) {
         if (!this.isInitialized) {
@@ -209,7 +380,7 @@ class TelegramWebApp {
     const isDesktop = ['web', 'macos', 'windows', 'linux'].includes(platform);
     const isMobile  = ['android', 'ios', 'mobile'].includes(platform);
 
-    console.log('Launch mode selection:', {
+    window.Logger.info('telegram', 'Launch mode selection', {
         platform,
         version: tg.version,
         supportsFullscreen: !!(tg.isVersionAtLeast?.('8.0') && typeof tg.requestFullscreen === 'function'),
@@ -218,32 +389,32 @@ class TelegramWebApp {
     });
 
     if (isDesktop) {
-        console.log('Desktop: using expand() (fullsize)');
+        window.Logger.info('telegram', 'Desktop: using expand() (fullsize)');
         tg.expand();
         return;
     }
 
     const canFullscreen = isMobile && tg.isVersionAtLeast?.('8.0') && typeof tg.requestFullscreen === 'function';
     if (canFullscreen) {
-        console.log('Mobile: attempting requestFullscreen()');
+        window.Logger.info('telegram', 'Mobile: attempting requestFullscreen()');
 
         let fellBack = false;
         const fallback = () => {
         if (fellBack) return;
         fellBack = true;
-        console.log('Falling back to expand()');
+        window.Logger.info('telegram', 'Falling back to expand()');
         tg.expand();
         tg.offEvent?.('fullscreenFailed', onFail);
         tg.offEvent?.('fullscreenChanged', onChange);
         };
 
         const onFail = () => {
-        console.log('fullscreenFailed event received');
+        window.Logger.warn('telegram', 'fullscreenFailed event received');
         fallback();
         };
 
         const onChange = () => {
-        console.log('fullscreenChanged, isFullscreen =', tg.isFullscreen);
+        window.Logger.info('telegram', `fullscreenChanged, isFullscreen = ${tg.isFullscreen}`);
         };
 
         tg.onEvent?.('fullscreenFailed', onFail);
@@ -252,7 +423,7 @@ class TelegramWebApp {
         try {
         tg.requestFullscreen();
         } catch (e) {
-        console.warn('requestFullscreen threw, falling back:', e);
+        window.Logger.warn('telegram', 'requestFullscreen threw, falling back', e);
         fallback();
         return;
         }
@@ -260,7 +431,7 @@ class TelegramWebApp {
         // Safety timeout in case no events fire
         setTimeout(() => {
         if (!tg.isFullscreen) {
-            console.log('Fullscreen timeout -> expand()');
+            window.Logger.warn('telegram', 'Fullscreen timeout -> expand()');
             fallback();
         }
         }, 1000);
@@ -268,7 +439,7 @@ class TelegramWebApp {
         return;
     }
 
-    console.log('Unknown/unsupported platform or version: using expand()');
+    window.Logger.info('telegram', 'Unknown/unsupported platform or version: using expand()');
     tg.expand();
     }
 
@@ -290,17 +461,17 @@ class TelegramWebApp {
     // Request specific viewport modes
     requestFullscreen() {
         if (this.isInitialized && this.webApp.isVersionAtLeast?.('8.0') && typeof this.webApp.requestFullscreen === 'function') {
-            console.log('Manually requesting fullscreen mode');
+            window.Logger.info('telegram', 'Manually requesting fullscreen mode');
             this.webApp.requestFullscreen();
         } else {
-            console.log('requestFullscreen not available, using expand fallback');
+            window.Logger.info('telegram', 'requestFullscreen not available, using expand fallback');
             this.webApp.expand();
         }
     }
 
     requestFullsize() {
         if (this.isInitialized) {
-            console.log('Manually requesting fullsize mode (using expand)');
+            window.Logger.info('telegram', 'Manually requesting fullsize mode (using expand)');
             this.webApp.expand();
         }
     }
@@ -343,6 +514,28 @@ class TelegramWebApp {
     isExpanded() {
         return this.isInitialized ? this.webApp.isExpanded : false;
     }
+
+    // Environment Report
+    // What the diagnostics bundle (logger.js) records about the Telegram client
+    getEnvironmentReport() {
+        if (!this.isInitialized) {
+            return { available: false };
+        }
+
+        return {
+            available: true,
+            platform: this.getPlatform(),
+            version: this.getVersion(),
+            color_scheme: this.getColorScheme(),
+            expanded: this.isExpanded(),
+            fullscreen: Boolean(this.isFullscreen()),
+            viewport_height: this.getViewportHeight(),
+            viewport_stable_height: this.getViewportStableHeight(),
+            safe_area: this.webApp.safeAreaInset || null,
+            content_safe_area: this.webApp.contentSafeAreaInset || null,
+            start_param: this.webApp.initDataUnsafe?.start_param || null
+        };
+    }
 }
 
 // Initialize Telegram WebApp
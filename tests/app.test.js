@@ -0,0 +1,162 @@
+// ArenaApp (test.html) against the dev mode mock backend
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadDevConfig, waitFor } = require('./helpers');
+
+const DEV_USER_ID = 100000001;
+
+// Scripts in the order test.html loads them, after the dev mode ones
+const APP_SCRIPTS = ['telegram.js', 'i18n.js', 'api.js', 'editor.js', 'app.js'];
+
+async function bootApp(configure, options = {}) {
+    const context = createContext(options);
+    loadDevConfig(context);
+    context.CONFIG.APP_CONFIG.AUTO_HIDE_STATUS_DELAY = 0;
+    if (configure) configure(context);
+
+    APP_SCRIPTS.forEach(file => loadScript(context, file));
+
+    const app = context.ArenaApp;
+    const debugInfo = context.document.getElementById('debug-info');
+    await waitFor(() => app.getCurrentUserData() || debugInfo.style.display === 'block');
+
+    return { context, app, document: context.document, backend: context.DevMode.backend };
+}
+
+test('loads the signed-in user from the backend', async () => {
+    const { app, document } = await bootApp();
+
+    const user = app.getCurrentUserData();
+    assert.equal(user.telegram_id, DEV_USER_ID);
+    assert.deepEqual([...user.user_data.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+    assert.match(document.getElementById('user-data-display').textContent, /arena_progress/);
+});
+
+test('updateUserData previews the edit first and saves it on the second press', async () => {
+    const { app, document, backend } = await bootApp();
+
+    document.getElementById('user-data-input').value = '{"settings": {"theme": "dark"}}';
+    await app.updateUserData();
+    assert.equal(backend.users[DEV_USER_ID].user_data.settings, undefined);
+    assert.equal(document.getElementById('edit-preview').style.display, 'block');
+
+    await app.updateUserData();
+    const saved = backend.users[DEV_USER_ID].user_data;
+    assert.equal(saved.settings.theme, 'dark');
+    assert.deepEqual([...saved.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(saved.progress_revision, 1);
+    assert.equal(document.getElementById('user-data-input').value, '');
+});
+
+test('removing data and every replace need a confirmation', async () => {
+    let confirmed = false;
+    const confirms = [];
+    const { app, document, backend } = await bootApp(null, {
+        confirm: message => {
+            confirms.push(message);
+            return confirmed;
+        }
+    });
+    const input = document.getElementById('user-data-input');
+
+    document.getElementById('edit-mode').value = 'replace';
+    input.value = '{"arena_progress": ["Zed"]}';
+    const edit = app.previewUserData();
+    assert.deepEqual([...edit.removals], ['user_data.arena_progress["Ahri"]', 'user_data.arena_progress["Jinx"]', 'user_data.arena_progress["Leona"]']);
+
+    await app.updateUserData();
+    assert.deepEqual([...backend.users[DEV_USER_ID].user_data.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+
+    confirmed = true;
+    await app.updateUserData();
+    assert.deepEqual([...backend.users[DEV_USER_ID].user_data.arena_progress], ['Zed']);
+    assert.match(confirms[0], /replaces the whole user_data and removes 3 entries:\nuser_data.arena_progress\["Ahri"\]/);
+
+    // A replace that only overwrites values is confirmed too, its old revision is not kept
+    confirms.length = 0;
+    input.value = '{"arena_progress": ["Zed"], "settings": {"theme": "dark"}, "progress_revision": 0}';
+    app.previewUserData();
+    await app.updateUserData();
+    assert.deepEqual(confirms, ['This replaces the whole user_data.\n\nContinue?']);
+    assert.equal(backend.users[DEV_USER_ID].user_data.settings.theme, 'dark');
+    assert.equal(backend.users[DEV_USER_ID].user_data.progress_revision, 2);
+});
+
+test('schema errors block the update', async () => {
+    const { app, document, backend } = await bootApp();
+
+    document.getElementById('user-data-input').value = '{"settings": {"theme": "neon"}, "last_updated": 5, "notes": "x"}';
+    assert.equal(app.previewUserData(), null);
+    await app.updateUserData();
+
+    assert.equal(backend.users[DEV_USER_ID].user_data.settings, undefined);
+    assert.equal(document.getElementById('status').className, 'status error');
+    const messages = document.getElementById('edit-messages').children.map(message => message.className);
+    assert.deepEqual(messages, ['edit-message error', 'edit-message error', 'edit-message warning']);
+});
+
+test('replaced versions can be restored from the history', async () => {
+    const { app, document, backend } = await bootApp();
+
+    document.getElementById('user-data-input').value = '{"arena_progress": ["Ahri", "Jinx", "Leona", "Zed"]}';
+    app.previewUserData();
+    await app.updateUserData();
+    assert.equal(document.getElementById('history-select').children.length, 1);
+
+    app.restoreVersion();
+    assert.equal(document.getElementById('edit-mode').value, 'replace');
+    await app.updateUserData();
+
+    const restored = backend.users[DEV_USER_ID].user_data;
+    assert.deepEqual([...restored.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(restored.progress_revision, 2);
+    assert.equal(document.getElementById('history-select').children.length, 2);
+});
+
+test('updateUserData rejects invalid JSON without a request', async () => {
+    const { app, document, backend } = await bootApp();
+    let requests = 0;
+    const handle = backend.handle.bind(backend);
+    backend.handle = (...args) => {
+        requests++;
+        return handle(...args);
+    };
+
+    document.getElementById('user-data-input').value = '{arena_progress';
+    await app.updateUserData();
+
+    assert.equal(requests, 0);
+    assert.equal(document.getElementById('status').className, 'status error');
+});
+
+test('a failed load is retried before giving up', async () => {
+    const { app, document } = await bootApp(context => {
+        context.DevMode.backend.failNext('get_data', 503, 1);
+    });
+
+    assert.equal(app.getCurrentUserData().telegram_id, DEV_USER_ID);
+    assert.equal(document.getElementById('status').className, 'status success');
+});
+
+test('an expired session shows the auth error', async () => {
+    const { app, document } = await bootApp(context => {
+        context.DevMode.backend.expireSession();
+    });
+
+    assert.equal(app.getCurrentUserData(), null);
+    assert.equal(document.getElementById('status').className, 'status error');
+    assert.match(document.getElementById('status').textContent, /session/i);
+});
+
+test('an edit is refused when the tracker saved since the page loaded', async () => {
+    const { app, document, backend } = await bootApp();
+
+    document.getElementById('user-data-input').value = '{"settings": {"theme": "dark"}}';
+    app.previewUserData();
+    backend.users[DEV_USER_ID].user_data = { arena_progress: ['Ahri'], progress_revision: 5 };
+
+    await app.updateUserData();
+    assert.equal(backend.users[DEV_USER_ID].user_data.settings, undefined);
+    assert.equal(document.getElementById('status').className, 'status error');
+});
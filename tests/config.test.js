@@ -0,0 +1,154 @@
+// RuntimeConfig: config.json over the defaults, tester overrides, validation and the environment badge
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadConfig, bootTracker } = require('./helpers');
+
+// Serves config.json, any other request fails like it does in the other tests
+function serveConfig(file, status = 200) {
+    return async url => {
+        if (url !== 'config.json') throw new Error(`Unexpected network request to ${url}`);
+        return new Response(typeof file === 'string' ? file : JSON.stringify(file), { status });
+    };
+}
+
+function loadRuntimeConfig(options = {}) {
+    const context = createContext(options);
+    if (options.savedConfig) context.localStorage.setItem('arena-config', options.savedConfig);
+    loadConfig(context);
+    return { context, runtimeConfig: context.RuntimeConfig };
+}
+
+test('config.json is applied over the defaults and remembered for offline starts', async () => {
+    const file = { ENVIRONMENT: 'prod', APP_CONFIG: { AUTOSAVE_DEBOUNCE: 500, SHOW_BANNER: true }, DEV_CONFIG: { ENABLED: true } };
+    const { context, runtimeConfig } = loadRuntimeConfig({ fetch: serveConfig(file) });
+    const config = await runtimeConfig.ready;
+
+    assert.equal(config.ENVIRONMENT, 'prod');
+    assert.equal(config.API_ENDPOINTS.GET_DATA, 'https://arena-back.sh-development.ru/api/user/get_data');
+    assert.equal(config.APP_CONFIG.AUTOSAVE_DEBOUNCE, 500);
+    assert.equal(config.DEV_CONFIG.ENABLED, false);
+    assert.deepEqual([...runtimeConfig.warnings], [
+        'APP_CONFIG.SHOW_BANNER is not a known setting, ignored',
+        'DEV_CONFIG can\'t be set in config.json, ignored'
+    ]);
+    assert.equal(runtimeConfig.getBadge(), null);
+
+    // Offline: the remembered copy still says prod
+    const offline = loadRuntimeConfig({ savedConfig: context.localStorage.getItem('arena-config') });
+    assert.equal((await offline.runtimeConfig.ready).ENVIRONMENT, 'prod');
+    assert.deepEqual([...offline.runtimeConfig.sources], ['defaults', 'config.json (remembered)']);
+
+    // No config.json at all keeps the development defaults
+    const local = loadRuntimeConfig({ fetch: serveConfig('Not found', 404), savedConfig: '{"ENVIRONMENT":"prod"}' });
+    assert.equal((await local.runtimeConfig.ready).ENVIRONMENT, 'dev');
+    assert.equal(local.context.localStorage.getItem('arena-config'), null);
+});
+
+test('an invalid config stops the app, production never points at /dev', async () => {
+    const devRoutes = loadRuntimeConfig({
+        fetch: serveConfig({ ENVIRONMENT: 'prod', ENVIRONMENTS: { prod: { ROUTE_PREFIX: '/dev' } } })
+    });
+    await assert.rejects(devRoutes.runtimeConfig.ready, /Production routes point at \/dev/);
+
+    const invalid = loadRuntimeConfig({
+        fetch: serveConfig({ APP_CONFIG: { API_TIMEOUT: '10s' }, ENVIRONMENTS: { staging: { API_BASE_URL: 'ftp://example.test', ROUTE_PREFIX: '/staging' } } })
+    });
+    await assert.rejects(invalid.runtimeConfig.ready, error => {
+        assert.match(error.message, /APP_CONFIG.API_TIMEOUT must be a number/);
+        assert.match(error.message, /ENVIRONMENTS.staging.API_BASE_URL must be an https URL/);
+        return true;
+    });
+
+    const broken = loadRuntimeConfig({ fetch: serveConfig('{ "ENVIRONMENT": ') });
+    await assert.rejects(broken.runtimeConfig.ready, /config.json is not valid JSON/);
+});
+
+test('testers switch environments with the URL or start_param and see a badge', async () => {
+    const fetch = serveConfig({
+        ENVIRONMENT: 'prod',
+        ALLOW_ENV_OVERRIDES: true,
+        ENVIRONMENTS: { staging: { API_BASE_URL: 'https://staging.example.test/api', ROUTE_PREFIX: '/dev' } }
+    });
+
+    const fromUrl = loadRuntimeConfig({ fetch, search: '?env=dev' });
+    await fromUrl.runtimeConfig.ready;
+    assert.equal(fromUrl.context.CONFIG.API_ENDPOINTS.UPDATE_DATA, 'https://arena-back.sh-development.ru/api/dev/up_data');
+    assert.deepEqual({ ...fromUrl.runtimeConfig.getBadge(), sources: null }, { text: 'DEV', isOverride: true, sources: null });
+
+    // Environments from config.json can be picked too
+    const fromStartParam = loadRuntimeConfig({ fetch, Telegram: { WebApp: { initDataUnsafe: { start_param: 'env_staging' } } } });
+    const config = await fromStartParam.runtimeConfig.ready;
+    assert.equal(config.API_ENDPOINTS.GET_DATA, 'https://staging.example.test/api/dev/get_data');
+    assert.deepEqual([...fromStartParam.runtimeConfig.sources], ['defaults', 'config.json', 'start_param']);
+
+    const unknown = loadRuntimeConfig({ fetch, search: '?env=qa' });
+    assert.equal((await unknown.runtimeConfig.ready).ENVIRONMENT, 'prod');
+    assert.equal(unknown.runtimeConfig.getBadge(), null);
+    assert.match(unknown.runtimeConfig.warnings[0], /Unknown environment "qa" from the URL/);
+});
+
+test('a deployment ignores overrides unless its config.json allows them', async () => {
+    const startParam = { Telegram: { WebApp: { initDataUnsafe: { start_param: 'env_dev' } } } };
+
+    const production = loadRuntimeConfig({ ...startParam, fetch: serveConfig({ ENVIRONMENT: 'prod' }) });
+    const config = await production.runtimeConfig.ready;
+    assert.equal(config.ENVIRONMENT, 'prod');
+    assert.equal(config.API_ENDPOINTS.GET_DATA, 'https://arena-back.sh-development.ru/api/user/get_data');
+    assert.equal(production.runtimeConfig.getBadge(), null);
+    assert.match(production.runtimeConfig.warnings[0], /override "dev" from the start_param is not allowed by config.json/);
+
+    // Also while offline with the remembered copy
+    const offline = loadRuntimeConfig({ ...startParam, savedConfig: '{"ENVIRONMENT":"prod"}' });
+    assert.equal((await offline.runtimeConfig.ready).ENVIRONMENT, 'prod');
+
+    const invalid = loadRuntimeConfig({ fetch: serveConfig({ ALLOW_ENV_OVERRIDES: 'yes' }) });
+    await assert.rejects(invalid.runtimeConfig.ready, /ALLOW_ENV_OVERRIDES must be a boolean/);
+});
+
+test('a deployment without a readable config.json stops instead of running on the defaults', async () => {
+    const page = { href: 'https://arena.example.test/', search: '?env=dev' };
+
+    const missing = loadRuntimeConfig({ ...page, fetch: serveConfig('Not found', 404) });
+    await assert.rejects(missing.runtimeConfig.ready, /config.json is missing from this deployment/);
+    assert.equal(missing.runtimeConfig.allowOverrides, false);
+    assert.equal(missing.context.CONFIG.ENVIRONMENT, 'dev');
+
+    const failed = loadRuntimeConfig({ ...page, fetch: async () => { throw new TypeError('Failed to fetch'); } });
+    await assert.rejects(failed.runtimeConfig.ready, /config.json unreachable \(Failed to fetch\)/);
+
+    // A fetch that never answers is aborted after CONFIG_TIMEOUT
+    const context = createContext({
+        ...page,
+        fetch: (url, init) => new Promise((resolve, reject) => {
+            init.signal.addEventListener('abort', () => reject(new Error('The operation was aborted')));
+        })
+    });
+    loadScript(context, 'config.js');
+    context.CONFIG.APP_CONFIG.CONFIG_TIMEOUT = 10;
+    loadScript(context, 'logger.js');
+    loadScript(context, 'runtime-config.js');
+    await assert.rejects(context.RuntimeConfig.ready, /config.json unreachable \(The operation was aborted\)/);
+
+    // The remembered copy still starts the app offline, without the override
+    const offline = loadRuntimeConfig({ ...page, fetch: serveConfig('', 503), savedConfig: '{"ENVIRONMENT":"prod"}' });
+    assert.equal((await offline.runtimeConfig.ready).ENVIRONMENT, 'prod');
+    assert.equal(offline.runtimeConfig.override, null);
+});
+
+test('the tracker shows the badge and an invalid config never reaches the API', async () => {
+    const { document } = await bootTracker();
+    const badge = document.getElementById('env-badge');
+    assert.equal(badge.style.display, 'inline-block');
+    assert.equal(badge.textContent, 'DEV');
+    assert.equal(badge.title, 'Environment: dev. Settings from: defaults');
+
+    const { context } = await bootTracker({
+        fetch: serveConfig({ ENVIRONMENT: 'prod', ENVIRONMENTS: { prod: { API_BASE_URL: 'https://arena-back.sh-development.ru/dev/api' } } })
+    });
+    const error = context.document.getElementById('error');
+    assert.equal(error.style.display, 'block');
+    assert.match(error.textContent, /Production routes point at \/dev/);
+    assert.match(error.textContent, /Dev mode can't run in production/);
+    assert.equal(context.Logger.getRequests().some(request => request.category === 'api'), false);
+});
@@ -0,0 +1,67 @@
+// UserDataEditor: schema validation, merge patches, removals and the preview diff
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript } = require('./helpers');
+
+function loadEditor() {
+    const context = createContext();
+    ['config.js', 'logger.js', 'runtime-config.js', 'i18n.js', 'editor.js'].forEach(file => loadScript(context, file));
+    return context.UserDataEditor;
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+test('validate checks known keys and only warns about unknown ones', () => {
+    const editor = loadEditor();
+
+    const valid = editor.validate({
+        challenges: {
+            active: 'arena_wins',
+            lists: { arena_wins: { name: 'Arena Wins', progress: ['Ahri'], records: { Ahri: { placement: 1 } } } }
+        },
+        settings: { theme: 'dark', saved_views: [{ name: 'Mages', filters: { tags: ['Mage'] } }] },
+        progress_revision: 3
+    });
+    assert.deepEqual(plain(valid), { errors: [], warnings: [] });
+
+    const invalid = editor.validate({
+        arena_progress: 'Ahri',
+        challenges: { lists: { arena_wins: { name: 'Arena Wins', progress: [], records: { Ahri: { placement: 9 } } } } },
+        debug_note: true
+    });
+    assert.deepEqual(plain(invalid.errors).map(error => error.path), [
+        'user_data.arena_progress',
+        'user_data.challenges.active',
+        'user_data.challenges.lists.arena_wins.records.Ahri.placement'
+    ]);
+    assert.deepEqual(plain(invalid.warnings).map(warning => warning.path), ['user_data.debug_note']);
+});
+
+test('patches merge objects, replace arrays and delete keys set to null', () => {
+    const editor = loadEditor();
+    const current = { arena_progress: ['Ahri'], settings: { theme: 'dark', saved_views: [] }, progress_revision: 2 };
+
+    const patched = editor.applyEdit(current, { settings: { theme: null }, arena_progress: ['Zed'] }, 'patch');
+    assert.deepEqual(plain(patched), { arena_progress: ['Zed'], settings: { saved_views: [] }, progress_revision: 3 });
+    assert.deepEqual(plain(editor.getRemovals(current, patched)), ['user_data.arena_progress["Ahri"]', 'user_data.settings.theme']);
+
+    // A revision in the input never moves the server copy back or sideways
+    const replaced = editor.applyEdit(current, { arena_progress: ['Ahri'], progress_revision: 1 }, 'replace');
+    assert.deepEqual(plain(replaced), { arena_progress: ['Ahri'], progress_revision: 3 });
+    assert.deepEqual(plain(editor.getRemovals(current, replaced)), ['user_data.settings']);
+});
+
+test('the diff pairs changed lines and folds unchanged runs', () => {
+    const editor = loadEditor();
+    const before = { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6, g: 7, h: 8, i: 9 };
+
+    const rows = plain(editor.getDiffRows(before, { ...before, h: 80 }, 1));
+    assert.deepEqual(rows, [
+        { type: 'skip', count: 7 },
+        { type: 'same', left: '  "g": 7,', right: '  "g": 7,' },
+        { type: 'changed', left: '  "h": 8,', right: '  "h": 80,' },
+        { type: 'same', left: '  "i": 9', right: '  "i": 9' },
+        { type: 'skip', count: 1 }
+    ]);
+});
@@ -0,0 +1,181 @@
+// ChampionGrid: keyed card rendering, windowing, debounced search and sprite placeholders
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootTracker, waitFor } = require('./helpers');
+
+const cardIds = grid => grid.children.map(card => card.dataset.championId);
+const keyDown = (grid, key, target) => grid.onKeyDown({ key, target, preventDefault() {} });
+
+test('filter changes reuse the existing card nodes', async () => {
+    const { context, tracker, document } = await bootTracker();
+    const grid = document.getElementById('champions-grid');
+    const ahri = grid.children[0];
+
+    assert.equal(grid.children.length, 12);
+    assert.equal(ahri.dataset.championId, 'Ahri');
+    assert.equal(ahri.classList.contains('completed'), true);
+
+    tracker.setFilter('status', 'completed');
+    assert.deepEqual(cardIds(grid), ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(grid.children[0], ahri);
+
+    tracker.setFilter('sort', 'difficulty');
+    tracker.setFilter('status', 'all');
+    assert.deepEqual(cardIds(grid), Array.from(tracker.getFilteredChampions(), champion => champion.id));
+    assert.equal(grid.children[0].dataset.championId, 'Darius');
+    assert.equal(context.ChampionGrid.getCard('Ahri'), ahri);
+});
+
+test('cards follow progress, records and the friend view in place', async () => {
+    const { context, tracker, document } = await bootTracker();
+    const grid = context.ChampionGrid;
+    const zed = grid.getCard('Zed');
+
+    tracker.toggleEditMode();
+    zed.onclick();
+    assert.equal(zed.classList.contains('completed'), true);
+    assert.equal(tracker.completedChampions.has('Zed'), true);
+
+    tracker.getActiveRecords().Zed.placement = 2;
+    tracker.renderChampions();
+    assert.equal(grid.entries.get('Zed').placement.textContent, '2nd');
+    zed.onclick();
+    assert.equal(zed.classList.contains('completed'), false);
+    tracker.toggleEditMode();
+
+    await tracker.openFriendView(100000002);
+    assert.equal(grid.getCard('Zed'), zed);
+    assert.equal(zed.classList.contains('read-only'), true);
+    assert.ok(grid.entries.get('Ahri').mine);
+    assert.equal(grid.entries.get('Zed').mine, null);
+    assert.equal(document.getElementById('champions-grid').children.includes(zed), true);
+});
+
+test('only the rows around the viewport are rendered and cards are reused as they scroll', async () => {
+    const { context, tracker, document } = await bootTracker({
+        configure: context => {
+            context.CONFIG.APP_CONFIG.GRID_OVERSCAN_ROWS = 0;
+        }
+    });
+    const grid = context.ChampionGrid;
+    const container = document.getElementById('champions-grid');
+    const ids = Array.from(grid.shown, champion => champion.id);
+    const ahri = grid.getCard('Ahri');
+
+    // Four columns, 400px rows and an 800px viewport scrolled 500px into the grid
+    let top = -500;
+    grid.measure = () => ({ columns: 4, rowHeight: 400, top });
+    grid.updateWindow();
+    assert.deepEqual(cardIds(container), ids.slice(4));
+    assert.equal(container.style['--grid-space-before'], '400px');
+    assert.equal(container.style['--grid-space-after'], '0px');
+    assert.equal(ahri.parentNode, null);
+
+    // A card updated while scrolled away is brought up to date when it comes back
+    tracker.getActiveRecords().Ahri = { placement: 1 };
+    tracker.renderChampions();
+    assert.equal(grid.entries.get('Ahri').placement, null);
+
+    top = 0;
+    grid.updateWindow();
+    assert.deepEqual(cardIds(container), ids.slice(0, 8));
+    assert.equal(container.style['--grid-space-after'], '400px');
+    assert.equal(grid.getCard('Ahri'), ahri);
+    assert.equal(grid.entries.get('Ahri').placement.textContent, '1st');
+
+    // Keyboard focus renders the rows around a card outside the window first
+    keyDown(grid, 'End', ahri);
+    assert.deepEqual(cardIds(container), ids.slice(8));
+    assert.equal(grid.getCard(ids[11]).tabIndex, 0);
+    assert.equal(container.style['--grid-space-before'], '800px');
+
+    tracker.setFilter('status', 'remaining');
+    assert.equal(document.getElementById('live-region').textContent, '9 champions shown');
+});
+
+test('search re-renders once typing pauses', async () => {
+    const { tracker, document } = await bootTracker();
+    const grid = document.getElementById('champions-grid');
+
+    tracker.searchChampions('l');
+    tracker.searchChampions('le');
+    tracker.searchChampions('leo');
+    assert.equal(tracker.filters.search, '');
+    assert.equal(grid.children.length, 12);
+
+    await waitFor(() => tracker.filters.search === 'leo');
+    assert.deepEqual(cardIds(grid), ['Leona']);
+});
+
+test('sprite placeholders scale the champion tile to the card', async () => {
+    const { context } = await bootTracker();
+    const grid = context.ChampionGrid;
+    const image = (sprite, x, y) => ({ full: 'X.png', sprite, x, y, w: 48, h: 48 });
+
+    grid.setCatalog([
+        { image: image('champion0.png', 0, 0) },
+        { image: image('champion0.png', 432, 96) },
+        { image: image('champion1.png', 0, 0) }
+    ]);
+    assert.deepEqual({ ...grid.spriteSheets['champion0.png'] }, { width: 480, height: 144 });
+
+    const style = grid.getSpriteStyle('14.20.1', { image: image('champion0.png', 432, 96) });
+    assert.equal(style.backgroundImage, 'url("https://ddragon.leagueoflegends.com/cdn/14.20.1/img/sprite/champion0.png")');
+    assert.equal(style.backgroundSize, '1000% 300%');
+    assert.equal(style.backgroundPosition, '100% 100%');
+
+    // A single tile on its sheet
+    assert.equal(grid.getSpriteStyle('14.20.1', { image: image('champion1.png', 0, 0) }).backgroundPosition, '0% 0%');
+    assert.equal(grid.getSpriteStyle('14.20.1', { image: { full: 'X.png' } }), null);
+});
+
+test('arrow keys, Home and End move the single tab stop', async () => {
+    const { context, document } = await bootTracker();
+    const grid = context.ChampionGrid;
+    const cards = document.getElementById('champions-grid').children;
+    const tabStops = () => cards.filter(card => card.tabIndex === 0).map(card => card.dataset.championId);
+
+    // Four columns
+    cards.forEach((card, index) => { card.offsetTop = Math.floor(index / 4) * 150; });
+    assert.deepEqual(tabStops(), ['Ahri']);
+
+    keyDown(grid, 'ArrowRight', cards[0]);
+    assert.deepEqual(tabStops(), [cards[1].dataset.championId]);
+
+    keyDown(grid, 'ArrowDown', cards[1]);
+    assert.deepEqual(tabStops(), [cards[5].dataset.championId]);
+
+    keyDown(grid, 'End', cards[5]);
+    assert.deepEqual(tabStops(), [cards[11].dataset.championId]);
+
+    keyDown(grid, 'ArrowDown', cards[11]);
+    assert.deepEqual(tabStops(), [cards[11].dataset.championId]);
+
+    keyDown(grid, 'Home', cards[11]);
+    assert.deepEqual(tabStops(), ['Ahri']);
+});
+
+test('Space toggles a card in edit mode and the state reaches screen readers', async () => {
+    const { context, tracker, document } = await bootTracker();
+    const zed = context.ChampionGrid.getCard('Zed');
+    const status = () => context.ChampionGrid.entries.get('Zed').status.textContent;
+
+    assert.equal(zed.getAttribute('role'), 'button');
+    assert.equal(zed.getAttribute('aria-pressed'), null);
+
+    tracker.toggleEditMode();
+    assert.equal(zed.getAttribute('aria-pressed'), 'false');
+
+    keyDown(context.ChampionGrid, ' ', zed);
+    assert.equal(tracker.completedChampions.has('Zed'), true);
+    assert.equal(zed.getAttribute('aria-pressed'), 'true');
+    assert.equal(document.getElementById('live-region').textContent, 'Zed completed, 4 of 12');
+
+    tracker.toggleEditMode();
+    assert.equal(zed.getAttribute('aria-pressed'), null);
+    assert.equal(status(), ', completed');
+
+    tracker.setFilter('status', 'remaining');
+    assert.equal(document.getElementById('live-region').textContent, '8 champions shown');
+});
@@ -0,0 +1,341 @@
+// Test Helpers
+// Loads the browser scripts into a Node vm context with a minimal fake DOM.
+// Run the suite with: node --test tests/
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Fake DOM
+// Only what the page scripts touch; elements are created on first lookup by id
+class FakeClassList {
+    constructor() {
+        this.classes = new Set();
+    }
+
+    add(...names) {
+        names.forEach(name => this.classes.add(name));
+    }
+
+    remove(...names) {
+        names.forEach(name => this.classes.delete(name));
+    }
+
+    toggle(name, force) {
+        const enabled = force === undefined ? !this.classes.has(name) : force;
+        if (enabled) this.classes.add(name);
+        else this.classes.delete(name);
+        return enabled;
+    }
+
+    replace(from, to) {
+        if (!this.classes.has(from)) return false;
+        this.classes.delete(from);
+        this.classes.add(to);
+        return true;
+    }
+
+    contains(name) {
+        return this.classes.has(name);
+    }
+}
+
+class FakeElement {
+    constructor(tagName, id = '') {
+        this.tagName = tagName.toUpperCase();
+        this.id = id;
+        this.style = {
+            setProperty(name, value) {
+                this[name] = value;
+            }
+        };
+        this.dataset = {};
+        this.classList = new FakeClassList();
+        this.className = '';
+        this.attributes = {};
+        this.children = [];
+        this.textContent = '';
+        this.value = '';
+        this.checked = false;
+        this.disabled = false;
+        this.files = [];
+        this.innerHTMLValue = '';
+        this.parentNode = null;
+    }
+
+    get innerHTML() {
+        return this.innerHTMLValue;
+    }
+
+    set innerHTML(html) {
+        this.innerHTMLValue = html;
+        this.children = [];
+    }
+
+    get firstChild() {
+        return this.children[0] || null;
+    }
+
+    get lastChild() {
+        return this.children[this.children.length - 1] || null;
+    }
+
+    get nextSibling() {
+        if (!this.parentNode) return null;
+        const siblings = this.parentNode.children;
+        return siblings[siblings.indexOf(this) + 1] || null;
+    }
+
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    append(...children) {
+        children.forEach(child => this.appendChild(child));
+    }
+
+    insertBefore(child, reference) {
+        if (child.parentNode) child.parentNode.removeChild(child);
+        const index = reference ? this.children.indexOf(reference) : -1;
+        this.children.splice(index === -1 ? this.children.length : index, 0, child);
+        child.parentNode = this;
+        return child;
+    }
+
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        child.parentNode = null;
+        return child;
+    }
+
+    remove() {}
+
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
+
+    getAttribute(name) {
+        return this.attributes[name] ?? null;
+    }
+
+    removeAttribute(name) {
+        delete this.attributes[name];
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    focus() {}
+    select() {}
+    click() {}
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+}
+
+class FakeDocument {
+    constructor() {
+        this.elements = {};
+        this.readyState = 'complete';
+        this.visibilityState = 'visible';
+        this.documentElement = new FakeElement('html');
+        this.documentElement.style.setProperty = (name, value) => {
+            this.documentElement.style[name] = value;
+        };
+        this.head = new FakeElement('head');
+        this.body = new FakeElement('body');
+    }
+
+    getElementById(id) {
+        if (!this.elements[id]) {
+            this.elements[id] = new FakeElement('div', id);
+        }
+        return this.elements[id];
+    }
+
+    createElement(tagName) {
+        return new FakeElement(tagName);
+    }
+
+    querySelector() {
+        return null;
+    }
+
+    querySelectorAll() {
+        return [];
+    }
+
+    addEventListener() {}
+    removeEventListener() {}
+    execCommand() {
+        return true;
+    }
+}
+
+// Like the real localStorage, stored keys are enumerable and the methods are not
+function createStorage() {
+    const storage = {};
+    Object.defineProperties(storage, {
+        getItem: { value: key => (Object.prototype.hasOwnProperty.call(storage, key) ? storage[key] : null) },
+        setItem: {
+            value: (key, value) => {
+                storage[key] = String(value);
+            }
+        },
+        removeItem: {
+            value: key => {
+                delete storage[key];
+            }
+        },
+        clear: { value: () => Object.keys(storage).forEach(key => delete storage[key]) }
+    });
+    return storage;
+}
+
+// Quiet by default, set DEBUG_TESTS=1 to see the app's own logging
+const quietConsole = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+// Context
+// `configure(config)` runs after config.js, before anything else is loaded
+function createContext(options = {}) {
+    const page = new URL(options.href || 'http://localhost/');
+    const context = {
+        console: process.env.DEBUG_TESTS ? console : quietConsole,
+        setTimeout: options.setTimeout || setTimeout,
+        clearTimeout: options.clearTimeout || clearTimeout,
+        setInterval,
+        clearInterval,
+        URL,
+        URLSearchParams,
+        Response,
+        AbortController,
+        TextEncoder,
+        TextDecoder,
+        Blob,
+        btoa,
+        atob,
+        document: new FakeDocument(),
+        localStorage: createStorage(),
+        navigator: { userAgent: options.userAgent || 'Mozilla/5.0 (X11; Linux x86_64)', language: 'en-US' },
+        location: { search: options.search || '', href: page.href, protocol: page.protocol, hostname: page.hostname, reload() {} },
+        innerWidth: options.innerWidth || 1280,
+        innerHeight: 800,
+        alert: options.alert || (() => {}),
+        confirm: options.confirm || (() => true),
+        open() {},
+        addEventListener() {},
+        removeEventListener() {},
+        fetch: options.fetch || (async url => {
+            throw new Error(`Unexpected network request to ${url}`);
+        })
+    };
+
+    if (options.Telegram) {
+        context.Telegram = options.Telegram;
+    }
+
+    context.window = context;
+    vm.createContext(context);
+    return context;
+}
+
+function loadScript(context, file, transform = source => source) {
+    const source = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(transform(source), context, { filename: file });
+}
+
+// config.js, the log every other script writes to and the config layers, as index.html and test.html load them first
+function loadConfig(context) {
+    loadScript(context, 'config.js');
+    loadScript(context, 'logger.js');
+    loadScript(context, 'runtime-config.js');
+}
+
+// Config with dev mode on, no persistence and no latency
+function loadDevConfig(context) {
+    loadConfig(context);
+
+    const devConfig = context.CONFIG.DEV_CONFIG;
+    devConfig.ENABLED = true;
+    devConfig.PERSIST_MOCK_DATA = false;
+    devConfig.MOCK_LATENCY = 0;
+    context.CONFIG.DDRAGON_CONFIG.ENABLE_SERVICE_WORKER = false;
+    context.CONFIG.APP_CONFIG.API_RETRY_BASE_DELAY = 1;
+
+    loadScript(context, 'dev-fixtures.js');
+    loadScript(context, 'dev.js');
+}
+
+// Scripts in the order index.html loads them
+const TRACKER_SCRIPTS = [
+    'telegram.js',
+    'i18n.js',
+    'theme.js',
+    'api.js',
+    'storage.js',
+    'ddragon.js',
+    'sync.js',
+    'autosave.js',
+    'history.js',
+    'challenges.js',
+    'records.js',
+    'stats.js',
+    'filters.js',
+    'grid.js',
+    'patches.js',
+    'selection.js',
+    'picker.js',
+    'friends.js',
+    'transfer.js',
+    'tracker.js'
+];
+
+async function waitFor(check, timeout = 2000) {
+    const startedAt = Date.now();
+    while (!check()) {
+        if (Date.now() - startedAt > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await new Promise(resolve => setTimeout(resolve, 5));
+    }
+}
+
+// Boots index.html's scripts against the mock backend and waits for the grid
+async function bootTracker(options = {}) {
+    const context = createContext(options);
+    loadDevConfig(context);
+    if (options.configure) options.configure(context);
+
+    TRACKER_SCRIPTS.forEach(file => loadScript(context, file));
+
+    const tracker = context.ArenaTracker;
+    const mainContent = context.document.getElementById('main-content');
+    const error = context.document.getElementById('error');
+    await waitFor(() => mainContent.style.display === 'block' || error.style.display === 'block');
+
+    return { context, tracker, document: context.document, backend: context.DevMode.backend };
+}
+
+module.exports = {
+    FakeElement,
+    FakeDocument,
+    createContext,
+    loadScript,
+    loadConfig,
+    loadDevConfig,
+    bootTracker,
+    waitFor,
+    TRACKER_SCRIPTS
+};
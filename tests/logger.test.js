@@ -0,0 +1,94 @@
+// Logger: structured entries, the network log, the diagnostics bundle and the tracker's diagnostics sheet
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, bootTracker } = require('./helpers');
+
+function loadLogger(configure) {
+    const context = createContext();
+    loadScript(context, 'config.js');
+    loadScript(context, 'logger.js');
+    if (configure) configure(context.CONFIG.APP_CONFIG);
+    return { context, logger: context.Logger };
+}
+
+test('entries keep their level, category and data, only the newest LOG_LIMIT are kept', () => {
+    const { logger } = loadLogger(config => { config.LOG_LIMIT = 3; });
+
+    logger.info('telegram', 'Telegram WebApp initialized', { platform: 'ios' });
+    logger.debug('api', 'GET /get_data 200 in 12ms');
+    logger.warn('ddragon', 'Failed to read cache', { key: 'champions_en' });
+    logger.error('ui', 'Failed to load champions');
+
+    assert.equal(logger.entries.length, 3);
+    assert.deepEqual(Array.from(logger.getEntries({ minLevel: 'warn' }), entry => entry.category), ['ddragon', 'ui']);
+    assert.deepEqual(Array.from(logger.getEntries({ category: 'api' }), entry => entry.level), ['debug']);
+    assert.deepEqual({ ...logger.entries[1].data }, { key: 'champions_en' });
+    assert.match(logger.formatEntry(logger.entries[2]), /^\d\d:\d\d:\d\d\.\d{3} ERROR \[ui\] Failed to load champions$/);
+});
+
+test('requests are recorded with status and timing, failures with their error', async () => {
+    const { context, logger } = loadLogger(config => { config.LOG_REQUEST_LIMIT = 2; });
+    context.fetch = async url => ({ ok: !url.endsWith('/missing'), status: url.endsWith('/missing') ? 404 : 200 });
+
+    await logger.fetch('ddragon', 'https://example.test/versions.json');
+    await logger.fetch('api', 'https://example.test/missing', { method: 'POST', body: '{"secret":1}' });
+    context.fetch = async () => { throw new Error('Load failed'); };
+    await assert.rejects(() => logger.fetch('api', 'https://example.test/up_data', { method: 'POST' }));
+
+    const requests = logger.getRequests();
+    assert.deepEqual(Array.from(requests, request => [request.method, request.status, request.error]), [
+        ['POST', 404, null],
+        ['POST', null, 'Load failed']
+    ]);
+    assert.equal(typeof requests[0].duration, 'number');
+    assert.equal(JSON.stringify(requests).includes('secret'), false);
+    assert.equal(logger.getEntries({ minLevel: 'warn' }).length, 2);
+    assert.match(logger.formatRequest(requests[1]), /POST https:\/\/example.test\/up_data failed \(Load failed\) \d+ms$/);
+});
+
+test('the tracker\'s requests and the environment end up in the bundle without credentials', async () => {
+    const { context } = await bootTracker();
+    const bundle = JSON.parse(context.Logger.getBundleText());
+
+    assert.ok(bundle.requests.some(request => request.category === 'api' && request.method === 'POST' && request.status === 200));
+    assert.ok(bundle.requests.some(request => request.category === 'ddragon' && request.url.endsWith('/api/versions.json')));
+    assert.ok(bundle.entries.some(entry => entry.category === 'telegram'));
+
+    assert.equal(bundle.environment.telegram.available, true);
+    assert.equal(typeof bundle.environment.telegram.platform, 'string');
+    assert.equal(bundle.environment.ui.locale, 'en');
+    assert.equal(bundle.environment.browser.viewport, '1280x800');
+    assert.equal(JSON.stringify(bundle).includes(context.TelegramApp.webApp.initData), false);
+});
+
+test('five quick taps on the title open the diagnostics sheet', async () => {
+    const { context, tracker, document } = await bootTracker();
+    const sheet = document.getElementById('diagnostics-sheet');
+    const title = document.getElementById('app-title');
+
+    for (let tap = 0; tap < 4; tap++) title.onclick();
+    assert.notEqual(sheet.style.display, 'flex');
+    title.onclick();
+    assert.equal(sheet.style.display, 'flex');
+    assert.match(document.getElementById('diagnostics-network').value, /POST .*get_data 200/);
+
+    // New entries show up while the sheet is open
+    context.Logger.warn('ui', 'Something looked off');
+    assert.match(document.getElementById('diagnostics-log').value, /WARN \[ui\] Something looked off$/);
+
+    // Without a file share sheet the bundle is downloaded
+    const downloads = [];
+    context.ProgressTransfer.download = (content, filename, mimeType) => downloads.push({ content, filename, mimeType });
+    await tracker.sendDiagnostics();
+    assert.match(downloads[0].filename, /^arena-diagnostics-\d{4}-\d\d-\d\d\.json$/);
+    assert.equal(JSON.parse(downloads[0].content).environment.app.name, context.CONFIG.APP_CONFIG.APP_NAME);
+
+    tracker.closeDiagnostics();
+    assert.equal(sheet.style.display, 'none');
+
+    // Taps spread out over more than the window don't add up
+    context.CONFIG.APP_CONFIG.DIAGNOSTICS_TAP_WINDOW = 0;
+    for (let tap = 0; tap < 5; tap++) title.onclick();
+    assert.equal(sheet.style.display, 'none');
+});
@@ -0,0 +1,101 @@
+// PatchHistory: the seen catalog per patch, new champion badges and the tracker's patch selector
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, bootTracker, waitFor } = require('./helpers');
+
+const DEV_USER_ID = 100000001;
+
+function loadPatchHistory() {
+    const context = createContext();
+    loadScript(context, 'config.js');
+    loadScript(context, 'patches.js');
+    return context.PatchHistory;
+}
+
+const badgeOf = card => card.children.find(child => child.className === 'champion-new');
+
+test('a newer patch records the champions it added, the first one only sets the baseline', () => {
+    const patches = loadPatchHistory();
+
+    const first = patches.update(null, '14.19.1', ['Zed', 'Ahri'], new Date('2024-09-25T00:00:00Z'));
+    assert.deepEqual(Array.from(first.added), []);
+    assert.deepEqual(Array.from(first.catalog.champions), ['Ahri', 'Zed']);
+    assert.equal(patches.isBannerShown(first.catalog, '14.19.1'), false);
+
+    const next = patches.update(first.catalog, '14.20.1', ['Ahri', 'KaiSa', 'Zed'], new Date('2024-10-09T00:00:00Z'));
+    assert.deepEqual(Array.from(next.added), ['KaiSa']);
+    assert.deepEqual(Array.from(patches.getNewChampions(next.catalog, '14.20.1')), ['KaiSa']);
+    assert.equal(patches.isBannerShown(next.catalog, '14.20.1'), true);
+    assert.equal(patches.isBannerShown(patches.dismissBanner(next.catalog, '14.20.1'), '14.20.1'), false);
+
+    // A stale catalog from another device doesn't roll anything back
+    assert.equal(patches.update(next.catalog, '14.19.1', ['Ahri', 'Zed']).catalog, next.catalog);
+    assert.equal(patches.update(next.catalog, '14.20.1', ['Ahri', 'KaiSa', 'Zed']).catalog, next.catalog);
+    assert.ok(patches.compareVersions('14.10.1', '14.9.1') > 0);
+});
+
+test('champions released after a list was created are excluded until completed', () => {
+    const patches = loadPatchHistory();
+    const catalog = {
+        version: '14.20.1',
+        champions: ['Ahri', 'KaiSa', 'Zed'],
+        history: [
+            { version: '14.19.1', added: [], seen_at: '2024-09-25T00:00:00.000Z' },
+            { version: '14.20.1', added: ['KaiSa', 'Zed'], seen_at: '2024-10-09T00:00:00.000Z' }
+        ]
+    };
+
+    assert.deepEqual(Array.from(patches.getExcludedChampions(catalog, '2024-10-01T00:00:00.000Z', new Set(['Zed']))), ['KaiSa']);
+    assert.equal(patches.getExcludedChampions(catalog, '2024-10-10T00:00:00.000Z', new Set()).size, 0);
+    assert.equal(patches.getExcludedChampions(null, '2024-10-01T00:00:00.000Z', new Set()).size, 0);
+});
+
+test('the tracker highlights a new patch\'s champions and can show an older patch', async () => {
+    const { context, tracker, backend, document } = await bootTracker({
+        configure: context => {
+            context.DevMode.backend.users[DEV_USER_ID].user_data = {
+                challenges: {
+                    active: 'arena_wins',
+                    lists: {
+                        arena_wins: { name: 'Arena wins', progress: ['Ahri', 'Jinx', 'Leona'], records: {}, created_at: '2024-09-01T00:00:00.000Z' }
+                    }
+                },
+                settings: {
+                    catalog: {
+                        version: '14.19.1',
+                        champions: context.DEV_FIXTURES.champions.map(champion => champion.id).filter(id => id !== 'KaiSa'),
+                        history: [{ version: '14.19.1', added: [], seen_at: '2024-09-25T00:00:00.000Z' }]
+                    }
+                }
+            };
+        }
+    });
+    const grid = context.ChampionGrid;
+
+    assert.equal(document.getElementById('patch-banner').style.display, 'block');
+    assert.equal(document.getElementById('patch-banner-title').textContent, 'New in patch 14.20.1: Kai\'Sa');
+    assert.equal(badgeOf(grid.getCard('KaiSa')).textContent, 'New');
+    assert.equal(badgeOf(grid.getCard('Ahri')), undefined);
+
+    // New champions are saved right away so other devices don't see them as new again
+    await waitFor(() => backend.users[DEV_USER_ID].user_data.settings.catalog.version === '14.20.1');
+    assert.deepEqual(Array.from(backend.users[DEV_USER_ID].user_data.settings.catalog.history[1].added), ['KaiSa']);
+
+    // Stats can leave KaiSa out, the list was created before it came out
+    assert.equal(document.getElementById('remaining-count').textContent, 9);
+    tracker.setExcludeNewChampions(true);
+    assert.equal(document.getElementById('remaining-count').textContent, 8);
+
+    await tracker.viewPatch('14.19.1');
+    assert.equal(grid.getCard('KaiSa').parentNode, null);
+    assert.equal(document.getElementById('patch-banner').style.display, 'none');
+    assert.equal(document.getElementById('patch-select').value, '14.19.1');
+
+    await tracker.viewPatch('14.20.1');
+    assert.equal(grid.getCard('KaiSa').parentNode, document.getElementById('champions-grid'));
+
+    tracker.dismissPatchBanner();
+    assert.equal(document.getElementById('patch-banner').style.display, 'none');
+    assert.equal(tracker.settings.catalog.dismissed, '14.20.1');
+});
@@ -0,0 +1,83 @@
+// ChampionPicker: recent picks, weights for weak classes and recent picks, weighted and duo draws
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createContext, loadScript, loadConfig } = require('./helpers');
+
+const CHAMPIONS = [
+    { id: 'Ahri', tags: ['Mage', 'Assassin'], info: { attack: 3, magic: 8 } },
+    { id: 'Annie', tags: ['Mage'], info: { attack: 2, magic: 10 } },
+    { id: 'Jinx', tags: ['Marksman'], info: { attack: 9, magic: 4 } },
+    { id: 'Lux', tags: ['Mage', 'Support'], info: { attack: 2, magic: 9 } },
+    { id: 'Zed', tags: ['Assassin'], info: { attack: 9, magic: 1 } }
+];
+
+// Math.random returns the given rolls in turn
+function loadPicker(rolls = []) {
+    const context = createContext();
+    loadConfig(context);
+    loadScript(context, 'picker.js');
+    context.rolls = rolls;
+    vm.runInContext('Math.random = () => rolls.shift() ?? 0;', context);
+    return context.ChampionPicker;
+}
+
+const idsOf = champions => Array.from(champions, champion => champion.id);
+
+test('recent picks are remembered newest first, without repeats and up to the limit', () => {
+    const picker = loadPicker();
+    assert.deepEqual(Array.from(picker.getRecentPicks()), []);
+
+    picker.rememberPicks(['Ahri']);
+    picker.rememberPicks(['Jinx', 'Zed']);
+    picker.rememberPicks(['Ahri']);
+    assert.deepEqual(Array.from(picker.getRecentPicks()), ['Ahri', 'Jinx', 'Zed']);
+
+    picker.rememberPicks(Array.from({ length: 12 }, (_, index) => `Champion${index}`));
+    assert.equal(picker.getRecentPicks().length, 10);
+    assert.equal(picker.getRecentPicks()[0], 'Champion0');
+});
+
+test('weak classes weigh more and recent picks less', () => {
+    const picker = loadPicker();
+    const completed = new Set(['Ahri']);
+    const round = weights => Array.from(weights, weight => Math.round(weight * 100) / 100);
+
+    assert.deepEqual(round(picker.getWeights(CHAMPIONS, CHAMPIONS, completed, {})), [1, 1, 1, 1, 1]);
+
+    // Mage 1/3 done: 1 + 2/3 * 2; Lux counts as her weakest class, Support
+    assert.deepEqual(round(picker.getWeights(CHAMPIONS.slice(1), CHAMPIONS, completed, { preferWeakClasses: true })), [2.33, 3, 3, 2]);
+
+    picker.rememberPicks(['Jinx']);
+    assert.deepEqual(round(picker.getWeights(CHAMPIONS.slice(1), CHAMPIONS, completed, { avoidRecent: true })), [1, 0.1, 1, 1]);
+    assert.deepEqual(round(picker.getWeights(CHAMPIONS.slice(1), CHAMPIONS, completed, { avoidRecent: true, preferWeakClasses: true })), [2.33, 0.3, 3, 2]);
+});
+
+test('a draw lands on a champion in proportion to the weights', () => {
+    const picker = loadPicker([0, 0.2, 0.25, 0.99]);
+    const weights = [1, 0, 2, 1];
+
+    // Rolls over a total of 4: 0, 0.8, 1 and 3.96
+    assert.equal(picker.drawWeighted(CHAMPIONS, weights).id, 'Ahri');
+    assert.equal(picker.drawWeighted(CHAMPIONS, weights).id, 'Ahri');
+    assert.equal(picker.drawWeighted(CHAMPIONS, weights).id, 'Jinx');
+    assert.equal(picker.drawWeighted(CHAMPIONS, weights).id, 'Lux');
+});
+
+test('only remaining champions are picked, in duo mode with a complementary partner', () => {
+    const picker = loadPicker([0, 0, 0, 0.99, 0, 0]);
+    const completed = new Set(['Ahri']);
+
+    assert.deepEqual(idsOf(picker.pick(CHAMPIONS, CHAMPIONS, completed, {})), ['Annie']);
+
+    // Annie is a magic Mage, her partner is Jinx or Zed
+    assert.deepEqual(idsOf(picker.pick(CHAMPIONS, CHAMPIONS, completed, { duo: true })), ['Annie', 'Jinx']);
+    assert.deepEqual(idsOf(picker.pick(CHAMPIONS, CHAMPIONS, completed, { duo: true })), ['Zed', 'Annie']);
+
+    // Without another class the partner is anyone left
+    const mages = CHAMPIONS.filter(champion => champion.tags[0] === 'Mage');
+    assert.deepEqual(idsOf(picker.pick(mages, CHAMPIONS, new Set(), { duo: true })), ['Ahri', 'Annie']);
+    assert.deepEqual(idsOf(picker.pick([CHAMPIONS[2]], CHAMPIONS, completed, { duo: true })), ['Jinx']);
+    assert.deepEqual(idsOf(picker.pick(CHAMPIONS, CHAMPIONS, new Set(CHAMPIONS.map(champion => champion.id)), { duo: true })), []);
+});
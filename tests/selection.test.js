@@ -0,0 +1,130 @@
+// BulkSelection: marking what's shown, ranges, pasted names and the tracker's bulk edit tools
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, bootTracker, waitFor } = require('./helpers');
+
+const CHAMPIONS = [
+    { id: 'Ahri', name: 'Ahri' },
+    { id: 'Jinx', name: 'Jinx' },
+    { id: 'KaiSa', name: 'Kai\'Sa' },
+    { id: 'LeeSin', name: 'Lee Sin' },
+    { id: 'Leona', name: 'Leona' },
+    { id: 'Nunu', name: 'Nunu & Willump' },
+    { id: 'Zac', name: 'Zac' },
+    { id: 'Zed', name: 'Zed' }
+];
+
+function loadBulkSelection() {
+    const context = createContext();
+    ['config.js', 'filters.js', 'selection.js'].forEach(file => loadScript(context, file));
+    return context.BulkSelection;
+}
+
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+test('pasted names match ids and names exactly, then by prefix or a typo', () => {
+    const bulk = loadBulkSelection();
+    const result = bulk.parseNames('kaisa\nnunu & willump, jynx; LEE SIN,Ahri, ahri\n\nLeo, Zad, Xyzzy', CHAMPIONS);
+
+    assert.deepEqual(toPlain(result.ids), ['KaiSa', 'Nunu', 'Jinx', 'LeeSin', 'Ahri', 'Leona']);
+    assert.deepEqual(toPlain(result.guessed), [
+        { value: 'jynx', championId: 'Jinx' },
+        { value: 'Leo', championId: 'Leona' }
+    ]);
+    // "Zad" is one letter off both Zac and Zed
+    assert.deepEqual(toPlain(result.unknown), ['Zad', 'Xyzzy']);
+});
+
+test('bulk states only list the champions that change', () => {
+    const bulk = loadBulkSelection();
+    const ids = CHAMPIONS.map(champion => champion.id);
+    const completed = new Set(['Ahri', 'KaiSa']);
+
+    assert.deepEqual(toPlain(bulk.getMarkStates(ids.slice(0, 3), completed, true)), [{ championId: 'Jinx', completed: true }]);
+    assert.deepEqual(toPlain(bulk.getMarkStates(ids, completed, false)).map(state => state.championId), ['Ahri', 'KaiSa']);
+    assert.deepEqual(toPlain(bulk.getInvertStates(['Ahri', 'Jinx'], completed)), [
+        { championId: 'Ahri', completed: false },
+        { championId: 'Jinx', completed: true }
+    ]);
+
+    assert.deepEqual(toPlain(bulk.getRange(ids, 'Leona', 'Jinx')), ['Jinx', 'KaiSa', 'LeeSin', 'Leona']);
+    assert.deepEqual(toPlain(bulk.getRange(ids, 'Leona', 'Unknown')), []);
+    // A fully completed range is cleared instead
+    assert.deepEqual(toPlain(bulk.getRangeStates(['Ahri', 'Jinx'], completed)), [{ championId: 'Jinx', completed: true }]);
+    assert.deepEqual(toPlain(bulk.getRangeStates(['Ahri', 'KaiSa'], completed)).map(state => state.completed), [false, false]);
+});
+
+test('bulk edits are confirmed with their count and undone as one step', async () => {
+    const confirms = [];
+    let answer = true;
+    const { context, tracker, document } = await bootTracker({
+        confirm: message => {
+            confirms.push(message);
+            return answer;
+        },
+        configure: context => {
+            context.CONFIG.APP_CONFIG.LONG_PRESS_DELAY = 0;
+        }
+    });
+    const grid = context.ChampionGrid;
+    const completed = () => Array.from(tracker.completedChampions).sort();
+
+    tracker.toggleEditMode();
+    assert.equal(document.getElementById('bulk-controls').style.display, 'flex');
+
+    // Everything the filters show
+    tracker.setFilter('status', 'remaining');
+    tracker.markShown(true);
+    assert.equal(confirms.pop(), 'Mark 9 champions as completed?');
+    assert.equal(tracker.completedChampions.size, 12);
+    tracker.undo();
+    assert.deepEqual(completed(), ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(context.EditHistory.canUndo(), false);
+
+    tracker.setFilter('status', 'all');
+    answer = false;
+    tracker.invertShown();
+    assert.equal(confirms.pop(), 'Invert 12 champions?');
+    assert.equal(tracker.completedChampions.size, 3);
+    answer = true;
+
+    // Long press Annie, then tap Garen: Annie, Darius and Garen
+    const annie = grid.getCard('Annie');
+    annie.onpointerdown();
+    await waitFor(() => tracker.rangeAnchorId === 'Annie');
+    annie.onclick();
+    assert.equal(annie.classList.contains('range-anchor'), true);
+    grid.getCard('Garen').onclick();
+    assert.equal(confirms.pop(), 'Change 3 champions in this range?');
+    assert.deepEqual(completed(), ['Ahri', 'Annie', 'Darius', 'Garen', 'Jinx', 'Leona']);
+    assert.equal(annie.classList.contains('range-anchor'), false);
+
+    // Shift-click from the last toggled card
+    tracker.toggleChampion('Lux');
+    grid.getCard('Zed').onclick({ shiftKey: true });
+    assert.equal(confirms.pop(), 'Change 4 champions in this range?');
+    assert.equal(tracker.completedChampions.has('Thresh'), true);
+    tracker.undo();
+    assert.equal(tracker.completedChampions.has('Thresh'), false);
+    assert.equal(tracker.completedChampions.has('Lux'), true);
+
+    // Pasted names
+    tracker.openPaste();
+    document.getElementById('paste-input').value = 'kaisa, Ahri\nthrehs, Xyzzy';
+    tracker.renderPastePreview();
+    const preview = document.getElementById('paste-preview').innerHTML;
+    assert.match(preview, /3 champions recognized/);
+    assert.match(preview, /Will be marked: Kai'Sa, Thresh/);
+    assert.match(preview, /Guessed: threhs → Thresh/);
+    assert.match(preview, /skipped: Xyzzy/);
+
+    tracker.applyPaste();
+    assert.equal(document.getElementById('paste-sheet').style.display, 'none');
+    assert.equal(confirms.pop(), 'Mark 2 champions as completed?');
+    assert.equal(tracker.completedChampions.has('KaiSa'), true);
+    assert.equal(tracker.completedChampions.has('Thresh'), true);
+
+    tracker.toggleEditMode();
+    assert.equal(document.getElementById('bulk-controls').style.display, 'none');
+});
@@ -0,0 +1,78 @@
+// ProgressStats: completion per class, the completion timeline and the pace projection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const vm = require('vm');
+const { createContext, loadScript, loadConfig } = require('./helpers');
+
+const CHAMPIONS = [
+    { id: 'Ahri', tags: ['Mage', 'Assassin'] },
+    { id: 'Annie', tags: ['Mage'] },
+    { id: 'Jinx', tags: ['Marksman'] },
+    { id: 'Zed', tags: ['Assassin'] }
+];
+
+function loadStats(now) {
+    const context = createContext();
+    loadConfig(context);
+    loadScript(context, 'stats.js');
+    if (now) {
+        vm.runInContext(`Date.now = () => ${new Date(now).getTime()};`, context);
+    }
+    return context.ProgressStats;
+}
+
+const toPlain = value => JSON.parse(JSON.stringify(value));
+
+test('completion is counted per class, a champion with two tags in both', () => {
+    const stats = loadStats();
+    const completed = new Set(['Ahri', 'Jinx']);
+
+    assert.deepEqual(toPlain(stats.getCompletion(CHAMPIONS, completed)), { completed: 2, total: 4, percentage: 50 });
+    assert.deepEqual(toPlain(stats.getCompletion([], completed)), { completed: 0, total: 0, percentage: 0 });
+    assert.deepEqual(toPlain(stats.getClassBreakdown(CHAMPIONS, completed)), [
+        { label: 'Assassin', completed: 1, total: 2, percentage: 50 },
+        { label: 'Mage', completed: 1, total: 2, percentage: 50 },
+        { label: 'Marksman', completed: 1, total: 1, percentage: 100 }
+    ]);
+});
+
+test('the timeline adds up completions per day and skips undated or unmarked records', () => {
+    const stats = loadStats();
+    const records = {
+        Ahri: { completed_at: '2024-05-03' },
+        Annie: { completed_at: '2024-05-01' },
+        Jinx: { completed_at: '2024-05-03' },
+        Zed: { completed_at: '2024-05-02' },
+        Lux: { note: 'no date' }
+    };
+
+    // Zed was unmarked since, Lux has no date
+    const timeline = stats.getTimeline(records, new Set(['Ahri', 'Annie', 'Jinx', 'Lux']));
+    assert.deepEqual(toPlain(timeline), [
+        { date: '2024-05-01', total: 1 },
+        { date: '2024-05-03', total: 3 }
+    ]);
+    assert.deepEqual(toPlain(stats.getTimeline({}, new Set(['Ahri']))), []);
+});
+
+test('days left follow the pace of the recent window', () => {
+    const stats = loadStats('2024-06-30T00:00:00Z');
+    const timeline = [
+        { date: '2024-05-01', total: 5 },
+        { date: '2024-06-10', total: 8 },
+        { date: '2024-06-20', total: 11 }
+    ];
+
+    // 6 completions in the last 30 days, 0.2 a day
+    assert.equal(stats.projectDaysLeft(timeline, 10), 50);
+    // All 11 in the last 60 days, history starts 60 days back
+    assert.equal(stats.projectDaysLeft(timeline, 10, 60), 55);
+    assert.equal(stats.projectDaysLeft(timeline, 0), 0);
+    assert.equal(stats.projectDaysLeft([], 10), null);
+
+    // A short history only counts the days it covers
+    assert.equal(stats.projectDaysLeft([{ date: '2024-06-28', total: 4 }], 9), 5);
+    // Nothing in the window, no pace to go by
+    assert.equal(stats.projectDaysLeft([{ date: '2024-04-01', total: 4 }], 9), null);
+});
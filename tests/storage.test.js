@@ -0,0 +1,164 @@
+// ProgressStorage: server reads and writes with localStorage and CloudStorage mirrors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadDevConfig, bootTracker } = require('./helpers');
+
+const DEV_USER_ID = 100000001;
+const STORAGE_SCRIPTS = ['telegram.js', 'i18n.js', 'api.js', 'storage.js', 'sync.js', 'challenges.js', 'records.js'];
+
+function loadStorage(configure) {
+    const context = createContext();
+    loadDevConfig(context);
+    if (configure) configure(context);
+    STORAGE_SCRIPTS.forEach(file => loadScript(context, file));
+    return { context, storage: context.ProgressStorage, backend: context.DevMode.backend };
+}
+
+const cloudKeys = async storage => Array.from(await storage.mirrors[1].call('getKeys'));
+
+// Fails a read through all of ApiClient's retries
+const failReads = context => context.DevMode.backend.failNext('get_data', 503, context.CONFIG.APP_CONFIG.API_MAX_RETRIES + 1);
+
+const progressOf = userData => [...userData.challenges.lists.arena_wins.progress].sort();
+
+function buildUpdate(userData, progress) {
+    const revision = userData.progress_revision || 0;
+    return {
+        base_revision: revision,
+        user_data: {
+            challenges: {
+                active: 'arena_wins',
+                lists: { arena_wins: { name: 'Arena Wins', progress, records: {} } }
+            },
+            progress_revision: revision + 1
+        }
+    };
+}
+
+test('a successful read is mirrored to localStorage and CloudStorage', async () => {
+    const { context, storage } = loadStorage();
+
+    const { userData, isOffline } = await storage.read();
+    assert.equal(isOffline, false);
+
+    const local = JSON.parse(context.localStorage.getItem(`arena-user-data-${DEV_USER_ID}`));
+    assert.deepEqual([...local.server.arena_progress], [...userData.arena_progress]);
+    assert.equal(local.local, null);
+
+    const cloud = await storage.mirrors[1].read();
+    assert.deepEqual(JSON.parse(JSON.stringify(cloud)), local);
+});
+
+test('CloudStorage records are chunked into alternating slots', async () => {
+    const { context, storage } = loadStorage(context => {
+        context.CONFIG.APP_CONFIG.CLOUD_STORAGE_CHUNK_SIZE = 50;
+    });
+    const cloud = storage.mirrors[1];
+
+    await storage.writeMirror({ arena_progress: ['Ahri', 'Jinx', 'Leona', 'Lux', 'Zed'] }, null);
+    assert.ok((await cloudKeys(storage)).filter(key => key.startsWith('progress_a_')).length > 1);
+
+    await storage.writeMirror({ arena_progress: ['Ahri'] }, null);
+    const keys = await cloudKeys(storage);
+    assert.equal(keys.filter(key => key.startsWith('progress_a_')).length, 0);
+    assert.ok(keys.some(key => key.startsWith('progress_b_')));
+    assert.deepEqual([...(await cloud.read()).server.arena_progress], ['Ahri']);
+
+    // A chunk from another write fails the checksum instead of producing garbage
+    context.localStorage.setItem('arena-dev-cloud-progress_b_0', 'x'.repeat(50));
+    assert.equal(await cloud.read(), null);
+});
+
+test('reads fall back to the mirror only when the server is unreachable', async () => {
+    const { context, storage, backend } = loadStorage();
+    await storage.read();
+
+    failReads(context);
+    const offline = await storage.read();
+    assert.equal(offline.isOffline, true);
+    assert.deepEqual([...offline.userData.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+
+    // An expired session is not an outage
+    backend.expireSession();
+    await assert.rejects(() => storage.read(), error => error.type === 'auth');
+});
+
+test('offline edits are kept in the mirror and merged when the server is back', async () => {
+    const { context, storage, backend } = loadStorage();
+    const { userData } = await storage.read();
+
+    backend.failNext('up_data', 503, 1);
+    await assert.rejects(() => storage.write(buildUpdate(userData, ['Ahri', 'Jinx', 'Leona', 'Zed'])));
+
+    failReads(context);
+    const offline = await storage.read();
+    assert.equal(offline.isOffline, true);
+    assert.deepEqual(progressOf(offline.userData), ['Ahri', 'Jinx', 'Leona', 'Zed']);
+    assert.equal(offline.userData.progress_revision, 0);
+
+    // Meanwhile another device completed Garen on the server
+    backend.users[DEV_USER_ID].user_data = { arena_progress: ['Ahri', 'Jinx', 'Leona', 'Garen'], progress_revision: 1 };
+
+    const online = await storage.read();
+    assert.equal(online.isOffline, false);
+    assert.deepEqual(progressOf(online.userData), ['Ahri', 'Garen', 'Jinx', 'Leona', 'Zed']);
+    assert.equal(backend.users[DEV_USER_ID].user_data.progress_revision, 2);
+    assert.equal((await storage.readMirror()).local, null);
+});
+
+test('offline edits are merged again after a conflict, auth and payload errors are not an outage', async () => {
+    const { context, storage, backend } = loadStorage();
+    const { userData } = await storage.read();
+
+    backend.failNext('up_data', 503, 1);
+    await assert.rejects(() => storage.write(buildUpdate(userData, ['Ahri', 'Jinx', 'Leona', 'Zed'])));
+
+    // Another device saves Garen right before the offline edits go up
+    const handle = backend.handle.bind(backend);
+    let isRaced = false;
+    backend.handle = (route, headers, body) => {
+        if (route === 'up_data' && !isRaced) {
+            isRaced = true;
+            const current = backend.users[DEV_USER_ID].user_data;
+            backend.users[DEV_USER_ID].user_data = { ...current, arena_progress: ['Ahri', 'Jinx', 'Leona', 'Garen'], progress_revision: 1 };
+        }
+        return handle(route, headers, body);
+    };
+
+    const online = await storage.read();
+    assert.equal(online.isOffline, false);
+    assert.deepEqual(progressOf(online.userData), ['Ahri', 'Garen', 'Jinx', 'Leona', 'Zed']);
+    assert.equal(backend.users[DEV_USER_ID].user_data.progress_revision, 2);
+    assert.equal((await storage.readMirror()).local, null);
+
+    // A rejected upload fails the load instead of serving the stale copy, the edits stay in the mirror
+    backend.failNext('up_data', 503, 1);
+    await assert.rejects(() => storage.write(buildUpdate(online.userData, ['Lux'])));
+    backend.failNext('up_data', 400, 1);
+    await assert.rejects(() => storage.read(), error => error.type === 'client');
+    assert.deepEqual(Array.from((await storage.readMirror()).local.challenges.lists.arena_wins.progress), ['Lux']);
+
+    backend.expireSession();
+    await assert.rejects(() => storage.read(), error => error.type === 'auth');
+    assert.ok((await storage.readMirror()).local);
+    assert.equal(context.Logger.getEntries({ minLevel: 'warn' }).some(entry => /keeping them for later/.test(entry.message)), false);
+});
+
+test('the tracker opens from the mirror while the server is down', async () => {
+    const { tracker, document } = await bootTracker({
+        configure: context => {
+            context.localStorage.setItem(`arena-user-data-${DEV_USER_ID}`, JSON.stringify({
+                server: { arena_progress: ['Ahri', 'Thresh'], progress_revision: 3 },
+                local: null,
+                saved_at: new Date().toISOString()
+            }));
+            failReads(context);
+        }
+    });
+
+    assert.equal(tracker.isOffline, true);
+    assert.equal(tracker.baseRevision, 3);
+    assert.deepEqual([...tracker.completedChampions].sort(), ['Ahri', 'Thresh']);
+    assert.equal(document.getElementById('main-content').style.display, 'block');
+});
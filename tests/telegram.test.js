@@ -0,0 +1,192 @@
+// TelegramWebApp with a recording mock of window.Telegram.WebApp
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadConfig } = require('./helpers');
+
+function createMockWebApp(overrides = {}) {
+    const calls = [];
+    const handlers = {};
+    const record = name => (...args) => calls.push([name, ...args]);
+
+    const webApp = {
+        initData: 'user=%7B%22id%22%3A1%7D&hash=test',
+        initDataUnsafe: { user: { id: 1, first_name: 'Test' } },
+        platform: 'tdesktop',
+        version: '8.0',
+        isExpanded: false,
+        isFullscreen: false,
+        themeParams: {},
+        ready: record('ready'),
+        expand: record('expand'),
+        requestFullscreen: record('requestFullscreen'),
+        isVersionAtLeast: version => parseFloat(webApp.version) >= parseFloat(version),
+        onEvent: (event, handler) => {
+            calls.push(['onEvent', event]);
+            handlers[event] = handler;
+        },
+        offEvent: (event) => calls.push(['offEvent', event]),
+        HapticFeedback: {
+            impactOccurred: record('impactOccurred'),
+            notificationOccurred: record('notificationOccurred')
+        },
+        MainButton: {},
+        BackButton: {},
+        ...overrides
+    };
+
+    return { webApp, calls, handlers };
+}
+
+// Timers only run when the test says so
+function createManualTimers() {
+    const pending = [];
+    return {
+        setTimeout: (callback, delay) => {
+            pending.push({ callback, delay });
+            return pending.length;
+        },
+        clearTimeout: () => {},
+        runAll: () => pending.splice(0).forEach(timer => timer.callback())
+    };
+}
+
+function loadTelegram(mock, options = {}) {
+    const context = createContext({ ...options, Telegram: { WebApp: mock.webApp } });
+    loadConfig(context);
+    loadScript(context, 'telegram.js');
+    return context.TelegramApp;
+}
+
+const callNames = calls => calls.map(call => call[0]);
+
+test('hapticFeedback routes notification and impact types', () => {
+    const mock = createMockWebApp();
+    const telegram = loadTelegram(mock);
+    mock.calls.length = 0;
+
+    ['success', 'error', 'warning', 'light', 'medium', 'heavy', 'unknown'].forEach(type => telegram.hapticFeedback(type));
+
+    assert.deepEqual(mock.calls, [
+        ['notificationOccurred', 'success'],
+        ['notificationOccurred', 'error'],
+        ['notificationOccurred', 'warning'],
+        ['impactOccurred', 'light'],
+        ['impactOccurred', 'medium'],
+        ['impactOccurred', 'heavy'],
+        ['impactOccurred', 'light']
+    ]);
+});
+
+test('hapticFeedback does nothing when disabled in config', () => {
+    const mock = createMockWebApp();
+    const context = createContext({ Telegram: { WebApp: mock.webApp } });
+    loadConfig(context);
+    context.CONFIG.APP_CONFIG.ENABLE_HAPTIC_FEEDBACK = false;
+    loadScript(context, 'telegram.js');
+    mock.calls.length = 0;
+
+    context.TelegramApp.hapticFeedback('success');
+    assert.deepEqual(mock.calls, []);
+});
+
+test('desktop platforms expand instead of going fullscreen', () => {
+    const mock = createMockWebApp({ platform: 'macos' });
+    loadTelegram(mock);
+
+    assert.ok(callNames(mock.calls).includes('expand'));
+    assert.ok(!callNames(mock.calls).includes('requestFullscreen'));
+});
+
+test('mobile platforms request fullscreen and keep it when it works', () => {
+    const timers = createManualTimers();
+    const mock = createMockWebApp({ platform: 'android' });
+    loadTelegram(mock, timers);
+
+    assert.ok(callNames(mock.calls).includes('requestFullscreen'));
+
+    mock.webApp.isFullscreen = true;
+    timers.runAll();
+    assert.ok(!callNames(mock.calls).includes('expand'));
+});
+
+test('mobile fullscreen falls back to expand on fullscreenFailed, only once', () => {
+    const timers = createManualTimers();
+    const mock = createMockWebApp({ platform: 'ios' });
+    loadTelegram(mock, timers);
+
+    mock.handlers.fullscreenFailed();
+    timers.runAll();
+
+    assert.equal(callNames(mock.calls).filter(name => name === 'expand').length, 1);
+    assert.ok(callNames(mock.calls).includes('offEvent'));
+});
+
+test('mobile fullscreen falls back to expand when no event arrives in time', () => {
+    const timers = createManualTimers();
+    const mock = createMockWebApp({ platform: 'android' });
+    loadTelegram(mock, timers);
+
+    assert.ok(!callNames(mock.calls).includes('expand'));
+    timers.runAll();
+    assert.ok(callNames(mock.calls).includes('expand'));
+});
+
+test('mobile fullscreen falls back to expand when requestFullscreen throws', () => {
+    const mock = createMockWebApp({
+        platform: 'android',
+        requestFullscreen: () => {
+            throw new Error('not supported');
+        }
+    });
+    loadTelegram(mock, createManualTimers());
+
+    assert.ok(callNames(mock.calls).includes('expand'));
+});
+
+test('old clients without fullscreen support expand', () => {
+    const mock = createMockWebApp({ platform: 'android', version: '7.0' });
+    loadTelegram(mock);
+
+    assert.ok(callNames(mock.calls).includes('expand'));
+    assert.ok(!callNames(mock.calls).includes('requestFullscreen'));
+});
+
+test('main and back button handlers replace each other instead of stacking', () => {
+    const buttonCalls = [];
+    const button = name => ({
+        setText: () => {},
+        show: () => {},
+        hide: () => {},
+        onClick: handler => buttonCalls.push([`${name}.onClick`, handler]),
+        offClick: handler => buttonCalls.push([`${name}.offClick`, handler])
+    });
+    const mock = createMockWebApp({ MainButton: button('main'), BackButton: button('back') });
+    const telegram = loadTelegram(mock);
+
+    const first = () => {};
+    const second = () => {};
+    telegram.showMainButton('Save', first);
+    telegram.showMainButton('Save', second);
+    telegram.hideMainButton();
+
+    assert.deepEqual(buttonCalls, [
+        ['main.onClick', first],
+        ['main.offClick', first],
+        ['main.onClick', second],
+        ['main.offClick', second]
+    ]);
+});
+
+test('without Telegram it runs in browser mode', () => {
+    const alerts = [];
+    const context = createContext({ alert: message => alerts.push(message) });
+    loadConfig(context);
+    loadScript(context, 'telegram.js');
+
+    assert.equal(context.TelegramApp.isReady(), false);
+    assert.deepEqual({ ...context.TelegramApp.getAuthHeaders() }, { 'Content-Type': 'application/json' });
+
+    context.TelegramApp.showAlert('Hello');
+    assert.deepEqual(alerts, ['Hello']);
+});
@@ -0,0 +1,79 @@
+// ThemeManager and the tracker's theme setting, with the dev mode fake Telegram WebApp
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadConfig, loadDevConfig, bootTracker, waitFor } = require('./helpers');
+
+const DEV_USER_ID = 100000001;
+
+function loadTheme(options = {}) {
+    const context = createContext(options);
+    if (options.devMode) {
+        loadDevConfig(context);
+    } else {
+        loadConfig(context);
+    }
+    loadScript(context, 'telegram.js');
+    loadScript(context, 'theme.js');
+    return context;
+}
+
+const dataTheme = context => context.document.documentElement.getAttribute('data-theme');
+
+test('defaults to the LoL palette and syncs the Telegram header color', () => {
+    const context = loadTheme({ devMode: true });
+
+    assert.equal(context.ThemeManager.getMode(), 'lol');
+    assert.equal(dataTheme(context), 'lol');
+    assert.equal(context.Telegram.WebApp.headerColor, '#0a1428');
+    assert.equal(context.Telegram.WebApp.backgroundColor, '#0a1428');
+});
+
+test('setMode switches palettes, remembers the choice and ignores unknown modes', () => {
+    const context = loadTheme({ devMode: true });
+
+    assert.equal(context.ThemeManager.setMode('light'), true);
+    assert.equal(dataTheme(context), 'light');
+    assert.equal(context.Telegram.WebApp.headerColor, '#f1f2f5');
+    assert.equal(context.localStorage.getItem('arena-theme'), 'light');
+
+    assert.equal(context.ThemeManager.setMode('neon'), false);
+    assert.equal(context.ThemeManager.getMode(), 'light');
+});
+
+test('telegram mode uses the theme params and follows themeChanged', () => {
+    const context = loadTheme({ devMode: true });
+    const webApp = context.Telegram.WebApp;
+
+    context.ThemeManager.setMode('telegram');
+    assert.equal(dataTheme(context), 'telegram');
+    assert.equal(webApp.headerColor, webApp.themeParams.bg_color);
+
+    context.DevMode.setColorScheme('light', { bg_color: '#fafafa', text_color: '#111111' });
+    assert.equal(webApp.headerColor, '#fafafa');
+    assert.equal(context.document.documentElement.style['--tg-theme-bg-color'], '#fafafa');
+    assert.equal(context.document.documentElement.style['--tg-theme-text-color'], '#111111');
+});
+
+test('telegram mode outside Telegram follows the browser color scheme', () => {
+    const context = loadTheme({});
+    context.matchMedia = query => ({ matches: query === '(prefers-color-scheme: dark)' });
+
+    context.ThemeManager.setMode('telegram');
+    assert.equal(dataTheme(context), 'dark');
+});
+
+test('the tracker applies and saves the theme from user_data settings', async () => {
+    const { context, tracker, backend, document } = await bootTracker({
+        configure: context => {
+            context.DevMode.backend.users[DEV_USER_ID].user_data.settings = { theme: 'dark' };
+        }
+    });
+
+    assert.equal(dataTheme(context), 'dark');
+    assert.equal(document.getElementById('theme-select').value, 'dark');
+
+    tracker.changeTheme('light');
+    await waitFor(() => backend.users[DEV_USER_ID].user_data.settings?.theme === 'light');
+    assert.equal(dataTheme(context), 'light');
+});
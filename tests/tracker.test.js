@@ -0,0 +1,336 @@
+// ArenaTracker against the dev mode mock backend and Data Dragon fixtures
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { bootTracker, waitFor } = require('./helpers');
+
+const DEV_USER_ID = 100000001;
+
+// Records every request body the mock backend receives, per route
+function recordRequests(backend) {
+    const requests = [];
+    const handle = backend.handle.bind(backend);
+    backend.handle = (route, headers, body) => {
+        requests.push({ route, body: JSON.parse(JSON.stringify(body)) });
+        return handle(route, headers, body);
+    };
+    return requests;
+}
+
+function filteredIds(tracker, filters) {
+    tracker.filters = { ...tracker.filters, ...filters };
+    return Array.from(tracker.getFilteredChampions(), champion => champion.id);
+}
+
+test('boots with the fixture catalog and the stored progress', async () => {
+    const { tracker, document } = await bootTracker();
+
+    assert.equal(tracker.champions.length, 12);
+    assert.deepEqual([...tracker.completedChampions].sort(), ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(tracker.isProgressLoaded, true);
+    assert.equal(document.getElementById('main-content').style.display, 'block');
+});
+
+test('getFilteredChampions applies search, status, classes and sort', async () => {
+    const { tracker } = await bootTracker();
+
+    assert.deepEqual(filteredIds(tracker, { search: 'kaisa' }), ['KaiSa']);
+    assert.deepEqual(filteredIds(tracker, { search: 'jnx' }), ['Jinx']);
+    assert.deepEqual(filteredIds(tracker, { search: 'nunu' }), ['Nunu']);
+
+    assert.deepEqual(filteredIds(tracker, { search: '', status: 'completed' }), ['Ahri', 'Jinx', 'Leona']);
+    assert.equal(filteredIds(tracker, { status: 'remaining' }).length, 9);
+
+    assert.deepEqual(filteredIds(tracker, { status: 'all', tags: ['Mage', 'Support'], tagMode: 'and' }), ['Lux']);
+    assert.deepEqual(
+        filteredIds(tracker, { tags: ['Marksman', 'Assassin'], tagMode: 'or' }),
+        ['Ahri', 'Jinx', 'KaiSa', 'Zed']
+    );
+
+    assert.deepEqual(filteredIds(tracker, { tags: [], resource: 'Energy' }), ['Zed']);
+    assert.deepEqual(filteredIds(tracker, { resource: 'all', difficulty: 'hard' }), []);
+
+    const byDifficulty = filteredIds(tracker, { difficulty: 'all', sort: 'difficulty' });
+    assert.equal(byDifficulty[0], 'Darius');
+});
+
+test('toggleChampion only changes progress in edit mode', async () => {
+    const { tracker } = await bootTracker();
+
+    tracker.toggleChampion('Zed');
+    assert.equal(tracker.completedChampions.has('Zed'), false);
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Zed');
+    tracker.toggleChampion('Ahri');
+    assert.equal(tracker.completedChampions.has('Zed'), true);
+    assert.equal(tracker.completedChampions.has('Ahri'), false);
+
+    // Completing a champion stamps today's date on its record
+    assert.match(tracker.getActiveRecords().Zed.completed_at, /^\d{4}-\d{2}-\d{2}$/);
+
+    tracker.undo();
+    assert.equal(tracker.completedChampions.has('Ahri'), true);
+    tracker.redo();
+    assert.equal(tracker.completedChampions.has('Ahri'), false);
+
+    // Cancelling reverts the whole session after the confirm
+    tracker.cancelEdit();
+    assert.equal(tracker.isEditMode, false);
+    assert.deepEqual([...tracker.completedChampions].sort(), ['Ahri', 'Jinx', 'Leona']);
+});
+
+test('unmarking a champion clears its completion date, undo and cancel put it back', async () => {
+    const { tracker } = await bootTracker();
+    const records = tracker.getActiveRecords();
+    records.Ahri = { completed_at: '2024-05-01', placement: 2 };
+    records.Jinx = { completed_at: '2024-05-02' };
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Ahri');
+    tracker.toggleChampion('Jinx');
+    assert.deepEqual({ ...tracker.getActiveRecords().Ahri }, { placement: 2 });
+    assert.equal(tracker.getActiveRecords().Jinx, undefined);
+
+    // Marked again later, it gets that day's date instead of the old one
+    tracker.toggleChampion('Ahri');
+    assert.match(tracker.getActiveRecords().Ahri.completed_at, /^\d{4}-\d{2}-\d{2}$/);
+    assert.notEqual(tracker.getActiveRecords().Ahri.completed_at, '2024-05-01');
+    assert.equal(tracker.getActiveRecords().Ahri.placement, 2);
+
+    // Undo and redo put each record back exactly, a mis-tap doesn't lose the original date
+    const recordOf = championId => ({ ...tracker.getActiveRecords()[championId] });
+    const remarked = recordOf('Ahri');
+    tracker.undo();
+    tracker.undo();
+    assert.deepEqual(recordOf('Jinx'), { completed_at: '2024-05-02' });
+    tracker.undo();
+    assert.deepEqual(recordOf('Ahri'), { completed_at: '2024-05-01', placement: 2 });
+    tracker.redo();
+    tracker.redo();
+    tracker.redo();
+    assert.deepEqual(recordOf('Ahri'), remarked);
+    assert.equal(tracker.getActiveRecords().Jinx, undefined);
+
+    // So does cancelling the session
+    tracker.cancelEdit();
+    assert.equal(tracker.isEditMode, false);
+    assert.deepEqual(recordOf('Ahri'), { completed_at: '2024-05-01', placement: 2 });
+    assert.deepEqual(recordOf('Jinx'), { completed_at: '2024-05-02' });
+    assert.deepEqual([...tracker.completedChampions].sort(), ['Ahri', 'Jinx', 'Leona']);
+});
+
+test('clicking a card opens the details sheet outside edit mode', async () => {
+    const { tracker, document } = await bootTracker();
+
+    tracker.onChampionClick('Zed');
+    assert.equal(tracker.completedChampions.has('Zed'), false);
+    assert.equal(tracker.detailChampionId, 'Zed');
+    assert.equal(document.getElementById('champion-sheet').style.display, 'flex');
+});
+
+test('updateStats shows totals for the whole catalog', async () => {
+    const { tracker, document } = await bootTracker();
+
+    assert.equal(document.getElementById('completed-count').textContent, 3);
+    assert.equal(document.getElementById('remaining-count').textContent, 9);
+    assert.equal(document.getElementById('progress-percentage').textContent, '25%');
+
+    tracker.toggleEditMode();
+    ['Zed', 'Lux', 'Garen'].forEach(id => tracker.toggleChampion(id));
+
+    assert.equal(document.getElementById('completed-count').textContent, 6);
+    assert.equal(document.getElementById('remaining-count').textContent, 6);
+    assert.equal(document.getElementById('progress-percentage').textContent, '50%');
+});
+
+test('a save sends challenges with the base revision and drops arena_progress', async () => {
+    const { tracker, backend } = await bootTracker();
+    const requests = recordRequests(backend);
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Zed');
+    tracker.toggleEditMode();
+
+    await waitFor(() => requests.some(request => request.route === 'up_data'));
+    await waitFor(() => tracker.baseRevision === 1);
+
+    const { body } = requests.find(request => request.route === 'up_data');
+    assert.equal(body.base_revision, 0);
+    assert.equal(body.user_data.progress_revision, 1);
+    assert.equal(body.user_data.arena_progress, undefined);
+    assert.equal(body.user_data.challenges.active, 'arena_wins');
+    assert.deepEqual(body.user_data.challenges.lists.arena_wins.progress.sort(), ['Ahri', 'Jinx', 'Leona', 'Zed']);
+    assert.ok(body.user_data.challenges.lists.arena_wins.records.Zed.completed_at);
+    assert.ok(!Number.isNaN(Date.parse(body.user_data.last_updated)));
+
+    assert.equal(backend.users[DEV_USER_ID].user_data.progress_revision, 1);
+});
+
+test('a save merges with progress saved from another device', async () => {
+    const { tracker, backend } = await bootTracker();
+
+    // Another device completes Garen after this one loaded
+    backend.users[DEV_USER_ID].user_data = {
+        arena_progress: ['Ahri', 'Jinx', 'Leona', 'Garen'],
+        progress_revision: 1
+    };
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Zed');
+    tracker.toggleEditMode();
+
+    await waitFor(() => tracker.baseRevision === 2);
+    const saved = backend.users[DEV_USER_ID].user_data.challenges.lists.arena_wins.progress;
+    assert.deepEqual([...saved].sort(), ['Ahri', 'Garen', 'Jinx', 'Leona', 'Zed']);
+    assert.equal(tracker.completedChampions.has('Garen'), true);
+});
+
+test('a save keeps lists renamed or deleted on another device', async () => {
+    const list = (name, progress, createdAt) => ({ name, progress, records: {}, created_at: createdAt });
+    const { context, tracker, backend } = await bootTracker({
+        configure: context => {
+            context.DevMode.backend.users[DEV_USER_ID].user_data = {
+                challenges: {
+                    active: 'arena_wins',
+                    lists: {
+                        arena_wins: list('Arena Wins', ['Ahri'], '2024-01-01T00:00:00.000Z'),
+                        top4: list('Top 4', ['Lux'], '2024-02-01T00:00:00.000Z'),
+                        duo: list('Duo', [], '2024-03-01T00:00:00.000Z')
+                    }
+                }
+            };
+        }
+    });
+
+    // Another device renames the active list and deletes the other two
+    backend.users[DEV_USER_ID].user_data = {
+        challenges: { active: 'arena_wins', lists: { arena_wins: list('Wins', ['Ahri'], '2024-01-01T00:00:00.000Z') } },
+        progress_revision: 1
+    };
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Zed');
+    tracker.toggleEditMode();
+
+    await waitFor(() => tracker.baseRevision === 2);
+    const saved = backend.users[DEV_USER_ID].user_data.challenges.lists;
+    assert.deepEqual(Object.keys(saved), ['arena_wins']);
+    assert.equal(saved.arena_wins.name, 'Wins');
+    assert.deepEqual([...saved.arena_wins.progress].sort(), ['Ahri', 'Zed']);
+
+    // A list changed here survives its deletion elsewhere, a local rename wins over the remote one
+    const lists = context.ChallengeLists;
+    const base = { active: 'a', lists: { a: list('A', ['Ahri'], '1'), b: list('B', [], '2') } };
+    const local = { active: 'a', lists: { a: list('Mine', ['Ahri'], '1'), b: list('B', ['Zed'], '2') } };
+    const remote = { active: 'a', lists: { a: list('Theirs', ['Ahri'], '1') } };
+    const merged = lists.merge(base, local, remote, new Set()).challenges;
+    assert.equal(merged.lists.a.name, 'Mine');
+    assert.deepEqual(Array.from(merged.lists.b.progress), ['Zed']);
+});
+
+test('a failed load never lets a save overwrite the server copy', async () => {
+    const { tracker, backend, document } = await bootTracker({
+        configure: context => context.DevMode.backend.failNext('get_data', 500, 10)
+    });
+    const requests = recordRequests(backend);
+
+    assert.equal(document.getElementById('error').style.display, 'block');
+    assert.equal(tracker.isProgressLoaded, false);
+
+    await assert.rejects(() => tracker.syncProgress());
+    assert.equal(requests.filter(request => request.route === 'up_data').length, 0);
+    assert.deepEqual([...backend.users[DEV_USER_ID].user_data.arena_progress], ['Ahri', 'Jinx', 'Leona']);
+});
+
+test('the friends leaderboard ranks by completion and opens a read-only grid', async () => {
+    const { tracker, document } = await bootTracker();
+
+    await tracker.loadLeaderboard();
+    const rows = document.getElementById('friends-leaderboard').innerHTML.match(/leaderboard-rank">(\d+)/g);
+    assert.equal(rows.length, 3);
+
+    await tracker.openFriendView(100000002);
+    assert.equal(tracker.friendView.name, 'Alex');
+    assert.deepEqual([...tracker.friendView.progress].sort(), ['Ahri', 'Darius', 'Garen', 'Lux', 'Zed']);
+
+    const comparison = tracker.getComparison();
+    assert.deepEqual([...comparison.both], ['Ahri']);
+    assert.deepEqual([...comparison.onlyMine].sort(), ['Jinx', 'Leona']);
+    assert.deepEqual([...comparison.onlyTheirs].sort(), ['Darius', 'Garen', 'Lux', 'Zed']);
+
+    tracker.setCompareMode('onlyTheirs');
+    assert.deepEqual(Array.from(tracker.getFilteredChampions(), champion => champion.id), ['Darius', 'Garen', 'Lux', 'Zed']);
+
+    // Read-only: clicks don't toggle or open details
+    tracker.onChampionClick('Darius');
+    assert.equal(tracker.detailChampionId, null);
+
+    tracker.closeFriendView();
+    assert.equal(tracker.friendView, null);
+});
+
+test('with manual saves the MainButton counts changes and saves them', async () => {
+    const { context, tracker, backend } = await bootTracker({
+        configure: context => {
+            context.CONFIG.APP_CONFIG.ENABLE_AUTOSAVE = false;
+        }
+    });
+    const webApp = context.Telegram.WebApp;
+
+    tracker.toggleEditMode();
+    assert.equal(webApp.MainButton.isVisible, true);
+    assert.equal(webApp.MainButton.text, 'Done');
+    assert.equal(webApp.isClosingConfirmationEnabled, false);
+
+    tracker.toggleChampion('Zed');
+    tracker.toggleChampion('Lux');
+    assert.equal(webApp.MainButton.text, 'Save 2 changes');
+    assert.equal(webApp.isClosingConfirmationEnabled, true);
+
+    webApp.MainButton.element.onclick();
+    assert.equal(webApp.MainButton.isProgressVisible, true);
+
+    await waitFor(() => !tracker.isEditMode);
+    assert.equal(webApp.MainButton.isVisible, false);
+    assert.equal(webApp.MainButton.isProgressVisible, false);
+    assert.equal(webApp.isClosingConfirmationEnabled, false);
+    assert.deepEqual(
+        [...backend.users[DEV_USER_ID].user_data.challenges.lists.arena_wins.progress].sort(),
+        ['Ahri', 'Jinx', 'Leona', 'Lux', 'Zed']
+    );
+});
+
+test('with autosave the MainButton finishes editing and the BackButton cancels', async () => {
+    const { context, tracker } = await bootTracker();
+    const webApp = context.Telegram.WebApp;
+
+    tracker.toggleEditMode();
+    tracker.toggleChampion('Zed');
+    assert.equal(webApp.MainButton.text, 'Done');
+    assert.equal(webApp.BackButton.isVisible, true);
+
+    // Queued for autosave, so closing should ask first
+    assert.equal(webApp.isClosingConfirmationEnabled, true);
+
+    webApp.BackButton.element.onclick();
+    assert.equal(tracker.isEditMode, false);
+    assert.equal(tracker.completedChampions.has('Zed'), false);
+    assert.equal(webApp.MainButton.isVisible, false);
+
+    await waitFor(() => context.AutosaveQueue.getPendingCount() === 0, 5000);
+    assert.equal(webApp.isClosingConfirmationEnabled, false);
+});
+
+test('the Telegram SettingsButton opens the settings sheet', async () => {
+    const { context, document } = await bootTracker();
+
+    assert.equal(context.Telegram.WebApp.SettingsButton.isVisible, true);
+    assert.equal(document.getElementById('settings-btn').style.display, 'none');
+
+    context.Telegram.WebApp.SettingsButton.element.onclick();
+    assert.equal(document.getElementById('settings-sheet').style.display, 'flex');
+
+    context.Telegram.WebApp.BackButton.element.onclick();
+    assert.equal(document.getElementById('settings-sheet').style.display, 'none');
+});
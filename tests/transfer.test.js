@@ -0,0 +1,132 @@
+// ProgressTransfer: progress codes, CSV parsing and merge or replace imports
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createContext, loadScript, loadConfig, bootTracker } = require('./helpers');
+
+const TRANSFER_SCRIPTS = ['i18n.js', 'sync.js', 'challenges.js', 'records.js', 'transfer.js'];
+
+const CHAMPIONS = [
+    { id: 'Ahri', key: '103', name: 'Ahri', tags: ['Mage'] },
+    { id: 'Annie', key: '1', name: 'Annie', tags: ['Mage'] },
+    { id: 'Jinx', key: '222', name: 'Jinx', tags: ['Marksman'] },
+    { id: 'Naafiri', key: '950', name: 'Naafiri', tags: ['Assassin'] },
+    { id: 'Nunu', key: '20', name: 'Nunu & Willump', tags: ['Tank'] },
+    { id: 'Zed', key: '238', name: 'Zed', tags: ['Assassin'] }
+];
+
+function loadTransfer() {
+    const context = createContext();
+    loadConfig(context);
+    TRANSFER_SCRIPTS.forEach(file => loadScript(context, file));
+    return context.ProgressTransfer;
+}
+
+const sorted = set => Array.from(set).sort();
+
+test('a progress code round-trips and is rejected by a catalog of another size', () => {
+    const transfer = loadTransfer();
+    const code = transfer.toCode(new Set(['Annie', 'Naafiri', 'Zed']), CHAMPIONS);
+
+    assert.match(code, /^6_[A-Za-z0-9_-]+$/);
+    assert.equal(transfer.getCodeFromStartParam(`progress_${code}`), code);
+    assert.deepEqual(sorted(transfer.parse(code, CHAMPIONS).progress), ['Annie', 'Naafiri', 'Zed']);
+    assert.deepEqual(sorted(transfer.parse(`https://t.me/bot/app?startapp=progress_${code}`, CHAMPIONS).progress), ['Annie', 'Naafiri', 'Zed']);
+
+    // Briar's key sorts before Naafiri's although she came out later, every bit after hers would move
+    const newer = [...CHAMPIONS, { id: 'Briar', key: '233', name: 'Briar', tags: ['Fighter'] }];
+    assert.throws(() => transfer.parse(code, newer), /made for 6 champions, the current patch has 7/);
+    assert.throws(() => transfer.parse(code, CHAMPIONS.slice(1)), /made for 6 champions, the current patch has 5/);
+    assert.throws(() => transfer.parse('6_A', CHAMPIONS), /Not a valid progress code/);
+});
+
+test('CSV rows are read with quotes, ids or names and the completed column', () => {
+    const transfer = loadTransfer();
+    const csv = [
+        'ID,Name,Completed,Date',
+        'Ahri,Ahri,true,2024-05-01',
+        ',"Nunu & Willump",yes,',
+        '"Jinx","Jinx, ""the Loose Cannon""",false,2024-05-02',
+        'Zed,Zed,x,not a date',
+        'Teemo,Teemo,true,',
+        '',
+        'Annie'
+    ].join('\r\n');
+
+    const result = transfer.parse(csv, CHAMPIONS);
+    assert.equal(result.format, 'csv');
+    assert.deepEqual(sorted(result.progress), ['Ahri', 'Nunu', 'Zed']);
+    assert.deepEqual(Array.from(result.unknown), ['Teemo']);
+    assert.deepEqual(JSON.parse(JSON.stringify(result.records)), { Ahri: { completed_at: '2024-05-01' } });
+
+    // A name-only list counts every row as completed
+    assert.deepEqual(sorted(transfer.parse('name\nahri\nZED', CHAMPIONS).progress), ['Ahri', 'Zed']);
+    assert.throws(() => transfer.parse('champion;done\nAhri;1', CHAMPIONS), /needs an "id" or "name" column/);
+    assert.throws(() => transfer.parse('   ', CHAMPIONS), /Nothing to import/);
+
+    // Exported CSV reads back the same
+    const list = { name: 'Arena Wins', progress: ['Nunu', 'Jinx'], records: { Jinx: { completed_at: '2024-05-02' } } };
+    const reread = transfer.parse(transfer.toCsv(list, CHAMPIONS), CHAMPIONS);
+    assert.deepEqual(sorted(reread.progress), ['Jinx', 'Nunu']);
+    assert.equal(reread.records.Jinx.completed_at, '2024-05-02');
+});
+
+test('merge only adds, replace also clears champions and their records', async () => {
+    const { tracker, document } = await bootTracker();
+    const records = tracker.getActiveRecords();
+    records.Ahri = { completed_at: '2024-05-01', placement: 1 };
+    records.Jinx = { completed_at: '2024-05-02', note: 'first try' };
+
+    const importCsv = (text, mode) => {
+        tracker.getImportMode = () => mode;
+        tracker.openTransfer();
+        document.getElementById('import-input').value = text;
+        tracker.previewImport();
+        return document.getElementById('import-preview').innerHTML;
+    };
+
+    const mergePreview = importCsv('id,completed,date\nAhri,true,2024-06-01\nZed,true,2024-06-02', 'merge');
+    assert.match(mergePreview, /Will be marked: Zed/);
+    assert.doesNotMatch(mergePreview, /Will be cleared/);
+    tracker.applyImport();
+    assert.deepEqual(sorted(tracker.completedChampions), ['Ahri', 'Jinx', 'Leona', 'Zed']);
+    assert.equal(tracker.getActiveRecords().Ahri.completed_at, '2024-05-01');
+    assert.equal(tracker.getActiveRecords().Zed.completed_at, '2024-06-02');
+
+    const replacePreview = importCsv('id,completed,date\nAhri,true,2024-06-01\nLux,true,', 'replace');
+    assert.match(replacePreview, /Will be cleared, with their details: Jinx, Leona, Zed/);
+    tracker.applyImport();
+    assert.deepEqual(sorted(tracker.completedChampions), ['Ahri', 'Lux']);
+    assert.equal(tracker.getActiveRecords().Ahri.completed_at, '2024-06-01');
+    assert.equal(tracker.getActiveRecords().Jinx, undefined);
+    assert.equal(tracker.getActiveRecords().Zed, undefined);
+});
+
+test('an import in edit mode undoes and cancels with the details it replaced', async () => {
+    const { tracker, document } = await bootTracker();
+    const records = tracker.getActiveRecords();
+    records.Ahri = { completed_at: '2024-05-01', placement: 1 };
+    records.Jinx = { completed_at: '2024-05-02', note: 'first try' };
+    const recordOf = championId => ({ ...tracker.getActiveRecords()[championId] });
+
+    tracker.toggleEditMode();
+    tracker.getImportMode = () => 'replace';
+    tracker.openTransfer();
+    document.getElementById('import-input').value = 'id,completed,date\nAhri,true,2024-06-01\nLux,true,';
+    tracker.previewImport();
+    tracker.applyImport();
+    assert.deepEqual(sorted(tracker.completedChampions), ['Ahri', 'Lux']);
+    assert.equal(tracker.getActiveRecords().Jinx, undefined);
+
+    tracker.undo();
+    assert.deepEqual(sorted(tracker.completedChampions), ['Ahri', 'Jinx', 'Leona']);
+    assert.deepEqual(recordOf('Ahri'), { completed_at: '2024-05-01', placement: 1 });
+    assert.deepEqual(recordOf('Jinx'), { completed_at: '2024-05-02', note: 'first try' });
+    assert.equal(tracker.getActiveRecords().Lux, undefined);
+
+    tracker.redo();
+    assert.equal(tracker.getActiveRecords().Ahri.completed_at, '2024-06-01');
+    tracker.cancelEdit();
+    assert.deepEqual(sorted(tracker.completedChampions), ['Ahri', 'Jinx', 'Leona']);
+    assert.deepEqual(recordOf('Jinx'), { completed_at: '2024-05-02', note: 'first try' });
+});
@@ -0,0 +1,100 @@
+// Theme
+// Color modes for the tracker page: LoL classic, follow Telegram, light and dark.
+// The palettes are data-theme CSS variables in index.html, this picks one and keeps the Telegram header in sync.
+
+const THEME_MODES = ['lol', 'telegram', 'light', 'dark'];
+
+// Solid page colors for Telegram's header and background, the palettes themselves use gradients
+const THEME_COLORS = {
+    lol: '#0a1428',
+    light: '#f1f2f5',
+    dark: '#17212b'
+};
+
+class ThemeManager {
+    constructor() {
+        // The last choice is cached locally so the page doesn't flash the default before user_data loads
+        this.storageKey = 'arena-theme';
+        this.mode = this.getStoredMode() || 'lol';
+
+        this.apply();
+        window.TelegramApp?.onThemeChanged(scheme => this.onTelegramThemeChanged(scheme));
+    }
+
+    getModes() {
+        return THEME_MODES;
+    }
+
+    getMode() {
+        return this.mode;
+    }
+
+    isValidMode(mode) {
+        return THEME_MODES.includes(mode);
+    }
+
+    getStoredMode() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return this.isValidMode(stored) ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Returns false for unknown modes, e.g. one saved by a newer version of the app
+    setMode(mode) {
+        if (!this.isValidMode(mode)) return false;
+
+        this.mode = mode;
+        try {
+            localStorage.setItem(this.storageKey, mode);
+        } catch (error) {
+            window.Logger.warn('ui', 'Failed to store theme', error);
+        }
+
+        this.apply();
+        return true;
+    }
+
+    // Outside Telegram there are no theme params to follow, so use the browser's light/dark preference
+    resolveTheme() {
+        if (this.mode !== 'telegram' || window.TelegramApp?.isReady()) {
+            return this.mode;
+        }
+
+        return window.matchMedia?.('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    apply() {
+        const theme = this.resolveTheme();
+        document.documentElement.setAttribute('data-theme', theme);
+        this.syncTelegramColors(theme);
+
+        window.Logger.info('ui', `Theme: ${theme} (mode ${this.mode})`);
+    }
+
+    syncTelegramColors(theme) {
+        if (!window.TelegramApp?.isReady()) return;
+
+        const color = theme === 'telegram'
+            ? window.TelegramApp.getThemeParams().bg_color
+            : THEME_COLORS[theme];
+        if (!color) return;
+
+        window.TelegramApp.setHeaderColor(color);
+        window.TelegramApp.setBackgroundColor(color);
+    }
+
+    // Telegram switched between its light and dark theme, or the user edited it
+    onTelegramThemeChanged(scheme) {
+        window.Logger.info('telegram', 'Telegram theme changed, color scheme', scheme);
+        this.apply();
+    }
+}
+
+// Initialize theme
+const themeManager = new ThemeManager();
+
+// Export for global use
+window.ThemeManager = themeManager;
@@ -0,0 +1,2254 @@
+// Arena Tracker
+// The champion grid page (index.html): loads the catalog and progress, editing, sync and sheets
+
+class ArenaTracker {
+    constructor() {
+        this.champions = [];
+        this.completedChampions = new Set();
+        this.isEditMode = false;
+        this.originalCompleted = new Set();
+        this.originalRecords = {};
+        this.challenges = null;
+        this.baseChallenges = null;
+        this.baseRevision = 0;
+        this.isProgressLoaded = false;
+        this.isSessionExpired = false;
+        this.deletedListIds = new Set();
+        this.challengeEditorMode = null;
+        this.detailChampionId = null;
+        this.isStatsOpen = false;
+        this.pickerTimer = null;
+        this.searchTimer = null;
+        this.friends = [];
+        this.friendView = null;
+        this.pendingImport = null;
+        this.pendingPaste = null; // parsed names from the paste sheet
+        this.rangeAnchorId = null; // the long-pressed card a range selection starts from
+        this.lastToggledId = null; // where a shift-click range starts
+        this.diagnosticsTaps = [];
+        this.isDiagnosticsOpen = false;
+        this.isAutosave = false;
+        this.isClosingConfirmationEnabled = false;
+        this.isOffline = false;
+        this.currentVersion = null;
+        this.versions = [];
+        this.viewedPatch = null; // { version, champions } while the grid shows an older patch
+        this.patchCatalogs = new Map();
+        this.filters = null;
+        this.settings = {};
+        this.baseSettings = {};
+        this.allClasses = new Set();
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            // Wait for config, telegram and data dragon to load
+            if (!window.CONFIG || !window.TelegramApp || !window.I18n || !window.ApiClient || !window.ChampionFilters || !window.ChampionGrid || !window.DataDragon || !window.AutosaveQueue || !window.EditHistory || !window.ChallengeLists || !window.ChampionRecords || !window.ProgressStats || !window.ChampionPicker || !window.FriendsClient || !window.ProgressTransfer || !window.ThemeManager || !window.ProgressStorage || !window.Logger || !window.RuntimeConfig || !window.PatchHistory || !window.BulkSelection) {
+                setTimeout(() => this.init(), 100);
+                return;
+            }
+
+            this.filters = window.ChampionFilters.getDefaults();
+            window.ChampionGrid.onCardClick = (championId, event) => this.onChampionClick(championId, event);
+            window.ChampionGrid.onCardLongPress = championId => this.startRange(championId);
+            this.applyTranslations();
+            // Before anything can fail, the diagnostics matter most on the error screen
+            this.setupDiagnostics();
+
+            // config.json and tester overrides decide which backend the requests go to
+            await window.RuntimeConfig.ready.finally(() => window.RuntimeConfig.renderBadge());
+            window.ApiClient.onAuthExpired(() => this.onSessionExpired());
+
+            const fromCache = await this.loadCatalog();
+            await this.loadUserProgress();
+            this.updatePatchHistory();
+
+            if (window.CONFIG.APP_CONFIG.ENABLE_AUTOSAVE) {
+                this.startAutosave();
+            }
+
+            this.populateFilterOptions();
+            this.renderChampions();
+            this.updateStats();
+            this.showMainContent();
+            this.setupKeyboardShortcuts();
+            this.setupNativeControls();
+            this.handleStartParam();
+
+            // Cached catalog is already on screen, look for a newer patch in the background
+            if (fromCache) {
+                this.refreshCatalog();
+            }
+
+        } catch (error) {
+            // Retrying can't help an expired session, the app has to be reopened
+            const canRetry = !(error instanceof window.ApiError) || error.retryable;
+            this.showError(window.I18n.t('status.initFailed', { error: window.ApiClient.getErrorMessage(error) }), canRetry);
+        }
+    }
+
+    // Returns true when the catalog came from the local cache
+    async loadCatalog() {
+        const locale = window.I18n.getDataDragonLocale();
+        const cached = await window.DataDragon.getCachedCatalog(locale);
+        if (cached) {
+            this.applyCatalog(cached);
+            window.Logger.info('ddragon', 'Loaded cached catalog for patch', this.currentVersion);
+            return true;
+        }
+
+        const catalog = await window.DataDragon.fetchCatalog(null, locale);
+        this.applyCatalog(catalog);
+        window.Logger.info('ddragon', 'Latest version', this.currentVersion);
+        return false;
+    }
+
+    applyCatalog(catalog) {
+        this.currentVersion = catalog.version;
+        this.versions = catalog.versions || [catalog.version];
+        this.champions = this.sortByName(catalog.champions);
+
+        // Older patches are fetched again in the new locale when they are picked
+        this.viewedPatch = null;
+        this.patchCatalogs.clear();
+
+        // Extract all unique classes
+        this.allClasses = new Set();
+        this.champions.forEach(champion => {
+            champion.tags.forEach(tag => this.allClasses.add(tag));
+        });
+        window.ChampionGrid.setCatalog(this.champions);
+
+        window.Logger.info('ddragon', `Loaded ${this.champions.length} champions`);
+        window.Logger.info('ddragon', 'Available classes', Array.from(this.allClasses).sort());
+    }
+
+    sortByName(champions) {
+        return [...champions].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    async refreshCatalog() {
+        try {
+            const catalog = await window.DataDragon.fetchCatalog(this.currentVersion, window.I18n.getDataDragonLocale());
+            if (!catalog) {
+                window.Logger.info('ddragon', 'Champion catalog is up to date');
+                return;
+            }
+
+            this.applyCatalog(catalog);
+            this.updatePatchHistory();
+            this.populateFilterOptions();
+            this.renderChampions();
+            this.updateStats();
+            this.showStatus(window.I18n.t('status.patchUpdated', { version: catalog.version }), 'success');
+
+        } catch (error) {
+            // Keep the last good version when Data Dragon can't be reached
+            window.Logger.warn('ddragon', `Data Dragon unreachable, staying on patch ${this.currentVersion}`, error.message);
+        }
+    }
+
+    // Comes from the offline mirrors when the server can't be reached
+    async fetchUserData() {
+        const { userData, isOffline } = await window.ProgressStorage.read();
+        this.isOffline = isOffline;
+        return userData;
+    }
+
+    // A failed load is not an empty profile: it's rethrown and nothing gets saved until a load succeeds
+    async loadUserProgress() {
+        const userData = await this.fetchUserData();
+        this.challenges = window.ChallengeLists.fromUserData(userData);
+        this.settings = userData.settings || {};
+
+        // Remember what was loaded so a later save can merge with other devices
+        this.baseChallenges = window.ChallengeLists.clone(this.challenges);
+        this.baseSettings = window.ChallengeLists.clone(this.settings);
+        this.baseRevision = userData.progress_revision || 0;
+        this.isProgressLoaded = true;
+
+        this.loadActiveList();
+        this.applyThemeSetting();
+
+        if (this.isOffline) {
+            this.showStatus(window.I18n.t('status.offlineCopy'), 'error');
+        }
+
+        window.Logger.info('api', `Loaded progress: ${this.completedChampions.size} champions completed (revision ${this.baseRevision})`);
+    }
+
+    onSessionExpired() {
+        if (this.isSessionExpired) return;
+
+        this.isSessionExpired = true;
+        window.TelegramApp.showAlert(window.I18n.t('api.auth'));
+    }
+
+    // The active list is edited through completedChampions and written back before saving
+    loadActiveList() {
+        this.completedChampions = new Set(this.challenges.lists[this.challenges.active].progress);
+    }
+
+    storeActiveProgress() {
+        this.challenges.lists[this.challenges.active].progress = Array.from(this.completedChampions);
+    }
+
+    getActiveRecords() {
+        return this.challenges.lists[this.challenges.active].records;
+    }
+
+    async saveUserProgress() {
+        try {
+            await this.syncProgress();
+
+            window.Logger.info('api', 'Progress saved successfully');
+
+            // Haptic feedback
+            window.TelegramApp.hapticFeedback('success');
+
+        } catch (error) {
+            window.Logger.error('api', 'Failed to save progress', error);
+            this.showStatus(window.I18n.t('status.saveFailed', { error: window.ApiClient.getErrorMessage(error) }), 'error');
+
+            // Haptic feedback for error
+            window.TelegramApp.hapticFeedback('error');
+            throw error;
+        }
+    }
+
+    async syncProgress(isRetry = false) {
+        if (!this.isProgressLoaded) {
+            throw new Error('Progress was never loaded, refusing to overwrite it');
+        }
+
+        // Re-read the server copy so edits from another device are merged, not overwritten
+        const remoteData = await this.fetchUserData();
+        const remoteRevision = remoteData.progress_revision || 0;
+
+        this.storeActiveProgress();
+        const sentChallenges = window.ChallengeLists.clone(this.challenges);
+        const sentDeletedIds = new Set(this.deletedListIds);
+        const sentSettings = window.ChallengeLists.clone(this.settings);
+        let challenges = sentChallenges;
+        let settings = sentSettings;
+        let merged = false;
+
+        if (remoteRevision !== this.baseRevision) {
+            window.Logger.info('api', `Server progress changed (revision ${this.baseRevision} -> ${remoteRevision}), merging`);
+
+            const remoteChallenges = window.ChallengeLists.fromUserData(remoteData);
+            const result = window.ChallengeLists.merge(this.baseChallenges, sentChallenges, remoteChallenges, this.deletedListIds);
+            challenges = result.challenges;
+            settings = window.ProgressSync.mergeKeys(this.baseSettings, sentSettings, remoteData.settings);
+            merged = true;
+
+            if (result.results[challenges.active]) {
+                this.reportRemoteChanges(result.results[challenges.active]);
+            }
+        }
+
+        // arena_progress has been migrated into challenges
+        const { arena_progress, ...otherData } = remoteData;
+
+        const updateData = {
+            base_revision: remoteRevision,
+            user_data: {
+                ...otherData,
+                challenges,
+                settings,
+                progress_revision: remoteRevision + 1,
+                last_updated: new Date().toISOString()
+            }
+        };
+
+        try {
+            await window.ProgressStorage.write(updateData);
+        } catch (error) {
+            // Another device saved between our read and write, merge once more
+            if (error.type === window.ApiError.TYPES.CONFLICT && !isRetry) {
+                return this.syncProgress(true);
+            }
+            throw error;
+        }
+
+        // Keep toggles and list changes made while the request was in flight
+        this.storeActiveProgress();
+        this.challenges = window.ChallengeLists.merge(sentChallenges, this.challenges, challenges, this.deletedListIds).challenges;
+        sentDeletedIds.forEach(listId => this.deletedListIds.delete(listId));
+        this.settings = window.ProgressSync.mergeKeys(sentSettings, this.settings, settings);
+
+        this.baseChallenges = window.ChallengeLists.clone(challenges);
+        this.baseSettings = window.ChallengeLists.clone(settings);
+        this.baseRevision = remoteRevision + 1;
+        this.loadActiveList();
+
+        if (merged) {
+            this.applyThemeSetting();
+            this.populateChallengeSelect();
+            this.populateSavedViews();
+            this.renderChampions();
+        }
+        this.updateStats();
+    }
+
+    // Autosave
+    startAutosave() {
+        this.isAutosave = true;
+        document.getElementById('save-indicator').style.display = 'inline-block';
+
+        const user = window.TelegramApp.getUserInfo();
+        window.AutosaveQueue.start(
+            user?.id,
+            () => this.syncProgress(),
+            (state, pendingCount) => this.updateSaveIndicator(state, pendingCount)
+        );
+
+        // Re-apply changes that never reached the server, e.g. the webview was closed mid-edit
+        this.storeActiveProgress();
+        window.AutosaveQueue.getChanges().forEach(change => {
+            const list = this.challenges.lists[change.listId || window.CONFIG.APP_CONFIG.DEFAULT_CHALLENGE_ID];
+            if (!list) return;
+
+            const progress = new Set(list.progress);
+            if (change.completed) {
+                progress.add(change.championId);
+                window.ChampionRecords.markCompleted(list.records, change.championId, new Date(change.changedAt));
+            } else {
+                progress.delete(change.championId);
+                window.ChampionRecords.clearCompleted(list.records, change.championId);
+            }
+            list.progress = Array.from(progress);
+        });
+        this.loadActiveList();
+    }
+
+    updateSaveIndicator(state, pendingCount) {
+        const indicator = document.getElementById('save-indicator');
+        indicator.textContent = window.I18n.t(`saveIndicator.${state}`, { count: pendingCount });
+        indicator.className = `save-indicator ${state}`;
+        this.updateClosingConfirmation();
+    }
+
+    reportRemoteChanges({ remoteChanges }) {
+        if (!window.ProgressSync.hasChanges(remoteChanges)) return;
+
+        const names = ids => ids.map(id => this.getChampionName(id));
+        const changes = [
+            ...names(remoteChanges.added).map(name => '+' + name),
+            ...names(remoteChanges.removed).map(name => '−' + name)
+        ];
+
+        const message = window.I18n.t('status.remoteMerged', { changes: changes.join(', ') });
+
+        window.Logger.info('api', message);
+        this.showStatus(message, 'success');
+    }
+
+    // Challenge Lists
+    populateChallengeSelect() {
+        const select = document.getElementById('challenge-select');
+        const listIds = window.ChallengeLists.getListIds(this.challenges);
+
+        select.innerHTML = '';
+        listIds.forEach(listId => {
+            const list = this.challenges.lists[listId];
+            const completed = listId === this.challenges.active ? this.completedChampions.size : list.progress.length;
+
+            const option = document.createElement('option');
+            option.value = listId;
+            option.textContent = `${list.name} (${completed}/${this.getStatsChampions(listId).length})`;
+            select.appendChild(option);
+        });
+
+        select.value = this.challenges.active;
+        document.getElementById('challenge-delete-btn').disabled = listIds.length <= 1;
+    }
+
+    switchChallenge(listId) {
+        if (this.isEditMode || !this.challenges.lists[listId]) return;
+
+        this.storeActiveProgress();
+        this.challenges.active = listId;
+        this.loadActiveList();
+
+        this.renderChampions();
+        this.updateStats();
+        this.saveChallenges();
+    }
+
+    openChallengeEditor(mode) {
+        if (this.isEditMode) return;
+
+        this.challengeEditorMode = mode;
+        const input = document.getElementById('challenge-name-input');
+        input.value = mode === 'rename' ? this.challenges.lists[this.challenges.active].name : '';
+
+        document.getElementById('challenge-editor').style.display = 'flex';
+        input.focus();
+    }
+
+    closeChallengeEditor() {
+        this.challengeEditorMode = null;
+        document.getElementById('challenge-editor').style.display = 'none';
+    }
+
+    submitChallengeName() {
+        const name = document.getElementById('challenge-name-input').value.trim();
+        if (!name) {
+            this.showStatus(window.I18n.t('status.enterChallengeName'), 'error');
+            return;
+        }
+
+        this.storeActiveProgress();
+
+        if (this.challengeEditorMode === 'create') {
+            this.challenges.active = window.ChallengeLists.createList(this.challenges, name);
+            this.loadActiveList();
+            this.renderChampions();
+        } else {
+            window.ChallengeLists.renameList(this.challenges, this.challenges.active, name);
+        }
+
+        this.closeChallengeEditor();
+        this.updateStats();
+        this.saveChallenges();
+    }
+
+    deleteChallenge() {
+        if (this.isEditMode) return;
+
+        const listIds = window.ChallengeLists.getListIds(this.challenges);
+        if (listIds.length <= 1) return;
+
+        const listId = this.challenges.active;
+        const list = this.challenges.lists[listId];
+
+        const message = window.I18n.t('confirm.deleteList', { name: list.name, count: list.progress.length });
+        window.TelegramApp.showConfirm(message, confirmed => {
+            if (!confirmed) return;
+
+            window.ChallengeLists.deleteList(this.challenges, listId);
+            this.deletedListIds.add(listId);
+            this.loadActiveList();
+
+            this.renderChampions();
+            this.updateStats();
+            this.saveChallenges();
+        });
+    }
+
+    // Saves list and record changes right away, independent of edit mode
+    async saveChallenges() {
+        try {
+            await this.syncProgress();
+        } catch (error) {
+            // Kept locally, the next save picks the change up
+            window.Logger.error('api', 'Failed to save challenges', error);
+            this.showStatus(window.I18n.t('status.changesSaveFailed', { error: window.ApiClient.getErrorMessage(error) }), 'error');
+        }
+    }
+
+    getChampionName(championId) {
+        const champion = this.champions.find(c => c.id === championId);
+        return champion ? champion.name : championId;
+    }
+
+    populateFilterOptions() {
+        // Class chips
+        const tagFilter = document.getElementById('tag-filter');
+        const sortedClasses = Array.from(this.allClasses).sort();
+        tagFilter.innerHTML = sortedClasses.map(className => `
+            <button class="tag-chip" data-tag="${className}" aria-pressed="false" onclick="toggleTagFilter('${className}')">${window.I18n.t(`tags.${className}`)}</button>
+        `).join('');
+
+        // Resource types from the current catalog
+        const resourceSelect = document.getElementById('resource-filter');
+        while (resourceSelect.children.length > 1) {
+            resourceSelect.removeChild(resourceSelect.lastChild);
+        }
+        window.ChampionFilters.getResourceTypes(this.champions).forEach(resource => {
+            const option = document.createElement('option');
+            option.value = resource;
+            option.textContent = resource;
+            resourceSelect.appendChild(option);
+        });
+
+        // Drop filters for classes or resources that no longer exist
+        this.filters.tags = this.filters.tags.filter(tag => this.allClasses.has(tag));
+        if (!window.ChampionFilters.getResourceTypes(this.champions).includes(this.filters.resource)) {
+            this.filters.resource = 'all';
+        }
+
+        this.syncFilterControls();
+        this.populateSavedViews();
+        this.populatePatchSelect();
+    }
+
+    // Reflect this.filters in the form controls, e.g. after loading a saved view
+    syncFilterControls() {
+        document.getElementById('search-input').value = this.filters.search;
+        document.getElementById('status-filter').value = this.filters.status;
+        document.getElementById('resource-filter').value = this.filters.resource;
+        document.getElementById('difficulty-filter').value = this.filters.difficulty;
+        document.getElementById('strength-filter').value = this.filters.strength;
+        document.getElementById('sort-order').value = this.filters.sort;
+        this.updateControlTexts();
+
+        document.querySelectorAll('.tag-chip').forEach(chip => {
+            const isActive = this.filters.tags.includes(chip.dataset.tag);
+            chip.classList.toggle('active', isActive);
+            chip.setAttribute('aria-pressed', String(isActive));
+        });
+    }
+
+    // The grid shows a friend's progress while one is open, filters then apply to theirs
+    getDisplayedProgress() {
+        return this.friendView ? this.friendView.progress : this.completedChampions;
+    }
+
+    // The catalog of the patch the grid shows, the latest unless an older one was picked
+    getGridChampions() {
+        return this.viewedPatch ? this.viewedPatch.champions : this.champions;
+    }
+
+    getGridVersion() {
+        return this.viewedPatch ? this.viewedPatch.version : this.currentVersion;
+    }
+
+    getFilteredChampions() {
+        const progress = this.getDisplayedProgress();
+        let filteredChampions = window.ChampionFilters.apply(this.getGridChampions(), this.filters, progress);
+
+        if (this.friendView && this.friendView.compare !== 'all') {
+            const ids = new Set(this.getComparison()[this.friendView.compare]);
+            filteredChampions = filteredChampions.filter(champion => ids.has(champion.id));
+        }
+
+        const records = this.friendView ? this.friendView.records : this.getActiveRecords();
+        return window.ChampionFilters.sort(filteredChampions, this.filters.sort, records, progress);
+    }
+
+    // Keyed update of the existing cards, see grid.js
+    renderChampions() {
+        const grid = document.getElementById('champions-grid');
+
+        window.ChampionGrid.render(grid, this.getFilteredChampions(), {
+            version: this.getGridVersion(),
+            progress: this.getDisplayedProgress(),
+            records: this.friendView ? this.friendView.records : this.getActiveRecords(),
+            readOnly: Boolean(this.friendView),
+            editable: this.isEditMode && !this.friendView,
+            mine: this.friendView ? this.completedChampions : null,
+            newChampions: window.PatchHistory.getNewChampions(this.settings.catalog, this.getGridVersion())
+        });
+
+        grid.style.display = 'grid';
+    }
+
+    // Screen readers hear how many cards a filter change left, not just the rendered ones
+    announceShownCount() {
+        const count = window.ChampionGrid.shown.length;
+        this.announce(window.I18n.t('a11y.shown', { count }));
+    }
+
+    setFilter(key, value) {
+        this.filters[key] = value;
+        this.renderChampions();
+        this.updateStats();
+        this.announceShownCount();
+    }
+
+    toggleTagFilter(tag) {
+        const tags = this.filters.tags;
+        this.filters.tags = tags.includes(tag) ? tags.filter(t => t !== tag) : [...tags, tag];
+        this.syncFilterControls();
+        this.renderChampions();
+        this.updateStats();
+        this.announceShownCount();
+    }
+
+    toggleTagMode() {
+        this.filters.tagMode = this.filters.tagMode === 'and' ? 'or' : 'and';
+        this.syncFilterControls();
+        this.renderChampions();
+        this.updateStats();
+        this.announceShownCount();
+    }
+
+    // Typing re-renders once the input pauses, not on every keystroke
+    searchChampions(searchTerm) {
+        clearTimeout(this.searchTimer);
+        this.searchTimer = setTimeout(() => {
+            this.setFilter('search', searchTerm || '');
+        }, window.CONFIG.APP_CONFIG.SEARCH_DEBOUNCE);
+    }
+
+    resetFilters() {
+        clearTimeout(this.searchTimer);
+        this.filters = window.ChampionFilters.getDefaults();
+        this.syncFilterControls();
+        document.getElementById('saved-views').value = '';
+        this.renderChampions();
+        this.updateStats();
+        this.announceShownCount();
+    }
+
+    // Saved Views
+    // Named filter sets, kept per user in user_data.settings.saved_views
+    getSavedViews() {
+        return this.settings.saved_views || [];
+    }
+
+    populateSavedViews() {
+        const select = document.getElementById('saved-views');
+        const views = this.getSavedViews();
+
+        while (select.children.length > 1) {
+            select.removeChild(select.lastChild);
+        }
+        views.forEach(view => {
+            const option = document.createElement('option');
+            option.value = view.name;
+            option.textContent = view.name;
+            select.appendChild(option);
+        });
+
+        document.getElementById('delete-view-btn').disabled = views.length === 0;
+    }
+
+    applySavedView(name) {
+        const view = this.getSavedViews().find(v => v.name === name);
+        if (!view) return;
+
+        clearTimeout(this.searchTimer);
+        this.filters = { ...window.ChampionFilters.getDefaults(), ...view.filters };
+        this.populateFilterOptions();
+        document.getElementById('saved-views').value = name;
+        this.renderChampions();
+        this.updateStats();
+    }
+
+    saveCurrentView() {
+        const input = document.getElementById('view-name-input');
+        const name = input.value.trim();
+        if (!name) {
+            this.showStatus(window.I18n.t('status.enterViewName'), 'error');
+            return;
+        }
+
+        const views = this.getSavedViews().filter(view => view.name !== name);
+        this.settings = {
+            ...this.settings,
+            saved_views: [...views, { name, filters: { ...this.filters } }]
+        };
+
+        input.value = '';
+        this.populateSavedViews();
+        document.getElementById('saved-views').value = name;
+        this.saveChallenges();
+        this.showStatus(window.I18n.t('status.viewSaved', { name }), 'success');
+    }
+
+    deleteSavedView() {
+        const name = document.getElementById('saved-views').value;
+        if (!name) return;
+
+        this.settings = {
+            ...this.settings,
+            saved_views: this.getSavedViews().filter(view => view.name !== name)
+        };
+
+        this.populateSavedViews();
+        document.getElementById('saved-views').value = '';
+        this.saveChallenges();
+    }
+
+    // Cards toggle in edit mode and open the detail sheet otherwise. A shift-click, or a tap after
+    // a long press, selects the range from the previous card instead.
+    onChampionClick(championId, event) {
+        // A friend's grid is read-only
+        if (this.friendView) return;
+
+        if (!this.isEditMode) {
+            this.openChampionDetails(championId);
+        } else if (this.rangeAnchorId) {
+            this.selectRange(this.rangeAnchorId, championId);
+        } else if (event?.shiftKey && this.lastToggledId) {
+            this.selectRange(this.lastToggledId, championId);
+        } else {
+            this.toggleChampion(championId);
+        }
+    }
+
+    toggleChampion(championId) {
+        if (!this.isEditMode) return;
+
+        this.lastToggledId = championId;
+        const wasCompleted = this.completedChampions.has(championId);
+        this.applyEditStep([{ championId, completed: !wasCompleted }]);
+
+        this.announce(window.I18n.t(wasCompleted ? 'a11y.unmarked' : 'a11y.marked', {
+            name: this.getChampionName(championId),
+            completed: this.completedChampions.size,
+            total: this.getStatsChampions().length
+        }));
+
+        // Light haptic feedback
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    // Applies states as one undo step in edit mode. Every change keeps the champion's record from
+    // before and after, so undo and redo put completion dates and details back as they were.
+    // Records are replaced, never changed in place, comparing the two maps finds every one that
+    // `updateRecords` or the new states touched.
+    applyEditStep(states, updateRecords = () => {}) {
+        const wasCompleted = new Set(this.completedChampions);
+        const before = { ...this.getActiveRecords() };
+
+        updateRecords(this.getActiveRecords());
+        this.setChampionStates(states);
+        if (!this.isEditMode) return;
+
+        const after = this.getActiveRecords();
+        const changedRecords = [...Object.keys(before), ...Object.keys(after)].filter(championId => before[championId] !== after[championId]);
+        const championIds = new Set([...states.map(state => state.championId), ...changedRecords]);
+
+        window.EditHistory.record(Array.from(championIds, championId => ({
+            championId,
+            from: wasCompleted.has(championId),
+            to: this.completedChampions.has(championId),
+            recordFrom: before[championId],
+            recordTo: after[championId]
+        })));
+    }
+
+    // Apply a list of { championId, completed } and refresh cards, stats and autosave. A state with
+    // a `record` key puts that record back (undo, redo) instead of stamping or clearing the date.
+    setChampionStates(states) {
+        const records = this.getActiveRecords();
+
+        states.forEach(state => {
+            const { championId, completed } = state;
+
+            if ('record' in state) {
+                if (state.record) {
+                    records[championId] = state.record;
+                } else {
+                    delete records[championId];
+                }
+            } else if (completed) {
+                window.ChampionRecords.markCompleted(records, championId);
+            } else {
+                window.ChampionRecords.clearCompleted(records, championId);
+            }
+
+            // Only the record changed
+            if (this.completedChampions.has(championId) === completed) return;
+
+            if (completed) {
+                this.completedChampions.add(championId);
+            } else {
+                this.completedChampions.delete(championId);
+            }
+
+            // Update visual state
+            window.ChampionGrid.setCompleted(championId, completed);
+
+            if (this.isAutosave) {
+                window.AutosaveQueue.enqueue(this.challenges.active, championId, completed);
+            }
+        });
+
+        this.updateStats();
+        this.updateHistoryButtons();
+        this.updateMainButton();
+        this.updateClosingConfirmation();
+    }
+
+    // Champion Details
+    openChampionDetails(championId) {
+        const champion = this.champions.find(c => c.id === championId);
+        if (!champion) return;
+
+        const record = this.getActiveRecords()[championId] || {};
+        this.detailChampionId = championId;
+
+        document.getElementById('sheet-image').src = window.DataDragon.getChampionImageUrl(this.currentVersion, champion);
+        document.getElementById('sheet-name').textContent = champion.name;
+        document.getElementById('sheet-title').textContent = champion.title;
+        document.getElementById('sheet-status').textContent =
+            window.I18n.t(this.completedChampions.has(championId) ? 'details.completed' : 'details.notCompleted');
+
+        document.getElementById('record-date').value = record.completed_at || '';
+        document.getElementById('record-placement').value = record.placement || '';
+        document.getElementById('record-attempts').value = record.attempts || '';
+        document.getElementById('record-augments').value = record.augments || '';
+        document.getElementById('record-note').value = record.note || '';
+
+        document.getElementById('champion-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closeChampionDetails());
+    }
+
+    closeChampionDetails() {
+        this.detailChampionId = null;
+        document.getElementById('champion-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    // Settings
+    // Opened from the Telegram menu's Settings item, or the in-page button where that's not available
+    openSettings() {
+        document.getElementById('exclude-new-checkbox').checked = Boolean(this.settings.exclude_new_champions);
+        document.getElementById('settings-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closeSettings());
+    }
+
+    closeSettings() {
+        document.getElementById('settings-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    // After a sheet closes the BackButton goes back to the friend view or the edit session, if any
+    restoreBackButton() {
+        if (this.friendView) {
+            window.TelegramApp.showBackButton(() => this.closeFriendView());
+        } else if (this.isEditMode) {
+            window.TelegramApp.showBackButton(() => this.cancelEdit());
+        } else {
+            window.TelegramApp.hideBackButton();
+        }
+    }
+
+    // Diagnostics
+    // Hidden from players: tapping the title DIAGNOSTICS_TAP_COUNT times in a row opens the log,
+    // network requests and environment report (logger.js) so a tester can copy or send them
+    setupDiagnostics() {
+        document.getElementById('app-title').onclick = () => this.onTitleTap();
+        window.Logger.onEntry(() => {
+            if (this.isDiagnosticsOpen) this.renderDiagnostics();
+        });
+    }
+
+    onTitleTap() {
+        const config = window.CONFIG.APP_CONFIG;
+        const now = Date.now();
+        this.diagnosticsTaps = [...this.diagnosticsTaps.filter(time => now - time < config.DIAGNOSTICS_TAP_WINDOW), now];
+
+        if (this.diagnosticsTaps.length >= config.DIAGNOSTICS_TAP_COUNT) {
+            this.diagnosticsTaps = [];
+            this.openDiagnostics();
+        }
+    }
+
+    openDiagnostics() {
+        this.isDiagnosticsOpen = true;
+        this.renderDiagnostics();
+        document.getElementById('diagnostics-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closeDiagnostics());
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    closeDiagnostics() {
+        this.isDiagnosticsOpen = false;
+        document.getElementById('diagnostics-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    renderDiagnostics() {
+        const logger = window.Logger;
+        const minLevel = document.getElementById('diagnostics-level').value || 'debug';
+        const requests = logger.getRequests().map(request => logger.formatRequest(request));
+        const entries = logger.getEntries({ minLevel }).map(entry => logger.formatEntry(entry));
+
+        document.getElementById('diagnostics-environment').value = JSON.stringify(logger.getEnvironmentReport(), null, 2);
+        document.getElementById('diagnostics-network').value = requests.join('\n') || window.I18n.t('diagnostics.noRequests');
+        document.getElementById('diagnostics-log').value = entries.join('\n') || window.I18n.t('diagnostics.noEntries');
+    }
+
+    async copyDiagnostics() {
+        const text = window.Logger.getBundleText();
+
+        try {
+            await navigator.clipboard.writeText(text);
+        } catch (error) {
+            // Older WebViews have no async clipboard, copy from a temporary field
+            const field = document.createElement('textarea');
+            field.value = text;
+            document.body.appendChild(field);
+            field.select();
+            document.execCommand('copy');
+            document.body.removeChild(field);
+        }
+
+        this.showStatus(window.I18n.t('diagnostics.copied'), 'success');
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    // The share sheet where the WebView can share files, a download otherwise
+    async sendDiagnostics() {
+        const date = new Date().toISOString().slice(0, 10);
+        const filename = `arena-diagnostics-${date}.json`;
+        const text = window.Logger.getBundleText();
+
+        if (navigator.canShare && typeof File !== 'undefined') {
+            const file = new File([text], filename, { type: 'application/json' });
+            if (navigator.canShare({ files: [file] })) {
+                try {
+                    await navigator.share({ files: [file], title: window.I18n.t('diagnostics.title') });
+                    return;
+                } catch (error) {
+                    if (error.name === 'AbortError') return;
+                    window.Logger.warn('ui', 'Sharing diagnostics failed, downloading instead', error);
+                }
+            }
+        }
+
+        window.ProgressTransfer.download(text, filename, 'application/json');
+    }
+
+    // Friends
+    openFriends() {
+        document.getElementById('friends-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closeFriends());
+        this.loadLeaderboard();
+    }
+
+    closeFriends() {
+        document.getElementById('friends-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    async loadLeaderboard() {
+        const container = document.getElementById('friends-leaderboard');
+        container.innerHTML = `<div class="stats-empty">${window.I18n.t('friends.loading')}</div>`;
+
+        try {
+            this.friends = await window.FriendsClient.getFriends();
+        } catch (error) {
+            container.innerHTML = `<div class="stats-empty">${window.I18n.t('friends.loadFailed', { error: window.ApiClient.getErrorMessage(error) })}</div>`;
+            return;
+        }
+
+        if (this.friends.length === 0) {
+            container.innerHTML = `<div class="stats-empty">${window.I18n.t('friends.empty')}</div>`;
+            return;
+        }
+
+        const user = window.TelegramApp.getUserInfo() || {};
+        const entries = [
+            {
+                telegram_id: user.id,
+                name: window.I18n.t('friends.you', { name: window.FriendsClient.getDisplayName({ telegram_id: user.id, ...user }) }),
+                completed: this.countKnownChampions(this.completedChampions),
+                isMe: true
+            },
+            ...this.friends.map(friend => ({
+                telegram_id: friend.telegram_id,
+                name: window.FriendsClient.getDisplayName(friend),
+                completed: this.countKnownChampions(new Set(this.getFriendList(friend.user_data).progress))
+            }))
+        ];
+
+        const leaderboard = window.FriendsClient.buildLeaderboard(entries, this.champions.length);
+        container.innerHTML = leaderboard.map(entry => `
+            <div class="leaderboard-row ${entry.isMe ? 'me' : 'friend'}"
+                 ${entry.isMe || this.isEditMode ? '' : `onclick="openFriendView(${entry.telegram_id})"`}>
+                <span class="leaderboard-rank">${entry.rank}</span>
+                <span class="leaderboard-name"></span>
+                <span class="leaderboard-value">${entry.completed}/${this.champions.length} · ${entry.percentage}%</span>
+            </div>
+        `).join('');
+
+        // Names come from Telegram profiles, set them as text
+        container.querySelectorAll('.leaderboard-name').forEach((element, index) => {
+            element.textContent = leaderboard[index].name;
+        });
+    }
+
+    // Counts only champions in the current catalog, so everyone shares the same total
+    countKnownChampions(progress) {
+        return this.champions.filter(champion => progress.has(champion.id)).length;
+    }
+
+    getFriendList(userData) {
+        const activeList = this.challenges.lists[this.challenges.active];
+        return window.FriendsClient.getComparableList(userData, this.challenges.active, activeList?.name);
+    }
+
+    // Not available in the middle of an edit session
+    async openFriendView(friendId) {
+        if (this.isEditMode) return;
+
+        let friend = this.friends.find(f => f.telegram_id === friendId);
+
+        try {
+            if (!friend) {
+                friend = await window.FriendsClient.getFriendData(friendId);
+            }
+        } catch (error) {
+            this.showStatus(window.I18n.t('friends.loadFailed', { error: window.ApiClient.getErrorMessage(error) }), 'error');
+            return;
+        }
+
+        const list = this.getFriendList(friend.user_data);
+        this.friendView = {
+            id: friendId,
+            name: window.FriendsClient.getDisplayName(friend),
+            progress: new Set(list.progress),
+            records: list.records || {},
+            compare: 'all'
+        };
+
+        document.getElementById('friends-sheet').style.display = 'none';
+        document.getElementById('friend-banner').style.display = 'block';
+        document.getElementById('friend-banner-title').textContent =
+            window.I18n.t('friends.viewing', { name: this.friendView.name });
+        // The comparison is made against the active list, so it stays put meanwhile
+        document.getElementById('edit-btn').disabled = true;
+        this.setChallengeControlsDisabled(true);
+        window.TelegramApp.showBackButton(() => this.closeFriendView());
+
+        this.renderCompareChips();
+        this.renderChampions();
+    }
+
+    closeFriendView() {
+        this.friendView = null;
+        document.getElementById('friend-banner').style.display = 'none';
+        document.getElementById('edit-btn').disabled = false;
+        this.setChallengeControlsDisabled(false);
+        this.restoreBackButton();
+        this.renderChampions();
+    }
+
+    getComparison() {
+        const known = new Set(this.champions.map(champion => champion.id));
+        const mine = new Set([...this.completedChampions].filter(id => known.has(id)));
+        const theirs = new Set([...this.friendView.progress].filter(id => known.has(id)));
+        return { all: [...known], ...window.FriendsClient.compare(mine, theirs) };
+    }
+
+    renderCompareChips() {
+        const comparison = this.getComparison();
+        const modes = {
+            all: 'friends.compareAll',
+            both: 'friends.compareBoth',
+            onlyMine: 'friends.compareOnlyMine',
+            onlyTheirs: 'friends.compareOnlyTheirs'
+        };
+
+        document.getElementById('compare-chips').innerHTML = Object.entries(modes).map(([mode, key]) => `
+            <button class="compare-chip ${this.friendView.compare === mode ? 'active' : ''}" aria-pressed="${this.friendView.compare === mode}" onclick="setCompareMode('${mode}')">
+                ${window.I18n.t(key, { count: comparison[mode].length })}
+            </button>
+        `).join('');
+    }
+
+    setCompareMode(mode) {
+        if (!this.friendView) return;
+
+        this.friendView.compare = mode;
+        this.renderCompareChips();
+        this.renderChampions();
+        this.announceShownCount();
+    }
+
+    // Deep links carry start_param "friend_<telegram_id>" or "progress_<code>"
+    async handleStartParam() {
+        const startParam = window.TelegramApp.getStartParam();
+
+        const code = window.ProgressTransfer.getCodeFromStartParam(startParam);
+        if (code) {
+            this.openTransfer();
+            document.getElementById('import-input').value = code;
+            this.previewImport();
+            return;
+        }
+
+        const friendId = window.FriendsClient.getFriendIdFromStartParam(startParam);
+        const user = window.TelegramApp.getUserInfo();
+        if (!friendId || friendId === user?.id) return;
+
+        try {
+            const friend = await window.FriendsClient.addFriend(friendId);
+            this.showStatus(window.I18n.t('friends.added', { name: window.FriendsClient.getDisplayName(friend.user || { telegram_id: friendId }) }), 'success');
+        } catch (error) {
+            window.Logger.warn('api', 'Failed to add friend from start_param', error.message);
+        }
+
+        await this.openFriendView(friendId);
+    }
+
+    getShareText() {
+        const total = this.champions.length;
+        const completed = this.countKnownChampions(this.completedChampions);
+        return window.I18n.t('friends.shareText', {
+            completed,
+            total,
+            percentage: total > 0 ? Math.round((completed / total) * 100) : 0
+        });
+    }
+
+    shareProgress() {
+        const user = window.TelegramApp.getUserInfo();
+        if (!user) {
+            this.showStatus(window.I18n.t('friends.shareUnavailable'), 'error');
+            return;
+        }
+
+        const link = window.FriendsClient.buildShareLink(user.id);
+        if (link) {
+            window.TelegramApp.shareLink(link, this.getShareText());
+        } else if (!window.TelegramApp.switchInlineQuery(`friend_${user.id}`)) {
+            this.showStatus(window.I18n.t('friends.shareUnavailable'), 'error');
+        }
+    }
+
+    // Import / Export
+    openTransfer() {
+        document.getElementById('transfer-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closeTransfer());
+        this.updateExport();
+    }
+
+    closeTransfer() {
+        this.pendingImport = null;
+        document.getElementById('import-input').value = '';
+        document.getElementById('import-file').value = '';
+        document.getElementById('import-preview').innerHTML = '';
+        document.getElementById('import-apply-btn').disabled = true;
+        document.getElementById('transfer-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    getExportList() {
+        const list = this.challenges.lists[this.challenges.active];
+        return { name: list.name, progress: [...this.completedChampions], records: list.records };
+    }
+
+    getExportContent() {
+        const format = document.getElementById('export-format').value;
+        const transfer = window.ProgressTransfer;
+
+        switch (format) {
+            case 'csv':
+                return { format, content: transfer.toCsv(this.getExportList(), this.champions), extension: 'csv', mimeType: 'text/csv' };
+            case 'code':
+                return { format, content: transfer.toCode(this.completedChampions, this.champions), extension: 'txt', mimeType: 'text/plain' };
+            default:
+                return { format, content: transfer.toJson(this.getExportList(), this.currentVersion), extension: 'json', mimeType: 'application/json' };
+        }
+    }
+
+    updateExport() {
+        const { format, content } = this.getExportContent();
+        document.getElementById('export-output').value = content;
+        document.getElementById('export-share-btn').style.display = format === 'code' ? 'inline-block' : 'none';
+    }
+
+    downloadExport() {
+        const { content, extension, mimeType } = this.getExportContent();
+        const date = new Date().toISOString().slice(0, 10);
+        window.ProgressTransfer.download(content, `arena-progress-${date}.${extension}`, mimeType);
+    }
+
+    async copyExport() {
+        const output = document.getElementById('export-output');
+
+        try {
+            await navigator.clipboard.writeText(output.value);
+        } catch (error) {
+            // Older WebViews have no async clipboard
+            output.select();
+            document.execCommand('copy');
+        }
+
+        this.showStatus(window.I18n.t('transfer.copied'), 'success');
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    shareExportLink() {
+        const code = window.ProgressTransfer.toCode(this.completedChampions, this.champions);
+        const link = window.ProgressTransfer.buildLink(code);
+        if (!link) {
+            this.showStatus(window.I18n.t('friends.shareUnavailable'), 'error');
+            return;
+        }
+
+        window.TelegramApp.shareLink(link, this.getShareText());
+    }
+
+    loadImportFile(input) {
+        const file = input.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('import-input').value = reader.result;
+            this.previewImport();
+        };
+        reader.readAsText(file);
+    }
+
+    previewImport() {
+        const preview = document.getElementById('import-preview');
+
+        try {
+            this.pendingImport = window.ProgressTransfer.parse(document.getElementById('import-input').value, this.champions);
+        } catch (error) {
+            this.pendingImport = null;
+            preview.textContent = error.message;
+            document.getElementById('import-apply-btn').disabled = true;
+            return;
+        }
+
+        this.renderImportPreview();
+    }
+
+    getImportMode() {
+        return document.querySelector('input[name="import-mode"]:checked').value;
+    }
+
+    renderImportPreview() {
+        if (!this.pendingImport) return;
+
+        const imported = this.pendingImport;
+        const diff = window.ProgressTransfer.getDiff(this.completedChampions, imported.progress, this.getImportMode());
+        const formatNames = { json: 'transfer.formatJson', csv: 'transfer.formatCsv', code: 'transfer.formatCode' };
+
+        const lines = [
+            `<div class="transfer-summary">${window.I18n.t('transfer.summary', {
+                format: window.I18n.t(formatNames[imported.format]),
+                count: imported.progress.size
+            })}</div>`
+        ];
+
+        if (diff.added.length > 0) {
+            lines.push(`<div class="transfer-added">${window.I18n.t('transfer.toAdd', { names: this.formatNameList(diff.added) })}</div>`);
+        }
+        if (diff.removed.length > 0) {
+            lines.push(`<div class="transfer-removed">${window.I18n.t('transfer.toRemove', { names: this.formatNameList(diff.removed) })}</div>`);
+        }
+        if (diff.added.length === 0 && diff.removed.length === 0) {
+            lines.push(`<div>${window.I18n.t('transfer.noChanges')}</div>`);
+        }
+        if (imported.unknown.length > 0) {
+            lines.push(`<div>${window.I18n.t('transfer.unknown', { names: this.formatNameList(imported.unknown, value => value) })}</div>`);
+        }
+
+        document.getElementById('import-preview').innerHTML = lines.join('');
+        document.getElementById('import-apply-btn').disabled =
+            diff.added.length === 0 && diff.removed.length === 0 && Object.keys(imported.records).length === 0;
+    }
+
+    // Long lists are cut short in the preview, imported text is escaped
+    formatNameList(ids, toName = id => this.getChampionName(id)) {
+        const limit = 15;
+        const escape = value => value.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+        const names = ids.slice(0, limit).map(id => escape(toName(id))).join(', ');
+
+        return ids.length > limit
+            ? window.I18n.t('transfer.more', { names, count: ids.length - limit })
+            : names;
+    }
+
+    // One undo step in edit mode, saved right away otherwise
+    applyImport() {
+        if (!this.pendingImport) return;
+
+        if (this.friendView) {
+            this.closeFriendView();
+        }
+
+        const mode = this.getImportMode();
+        const imported = this.pendingImport;
+        const diff = window.ProgressTransfer.getDiff(this.completedChampions, imported.progress, mode);
+        const states = [
+            ...diff.added.map(championId => ({ championId, completed: true })),
+            ...diff.removed.map(championId => ({ championId, completed: false }))
+        ];
+
+        // Imported records fill the gaps on merge and win on replace, where cleared champions lose
+        // theirs. Part of the same undo step as the progress.
+        this.applyEditStep(states, records => {
+            Object.entries(imported.records).forEach(([championId, record]) => {
+                records[championId] = mode === 'replace' ? record : { ...record, ...records[championId] };
+            });
+            diff.removed.forEach(championId => delete records[championId]);
+        });
+
+        this.closeTransfer();
+        this.renderChampions();
+        this.showStatus(window.I18n.t('transfer.applied', { added: diff.added.length, removed: diff.removed.length }), 'success');
+
+        if (!this.isEditMode) {
+            this.saveChallenges();
+        }
+    }
+
+    // Champion Picker
+    openPicker() {
+        document.getElementById('picker-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closePicker());
+        this.rollPicker();
+    }
+
+    closePicker() {
+        clearTimeout(this.pickerTimer);
+        document.getElementById('picker-sheet').style.display = 'none';
+        this.restoreBackButton();
+    }
+
+    rollPicker() {
+        const options = {
+            preferWeakClasses: document.getElementById('picker-weak-classes').checked,
+            avoidRecent: document.getElementById('picker-avoid-recent').checked,
+            duo: document.getElementById('picker-duo').checked
+        };
+
+        const candidates = this.getFilteredChampions();
+        const picks = window.ChampionPicker.pick(candidates, this.champions, this.completedChampions, options);
+        const result = document.getElementById('picker-result');
+
+        if (picks.length === 0) {
+            result.innerHTML = `<div class="stats-empty">${window.I18n.t('picker.allCompleted')}</div>`;
+            return;
+        }
+
+        window.ChampionPicker.rememberPicks(picks.map(champion => champion.id));
+
+        result.innerHTML = picks.map((champion, index) => `
+            <div class="picker-slot">
+                <div id="picker-card-${index}" class="champion-card picker-card spinning">
+                    <img class="champion-image" alt="" crossorigin="anonymous">
+                    <div class="champion-name"></div>
+                </div>
+                <button id="picker-done-${index}" class="button" onclick="markPickDone('${champion.id}', ${index})" disabled>${window.I18n.t('picker.markDone')}</button>
+            </div>
+        `).join('');
+
+        const pool = candidates.filter(champion => !this.completedChampions.has(champion.id));
+        this.animateReveal(pool, picks);
+    }
+
+    // Cycle random portraits, slowing down until the picks land
+    animateReveal(pool, picks) {
+        clearTimeout(this.pickerTimer);
+
+        const duration = window.CONFIG.APP_CONFIG.PICKER_REVEAL_DURATION;
+        const startedAt = Date.now();
+
+        const showChampion = (index, champion) => {
+            const card = document.getElementById(`picker-card-${index}`);
+            card.querySelector('img').src = window.DataDragon.getChampionImageUrl(this.currentVersion, champion);
+            card.querySelector('.champion-name').textContent = champion.name;
+        };
+
+        const step = () => {
+            const elapsed = Date.now() - startedAt;
+
+            if (elapsed >= duration) {
+                picks.forEach((champion, index) => {
+                    showChampion(index, champion);
+                    document.getElementById(`picker-card-${index}`).classList.replace('spinning', 'revealed');
+                    document.getElementById(`picker-done-${index}`).disabled = false;
+                });
+                window.TelegramApp.hapticFeedback('medium');
+                return;
+            }
+
+            picks.forEach((_, index) => showChampion(index, pool[Math.floor(Math.random() * pool.length)]));
+            this.pickerTimer = setTimeout(step, 60 + (elapsed / duration) * 180);
+        };
+
+        step();
+    }
+
+    // Goes through the same path as a toggle, saving right away when nothing else would
+    async markPickDone(championId, index) {
+        if (this.completedChampions.has(championId)) return;
+
+        this.applyEditStep([{ championId, completed: true }]);
+
+        const button = document.getElementById(`picker-done-${index}`);
+        button.disabled = true;
+        button.textContent = window.I18n.t('picker.done');
+
+        if (!this.isAutosave && !this.isEditMode) {
+            try {
+                await this.saveUserProgress();
+            } catch (error) {
+                // Error handling is done in saveUserProgress
+            }
+        } else {
+            window.TelegramApp.hapticFeedback('success');
+        }
+    }
+
+    saveChampionDetails() {
+        const championId = this.detailChampionId;
+        if (!championId) return;
+
+        const record = window.ChampionRecords.normalize({
+            completed_at: document.getElementById('record-date').value,
+            placement: document.getElementById('record-placement').value,
+            attempts: document.getElementById('record-attempts').value,
+            augments: document.getElementById('record-augments').value,
+            note: document.getElementById('record-note').value
+        });
+
+        const records = this.getActiveRecords();
+        if (record) {
+            records[championId] = record;
+        } else {
+            delete records[championId];
+        }
+
+        this.closeChampionDetails();
+        this.renderChampions();
+        this.saveChallenges();
+        window.TelegramApp.hapticFeedback('success');
+    }
+
+    // Bulk Selection
+    // Changes to many champions are confirmed with their count and undone as one step (selection.js)
+    getShownIds() {
+        return this.getFilteredChampions().map(champion => champion.id);
+    }
+
+    markShown(isCompleted) {
+        if (!this.isEditMode) return;
+
+        const states = window.BulkSelection.getMarkStates(this.getShownIds(), this.completedChampions, isCompleted);
+        this.applyBulkChange(states, isCompleted ? 'bulk.confirmMark' : 'bulk.confirmUnmark');
+    }
+
+    invertShown() {
+        if (!this.isEditMode) return;
+
+        const states = window.BulkSelection.getInvertStates(this.getShownIds(), this.completedChampions);
+        this.applyBulkChange(states, 'bulk.confirmInvert');
+    }
+
+    // A long press picks the first card, the next tap the last one. Tapping the first card again
+    // cancels.
+    startRange(championId) {
+        if (!this.isEditMode || this.friendView) return;
+
+        this.rangeAnchorId = championId;
+        window.ChampionGrid.setRangeAnchor(championId);
+        this.showStatus(window.I18n.t('bulk.rangeStarted', { name: this.getChampionName(championId) }), 'success');
+        window.TelegramApp.hapticFeedback('medium');
+    }
+
+    clearRange() {
+        this.rangeAnchorId = null;
+        window.ChampionGrid.setRangeAnchor(null);
+    }
+
+    selectRange(fromId, toId) {
+        this.clearRange();
+        if (fromId === toId) return;
+
+        const ids = window.BulkSelection.getRange(this.getShownIds(), fromId, toId);
+        this.lastToggledId = toId;
+        this.applyBulkChange(window.BulkSelection.getRangeStates(ids, this.completedChampions), 'bulk.confirmRange');
+    }
+
+    // Nothing happens without a change, otherwise the user confirms the count first
+    applyBulkChange(states, confirmKey) {
+        if (states.length === 0) {
+            this.showStatus(window.I18n.t('bulk.noChanges'), 'success');
+            return;
+        }
+
+        window.TelegramApp.showConfirm(window.I18n.t(confirmKey, { count: states.length }), confirmed => {
+            if (!confirmed || !this.isEditMode) return;
+
+            this.applyEditStep(states);
+            this.renderChampions();
+
+            this.announce(window.I18n.t('bulk.applied', { count: states.length }));
+            window.TelegramApp.hapticFeedback('success');
+        });
+    }
+
+    // Paste Names
+    openPaste() {
+        if (!this.isEditMode) return;
+
+        document.getElementById('paste-input').value = '';
+        this.renderPastePreview();
+        document.getElementById('paste-sheet').style.display = 'flex';
+        window.TelegramApp.showBackButton(() => this.closePaste());
+    }
+
+    closePaste() {
+        document.getElementById('paste-sheet').style.display = 'none';
+        this.pendingPaste = null;
+        this.restoreBackButton();
+    }
+
+    renderPastePreview() {
+        const text = document.getElementById('paste-input').value;
+        this.pendingPaste = text.trim() ? window.BulkSelection.parseNames(text, this.champions) : null;
+
+        const paste = this.pendingPaste;
+        const toMark = paste ? paste.ids.filter(championId => !this.completedChampions.has(championId)) : [];
+        const lines = [];
+
+        if (paste) {
+            lines.push(`<div class="transfer-summary">${window.I18n.t('bulk.pasteSummary', { count: paste.ids.length })}</div>`);
+            if (toMark.length > 0) {
+                lines.push(`<div class="transfer-added">${window.I18n.t('transfer.toAdd', { names: this.formatNameList(toMark) })}</div>`);
+            }
+            if (paste.guessed.length > 0) {
+                const guesses = paste.guessed.map(({ value, championId }) => `${value} → ${this.getChampionName(championId)}`);
+                lines.push(`<div>${window.I18n.t('bulk.pasteGuessed', { names: this.formatNameList(guesses, guess => guess) })}</div>`);
+            }
+            if (paste.unknown.length > 0) {
+                lines.push(`<div class="transfer-removed">${window.I18n.t('bulk.pasteUnknown', { names: this.formatNameList(paste.unknown, value => value) })}</div>`);
+            }
+        }
+
+        document.getElementById('paste-preview').innerHTML = lines.join('');
+        document.getElementById('paste-apply-btn').disabled = toMark.length === 0;
+    }
+
+    applyPaste() {
+        if (!this.pendingPaste) return;
+
+        const states = window.BulkSelection.getMarkStates(this.pendingPaste.ids, this.completedChampions, true);
+        this.closePaste();
+        this.applyBulkChange(states, 'bulk.confirmMark');
+    }
+
+    // Undo / Redo
+    undo() {
+        if (!this.isEditMode) return;
+
+        const entry = window.EditHistory.undo();
+        if (!entry) return;
+
+        this.setChampionStates(entry.map(change => ({ championId: change.championId, completed: change.from, record: change.recordFrom })));
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    redo() {
+        if (!this.isEditMode) return;
+
+        const entry = window.EditHistory.redo();
+        if (!entry) return;
+
+        this.setChampionStates(entry.map(change => ({ championId: change.championId, completed: change.to, record: change.recordTo })));
+        window.TelegramApp.hapticFeedback('light');
+    }
+
+    updateHistoryButtons() {
+        document.getElementById('undo-btn').disabled = !window.EditHistory.canUndo();
+        document.getElementById('redo-btn').disabled = !window.EditHistory.canRedo();
+    }
+
+    // Throw away the edit session and restore the snapshot taken in toggleEditMode()
+    cancelEdit() {
+        if (!this.isEditMode) return;
+
+        const changes = window.ProgressSync.getChanges(this.originalCompleted, this.completedChampions);
+        const changeCount = changes.added.length + changes.removed.length;
+
+        if (changeCount === 0) {
+            this.restoreOriginalRecords();
+            this.exitEditMode();
+            return;
+        }
+
+        window.TelegramApp.showConfirm(window.I18n.t('confirm.discardChanges', { count: changeCount }), confirmed => {
+            if (!confirmed) return;
+
+            this.restoreOriginalRecords();
+            this.setChampionStates([...changes.added, ...changes.removed].map(championId => ({
+                championId,
+                completed: this.originalCompleted.has(championId),
+                record: this.originalRecords[championId]
+            })));
+            this.exitEditMode();
+            window.TelegramApp.hapticFeedback('warning');
+        });
+    }
+
+    // Puts back every record as it was when the edit session started, completion dates included
+    restoreOriginalRecords() {
+        const records = this.getActiveRecords();
+        Object.keys(records).forEach(championId => delete records[championId]);
+        Object.assign(records, this.originalRecords);
+    }
+
+    setupKeyboardShortcuts() {
+        document.addEventListener('keydown', event => {
+            if (!this.isEditMode) return;
+
+            // Text fields keep their native undo
+            if (event.target.matches('input, textarea, select')) return;
+
+            const key = event.key.toLowerCase();
+            const modifier = event.ctrlKey || event.metaKey;
+
+            if (modifier && key === 'z') {
+                event.preventDefault();
+                event.shiftKey ? this.redo() : this.undo();
+            } else if (modifier && key === 'y') {
+                event.preventDefault();
+                this.redo();
+            } else if (event.key === 'Escape') {
+                this.rangeAnchorId ? this.clearRange() : this.cancelEdit();
+            }
+        });
+    }
+
+    updateStats() {
+        const totalCompleted = this.completedChampions.size;
+        const totalChampions = this.getStatsChampions().length;
+        const totalRemaining = totalChampions - totalCompleted;
+        const totalPercentage = totalChampions > 0 ? Math.round((totalCompleted / totalChampions) * 100) : 0;
+
+        // Always show total stats regardless of filter
+        document.getElementById('completed-count').textContent = totalCompleted;
+        document.getElementById('remaining-count').textContent = totalRemaining;
+        document.getElementById('progress-percentage').textContent = totalPercentage + '%';
+
+        // Per-list counts live in the challenge selector
+        this.populateChallengeSelect();
+        this.renderStats();
+    }
+
+    // Statistics Dashboard
+    toggleStats() {
+        this.isStatsOpen = !this.isStatsOpen;
+        document.getElementById('stats-panel').style.display = this.isStatsOpen ? 'block' : 'none';
+        this.updateControlTexts();
+        this.renderStats();
+    }
+
+    renderStats() {
+        if (!this.isStatsOpen) return;
+
+        const stats = window.ProgressStats;
+        const statsChampions = this.getStatsChampions();
+        const overall = stats.getCompletion(statsChampions, this.completedChampions);
+        const filtered = stats.getCompletion(this.getFilteredChampions(), this.completedChampions);
+        const timeline = stats.getTimeline(this.getActiveRecords(), this.completedChampions);
+        const daysLeft = stats.projectDaysLeft(timeline, overall.total - overall.completed);
+
+        document.getElementById('stats-filtered').textContent =
+            `${filtered.completed}/${filtered.total} (${filtered.percentage}%)`;
+
+        let projection = window.I18n.t('dashboard.daysLeft', { count: daysLeft });
+        if (daysLeft === null) {
+            projection = window.I18n.t('dashboard.noPace');
+        } else if (daysLeft === 0) {
+            projection = window.I18n.t('dashboard.complete');
+        }
+        document.getElementById('stats-projection').textContent = projection;
+
+        const classRows = stats.getClassBreakdown(statsChampions, this.completedChampions)
+            .map(row => ({ ...row, label: window.I18n.t(`tags.${row.label}`) }));
+        document.getElementById('stats-classes').innerHTML = stats.renderBarChart(classRows);
+        document.getElementById('stats-timeline').innerHTML = stats.renderTimelineChart(timeline, overall.total);
+    }
+
+    toggleEditMode() {
+        this.isEditMode = !this.isEditMode;
+
+        if (this.isEditMode) {
+            this.originalCompleted = new Set(this.completedChampions);
+            this.originalRecords = { ...this.getActiveRecords() };
+            this.enterEditMode();
+        } else {
+            this.exitEditMode();
+        }
+    }
+
+    enterEditMode() {
+        this.closeChallengeEditor();
+        this.setChallengeControlsDisabled(true);
+
+        window.EditHistory.clear();
+        this.updateHistoryButtons();
+        ['undo-btn', 'redo-btn', 'cancel-btn'].forEach(id => {
+            document.getElementById(id).style.display = 'inline-block';
+        });
+        document.getElementById('bulk-controls').style.display = 'flex';
+        this.lastToggledId = null;
+        window.TelegramApp.showBackButton(() => this.cancelEdit());
+
+        if (window.TelegramApp.isReady()) {
+            // Inside Telegram the MainButton saves and the BackButton cancels
+            document.getElementById('edit-btn').style.display = 'none';
+            document.getElementById('cancel-btn').style.display = 'none';
+            window.TelegramApp.showMainButton(this.getMainButtonText(), () => this.onMainButtonClick());
+        } else if (this.isAutosave) {
+            // Autosave keeps the Edit button as a "Done" toggle instead of a manual Save
+            this.updateControlTexts();
+        } else {
+            document.getElementById('edit-btn').style.display = 'none';
+            document.getElementById('save-btn').style.display = 'inline-block';
+        }
+
+        // Cards turn into toggle buttons
+        this.renderChampions();
+    }
+
+    exitEditMode() {
+        this.isEditMode = false;
+        this.setChallengeControlsDisabled(false);
+
+        window.EditHistory.clear();
+        ['undo-btn', 'redo-btn', 'cancel-btn'].forEach(id => {
+            document.getElementById(id).style.display = 'none';
+        });
+        document.getElementById('bulk-controls').style.display = 'none';
+        this.clearRange();
+        window.TelegramApp.hideBackButton();
+        window.TelegramApp.hideMainButton();
+        document.getElementById('edit-btn').style.display = 'inline-block';
+
+        if (this.isAutosave) {
+            this.updateControlTexts();
+            window.AutosaveQueue.flush();
+        } else {
+            document.getElementById('save-btn').style.display = 'none';
+        }
+        this.updateClosingConfirmation();
+        this.renderChampions();
+    }
+
+    // Champions toggled since the edit session started
+    getEditChangeCount() {
+        const changes = window.ProgressSync.getChanges(this.originalCompleted, this.completedChampions);
+        return changes.added.length + changes.removed.length;
+    }
+
+    // Native Controls
+    // "Save 3 changes" while there's something to save, "Done" otherwise or when autosave takes care of it
+    getMainButtonText() {
+        const count = this.isAutosave ? 0 : this.getEditChangeCount();
+        return count > 0 ? window.I18n.t('controls.saveChanges', { count }) : window.I18n.t('controls.done');
+    }
+
+    updateMainButton() {
+        if (!this.isEditMode) return;
+
+        window.TelegramApp.setMainButtonText(this.getMainButtonText());
+    }
+
+    onMainButtonClick() {
+        if (this.isAutosave || this.getEditChangeCount() === 0) {
+            this.exitEditMode();
+        } else {
+            this.saveProgress();
+        }
+    }
+
+    hasUnsavedChanges() {
+        if (this.isAutosave) {
+            return window.AutosaveQueue.getPendingCount() > 0;
+        }
+        return this.isEditMode && this.getEditChangeCount() > 0;
+    }
+
+    // Telegram asks before closing the app while edits haven't reached the server
+    updateClosingConfirmation() {
+        const hasUnsaved = this.hasUnsavedChanges();
+        if (hasUnsaved === this.isClosingConfirmationEnabled) return;
+
+        this.isClosingConfirmationEnabled = hasUnsaved;
+        window.TelegramApp.setClosingConfirmation(hasUnsaved);
+    }
+
+    setupNativeControls() {
+        if (window.TelegramApp.showSettingsButton(() => this.openSettings())) {
+            document.getElementById('settings-btn').style.display = 'none';
+        }
+
+        // Browser mode has no closing confirmation, the page asks before unloading instead
+        if (!window.TelegramApp.isReady()) {
+            window.addEventListener('beforeunload', event => {
+                if (!this.hasUnsavedChanges()) return;
+                event.preventDefault();
+                event.returnValue = '';
+            });
+        }
+    }
+
+    // Lists can't be switched in the middle of an edit session or while comparing with a friend
+    setChallengeControlsDisabled(disabled) {
+        ['challenge-select', 'challenge-new-btn', 'challenge-rename-btn'].forEach(id => {
+            document.getElementById(id).disabled = disabled;
+        });
+        document.getElementById('challenge-delete-btn').disabled =
+            disabled || window.ChallengeLists.getListIds(this.challenges).length <= 1;
+    }
+
+    async saveProgress() {
+        window.TelegramApp.setMainButtonProgress(true);
+        try {
+            await this.saveUserProgress();
+            this.exitEditMode();
+        } catch (error) {
+            // Error handling is done in saveUserProgress
+        } finally {
+            window.TelegramApp.setMainButtonProgress(false);
+        }
+    }
+
+
+
+    // Localization
+    applyTranslations() {
+        window.I18n.applyToDocument();
+        document.getElementById('language-select').value = window.I18n.getOverride() || 'auto';
+        document.getElementById('theme-select').value = window.ThemeManager.getMode();
+        this.updateControlTexts();
+    }
+
+    // Buttons whose label depends on state aren't covered by data-i18n
+    updateControlTexts() {
+        const editKey = this.isAutosave && this.isEditMode ? 'controls.done' : 'controls.edit';
+        document.getElementById('edit-btn').textContent = window.I18n.t(editKey);
+        document.getElementById('stats-btn').textContent =
+            window.I18n.t(this.isStatsOpen ? 'controls.hideStats' : 'controls.stats');
+        document.getElementById('tag-mode-btn').textContent =
+            window.I18n.t(this.filters.tagMode === 'and' ? 'filters.matchAll' : 'filters.matchAny');
+
+        if (this.friendView) {
+            document.getElementById('friend-banner-title').textContent =
+                window.I18n.t('friends.viewing', { name: this.friendView.name });
+            this.renderCompareChips();
+        }
+        this.updateMainButton();
+    }
+
+    async changeLanguage(locale) {
+        window.I18n.setOverride(locale);
+        this.applyTranslations();
+
+        if (this.isAutosave) {
+            this.updateSaveIndicator(window.AutosaveQueue.getState(), window.AutosaveQueue.getPendingCount());
+        }
+
+        // Champion names and titles come from the matching Data Dragon locale
+        try {
+            const fromCache = await this.loadCatalog();
+            if (fromCache) {
+                this.refreshCatalog();
+            }
+        } catch (error) {
+            this.showStatus(window.I18n.t('status.languageFailed', { error: error.message }), 'error');
+        }
+
+        this.populateFilterOptions();
+        this.renderChampions();
+        this.updateStats();
+    }
+
+    // Patch History
+    // The last seen patch lives in user_data.settings.catalog (patches.js). A first catalog is only
+    // a baseline and goes along with the next save, new champions are saved right away so their
+    // release date is kept.
+    updatePatchHistory() {
+        const stored = this.settings.catalog || null;
+        const { catalog, added } = window.PatchHistory.update(stored, this.currentVersion, this.champions.map(champion => champion.id));
+
+        if (catalog !== stored) {
+            this.settings = { ...this.settings, catalog };
+        }
+        this.updatePatchBanner();
+
+        if (added.length > 0) {
+            window.Logger.info('ddragon', `Patch ${this.currentVersion} added ${added.join(', ')}`);
+            this.saveChallenges();
+        }
+    }
+
+    updatePatchBanner() {
+        const catalog = this.settings.catalog;
+        const isShown = !this.viewedPatch && window.PatchHistory.isBannerShown(catalog, this.currentVersion);
+        document.getElementById('patch-banner').style.display = isShown ? 'block' : 'none';
+        if (!isShown) return;
+
+        const names = Array.from(window.PatchHistory.getNewChampions(catalog, this.currentVersion), id => this.getChampionName(id));
+        document.getElementById('patch-banner-title').textContent = window.I18n.t('patch.bannerTitle', {
+            version: this.currentVersion,
+            names: names.join(', ')
+        });
+    }
+
+    dismissPatchBanner() {
+        this.settings = {
+            ...this.settings,
+            catalog: window.PatchHistory.dismissBanner(this.settings.catalog, this.currentVersion)
+        };
+        this.updatePatchBanner();
+        this.saveChallenges();
+    }
+
+    // Recent patches from Data Dragon, the latest one first
+    populatePatchSelect() {
+        const select = document.getElementById('patch-select');
+        select.innerHTML = '';
+
+        this.versions.forEach(version => {
+            const option = document.createElement('option');
+            option.value = version;
+            option.textContent = version === this.currentVersion
+                ? window.I18n.t('patch.latest', { version })
+                : version;
+            select.appendChild(option);
+        });
+        select.value = this.getGridVersion();
+    }
+
+    // Shows the grid as of an older patch: its champions, names and portraits. Progress and the
+    // stats stay on the latest catalog.
+    async viewPatch(version) {
+        if (version === this.currentVersion) {
+            this.viewedPatch = null;
+        } else {
+            try {
+                if (!this.patchCatalogs.has(version)) {
+                    const champions = await window.DataDragon.fetchChampions(version, window.I18n.getDataDragonLocale());
+                    this.patchCatalogs.set(version, this.sortByName(champions));
+                }
+            } catch (error) {
+                this.showStatus(window.I18n.t('patch.loadFailed', { version, error: error.message }), 'error');
+                document.getElementById('patch-select').value = this.getGridVersion();
+                return;
+            }
+            this.viewedPatch = { version, champions: this.patchCatalogs.get(version) };
+        }
+
+        document.getElementById('patch-select').value = this.getGridVersion();
+        window.ChampionGrid.setCatalog(this.getGridChampions());
+        this.updatePatchBanner();
+        this.renderChampions();
+        this.announceShownCount();
+    }
+
+    // Champions counted in a list's stats. With exclude_new_champions set, the ones released after
+    // the list was created are left out until they're completed.
+    getStatsChampions(listId = this.challenges.active) {
+        if (!this.settings.exclude_new_champions) return this.champions;
+
+        const list = this.challenges.lists[listId];
+        const progress = listId === this.challenges.active ? this.completedChampions : new Set(list.progress);
+        const excluded = window.PatchHistory.getExcludedChampions(this.settings.catalog, list.created_at, progress);
+        return this.champions.filter(champion => !excluded.has(champion.id));
+    }
+
+    setExcludeNewChampions(isExcluded) {
+        this.settings = { ...this.settings, exclude_new_champions: isExcluded };
+        this.updateStats();
+        this.saveChallenges();
+    }
+
+    // Theme
+    // The mode is saved in user_data.settings.theme so it follows the user to other devices
+    applyThemeSetting() {
+        if (this.settings.theme && this.settings.theme !== window.ThemeManager.getMode()) {
+            window.ThemeManager.setMode(this.settings.theme);
+        }
+        document.getElementById('theme-select').value = window.ThemeManager.getMode();
+    }
+
+    changeTheme(mode) {
+        if (!window.ThemeManager.setMode(mode)) return;
+
+        window.TelegramApp.hapticFeedback('light');
+        this.settings = { ...this.settings, theme: mode };
+        this.saveChallenges();
+    }
+
+    showMainContent() {
+        document.getElementById('loading').style.display = 'none';
+        document.getElementById('main-content').style.display = 'block';
+    }
+
+    showError(message, canRetry = false) {
+        const loading = document.getElementById('loading');
+        const error = document.getElementById('error');
+
+        loading.style.display = 'none';
+        error.style.display = 'block';
+        error.textContent = message;
+
+        if (canRetry) {
+            const retryButton = document.createElement('button');
+            retryButton.className = 'button secondary';
+            retryButton.textContent = window.I18n.t('common.retry');
+            retryButton.onclick = () => window.location.reload();
+            error.append(document.createElement('br'), document.createElement('br'), retryButton);
+        }
+
+        window.Logger.error('ui', message);
+    }
+
+    showStatus(message, type = 'success') {
+        const statusEl = document.getElementById('status-message');
+        statusEl.textContent = message;
+        statusEl.className = `status-message ${type}`;
+        statusEl.style.display = 'block';
+        this.announce(message);
+
+        setTimeout(() => {
+            statusEl.style.display = 'none';
+        }, 3000);
+    }
+
+    // The live region stays in the page, unlike the status message that is hidden in between
+    announce(message) {
+        document.getElementById('live-region').textContent = message;
+    }
+}
+
+// Global functions for onclick handlers
+function toggleEditMode() {
+    arenaTracker.toggleEditMode();
+}
+
+function saveProgress() {
+    arenaTracker.saveProgress();
+}
+
+function markShown(isCompleted) {
+    arenaTracker.markShown(isCompleted);
+}
+
+function invertShown() {
+    arenaTracker.invertShown();
+}
+
+function openPaste() {
+    arenaTracker.openPaste();
+}
+
+function closePaste() {
+    arenaTracker.closePaste();
+}
+
+function renderPastePreview() {
+    arenaTracker.renderPastePreview();
+}
+
+function applyPaste() {
+    arenaTracker.applyPaste();
+}
+
+function undoChange() {
+    arenaTracker.undo();
+}
+
+function redoChange() {
+    arenaTracker.redo();
+}
+
+function cancelEdit() {
+    arenaTracker.cancelEdit();
+}
+
+function openPicker() {
+    arenaTracker.openPicker();
+}
+
+function closePicker() {
+    arenaTracker.closePicker();
+}
+
+function rollPicker() {
+    arenaTracker.rollPicker();
+}
+
+function markPickDone(championId, index) {
+    arenaTracker.markPickDone(championId, index);
+}
+
+function openFriends() {
+    arenaTracker.openFriends();
+}
+
+function closeFriends() {
+    arenaTracker.closeFriends();
+}
+
+function openFriendView(friendId) {
+    arenaTracker.openFriendView(friendId);
+}
+
+function closeFriendView() {
+    arenaTracker.closeFriendView();
+}
+
+function setCompareMode(mode) {
+    arenaTracker.setCompareMode(mode);
+}
+
+function shareProgress() {
+    arenaTracker.shareProgress();
+}
+
+function openTransfer() {
+    arenaTracker.openTransfer();
+}
+
+function closeTransfer() {
+    arenaTracker.closeTransfer();
+}
+
+function updateExport() {
+    arenaTracker.updateExport();
+}
+
+function downloadExport() {
+    arenaTracker.downloadExport();
+}
+
+function copyExport() {
+    arenaTracker.copyExport();
+}
+
+function shareExportLink() {
+    arenaTracker.shareExportLink();
+}
+
+function loadImportFile(input) {
+    arenaTracker.loadImportFile(input);
+}
+
+function previewImport() {
+    arenaTracker.previewImport();
+}
+
+function renderImportPreview() {
+    arenaTracker.renderImportPreview();
+}
+
+function applyImport() {
+    arenaTracker.applyImport();
+}
+
+function closeDiagnostics() {
+    arenaTracker.closeDiagnostics();
+}
+
+function renderDiagnostics() {
+    arenaTracker.renderDiagnostics();
+}
+
+function copyDiagnostics() {
+    arenaTracker.copyDiagnostics();
+}
+
+function sendDiagnostics() {
+    arenaTracker.sendDiagnostics();
+}
+
+function closeChampionDetails() {
+    arenaTracker.closeChampionDetails();
+}
+
+function saveChampionDetails() {
+    arenaTracker.saveChampionDetails();
+}
+
+function switchChallenge() {
+    const challengeSelect = document.getElementById('challenge-select');
+    arenaTracker.switchChallenge(challengeSelect.value);
+}
+
+function openChallengeEditor(mode) {
+    arenaTracker.openChallengeEditor(mode);
+}
+
+function closeChallengeEditor() {
+    arenaTracker.closeChallengeEditor();
+}
+
+function submitChallengeName() {
+    arenaTracker.submitChallengeName();
+}
+
+function deleteChallenge() {
+    arenaTracker.deleteChallenge();
+}
+
+function changeLanguage(locale) {
+    arenaTracker.changeLanguage(locale);
+}
+
+function changeTheme(mode) {
+    arenaTracker.changeTheme(mode);
+}
+
+function setExcludeNewChampions(isExcluded) {
+    arenaTracker.setExcludeNewChampions(isExcluded);
+}
+
+function viewPatch(version) {
+    arenaTracker.viewPatch(version);
+}
+
+function dismissPatchBanner() {
+    arenaTracker.dismissPatchBanner();
+}
+
+function openSettings() {
+    arenaTracker.openSettings();
+}
+
+function closeSettings() {
+    arenaTracker.closeSettings();
+}
+
+function toggleStats() {
+    arenaTracker.toggleStats();
+}
+
+function setFilter(key, value) {
+    arenaTracker.setFilter(key, value);
+}
+
+function toggleTagFilter(tag) {
+    arenaTracker.toggleTagFilter(tag);
+}
+
+function toggleTagMode() {
+    arenaTracker.toggleTagMode();
+}
+
+function resetFilters() {
+    arenaTracker.resetFilters();
+}
+
+function applySavedView(name) {
+    arenaTracker.applySavedView(name);
+}
+
+function saveCurrentView() {
+    arenaTracker.saveCurrentView();
+}
+
+function deleteSavedView() {
+    arenaTracker.deleteSavedView();
+}
+
+function searchChampions() {
+    const searchInput = document.getElementById('search-input');
+    arenaTracker.searchChampions(searchInput.value);
+}
+
+// Initialize the application
+const arenaTracker = new ArenaTracker();
+
+// Export for global use
+window.ArenaTracker = arenaTracker;
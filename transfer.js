@@ -0,0 +1,294 @@
+// Progress Transfer
+// Export and import of a challenge list as a JSON backup, CSV or a compact progress code.
+// The code is a bitset over the catalog sorted by champion key, prefixed with the catalog size:
+// "<count>_<base64url bits>", short enough for a t.me start_param. Keys are not in release order,
+// a new champion can take a bit in the middle, so a code only decodes against a catalog of the
+// size it was made with.
+
+class ProgressTransfer {
+    constructor() {
+        this.format = 'arena-lol-progress';
+        this.formatVersion = 1;
+        this.codePattern = /^(\d+)_([A-Za-z0-9_-]*)$/;
+        this.startParamPrefix = 'progress_';
+    }
+
+    // Export
+    toJson(list, version) {
+        return JSON.stringify({
+            format: this.format,
+            version: this.formatVersion,
+            exported_at: new Date().toISOString(),
+            patch: version,
+            challenge: list.name,
+            progress: [...list.progress].sort(),
+            records: list.records || {}
+        }, null, 2);
+    }
+
+    toCsv(list, champions) {
+        const completed = new Set(list.progress);
+        const records = list.records || {};
+        const rows = champions.map(champion => [
+            champion.id,
+            champion.name,
+            champion.tags.join('|'),
+            completed.has(champion.id) ? 'true' : 'false',
+            records[champion.id]?.completed_at || ''
+        ]);
+
+        return [['id', 'name', 'tags', 'completed', 'date'], ...rows]
+            .map(row => row.map(value => this.escapeCsv(value)).join(','))
+            .join('\n');
+    }
+
+    toCode(progress, champions) {
+        const ordered = this.getCodeOrder(champions);
+        const bytes = new Uint8Array(Math.ceil(ordered.length / 8));
+
+        ordered.forEach((champion, index) => {
+            if (progress.has(champion.id)) {
+                bytes[index >> 3] |= 0x80 >> (index & 7);
+            }
+        });
+
+        const binary = String.fromCharCode(...bytes);
+        const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        return `${ordered.length}_${encoded}`;
+    }
+
+    buildLink(code) {
+        return window.TelegramApp.buildStartAppLink(`${this.startParamPrefix}${code}`);
+    }
+
+    getCodeFromStartParam(startParam) {
+        if (!startParam || !startParam.startsWith(this.startParamPrefix)) return null;
+
+        const code = startParam.slice(this.startParamPrefix.length);
+        return this.codePattern.test(code) ? code : null;
+    }
+
+    // A fixed order, not release order: parseCode checks the catalog size instead
+    getCodeOrder(champions) {
+        return [...champions].sort((a, b) => Number(a.key) - Number(b.key) || a.id.localeCompare(b.id));
+    }
+
+    escapeCsv(value) {
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    // Import
+    // Returns { format, progress: Set, records, unknown: [...] }, throws on unreadable input
+    parse(text, champions) {
+        const input = text.trim();
+        if (!input) throw new Error(window.I18n.t('transfer.empty'));
+
+        if (input.startsWith('{')) return this.parseJson(input, champions);
+
+        const code = this.extractCode(input);
+        if (code) return this.parseCode(code, champions);
+
+        return this.parseCsv(input, champions);
+    }
+
+    // Accepts a bare code or a link/start_param that carries one
+    extractCode(input) {
+        if (this.codePattern.test(input)) return input;
+
+        const match = input.match(/progress_(\d+_[A-Za-z0-9_-]*)/);
+        return match ? match[1] : null;
+    }
+
+    parseJson(input, champions) {
+        let data;
+        try {
+            data = JSON.parse(input);
+        } catch (error) {
+            throw new Error(window.I18n.t('transfer.invalidJson', { error: error.message }));
+        }
+
+        // A raw user_data dump works too, its active list is imported
+        let progress = data.progress;
+        let records = data.records || {};
+        if (!Array.isArray(progress)) {
+            const challenges = window.ChallengeLists.fromUserData(data.user_data || data);
+            const list = challenges.lists[challenges.active];
+            progress = list.progress;
+            records = list.records;
+        }
+
+        const result = this.resolveIds(progress, champions);
+        result.format = 'json';
+        result.records = {};
+
+        Object.entries(records).forEach(([championId, record]) => {
+            const normalized = window.ChampionRecords.normalize(record);
+            if (normalized && result.progress.has(championId)) {
+                result.records[championId] = normalized;
+            }
+        });
+
+        return result;
+    }
+
+    parseCsv(input, champions) {
+        const rows = this.splitCsv(input);
+        const header = rows.shift().map(column => column.trim().toLowerCase());
+        const idColumn = header.indexOf('id');
+        const nameColumn = header.indexOf('name');
+        const completedColumn = header.indexOf('completed');
+        const dateColumn = header.indexOf('date');
+
+        if (idColumn === -1 && nameColumn === -1) {
+            throw new Error(window.I18n.t('transfer.invalidCsv'));
+        }
+
+        const completedRows = rows.filter(row =>
+            completedColumn === -1 || ['true', 'yes', '1', 'x', '✓'].includes((row[completedColumn] || '').trim().toLowerCase())
+        );
+
+        const result = this.resolveIds(
+            completedRows.map(row => (idColumn !== -1 && row[idColumn]) || row[nameColumn]),
+            champions
+        );
+        result.format = 'csv';
+        result.records = {};
+
+        if (dateColumn !== -1) {
+            completedRows.forEach(row => {
+                const championId = this.findChampionId((idColumn !== -1 && row[idColumn]) || row[nameColumn], champions);
+                const record = window.ChampionRecords.normalize({ completed_at: row[dateColumn] });
+                if (championId && record) {
+                    result.records[championId] = record;
+                }
+            });
+        }
+
+        return result;
+    }
+
+    // A code made on a patch with more or fewer champions would mark the wrong ones, it is rejected
+    parseCode(code, champions) {
+        const [, count, encoded] = code.match(this.codePattern);
+        if (Number(count) !== champions.length) {
+            throw new Error(window.I18n.t('transfer.codeMismatch', { count: Number(count), total: champions.length }));
+        }
+
+        const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+
+        let binary;
+        try {
+            binary = atob(base64);
+        } catch (error) {
+            throw new Error(window.I18n.t('transfer.invalidCode'));
+        }
+
+        const ordered = this.getCodeOrder(champions);
+        const progress = new Set();
+
+        ordered.forEach((champion, index) => {
+            const byte = binary.charCodeAt(index >> 3) || 0;
+            if (byte & (0x80 >> (index & 7))) progress.add(champion.id);
+        });
+
+        return { format: 'code', progress, records: {}, unknown: [] };
+    }
+
+    resolveIds(values, champions) {
+        const progress = new Set();
+        const unknown = [];
+
+        values.forEach(value => {
+            const championId = this.findChampionId(value, champions);
+            if (championId) {
+                progress.add(championId);
+            } else if (value) {
+                unknown.push(String(value));
+            }
+        });
+
+        return { progress, unknown };
+    }
+
+    // Matches the id first, then the id or name ignoring case
+    findChampionId(value, champions) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+
+        const trimmed = value.trim();
+        const lower = trimmed.toLowerCase();
+        const champion = champions.find(c => c.id === trimmed)
+            || champions.find(c => c.id.toLowerCase() === lower || c.name.toLowerCase() === lower);
+
+        return champion ? champion.id : null;
+    }
+
+    splitCsv(input) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === ',' || char === ';') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n') {
+                row.push(field.replace(/\r$/, ''));
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+
+        row.push(field);
+        rows.push(row);
+        return rows.filter(r => r.some(value => value.trim()));
+    }
+
+    // Preview
+    // Merge only adds, replace also clears what the import doesn't have
+    getDiff(current, imported, mode) {
+        const changes = window.ProgressSync.getChanges(current, imported);
+        return {
+            added: changes.added,
+            removed: mode === 'replace' ? changes.removed : []
+        };
+    }
+
+    // Files
+    download(content, filename, mimeType) {
+        const blob = new Blob([content], { type: mimeType });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// Initialize progress transfer
+const progressTransfer = new ProgressTransfer();
+
+// Export for global use
+window.ProgressTransfer = progressTransfer;